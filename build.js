@@ -11,11 +11,27 @@ if (!fs.existsSync(distDir)) {
 }
 
 // Read source files IN ORDER
+const eventEmitterCode = fs.readFileSync(path.join(srcDir, 'EventEmitter.js'), 'utf8');
+const shapesCode = fs.readFileSync(path.join(srcDir, 'Shapes.js'), 'utf8');
 const nodeCode = fs.readFileSync(path.join(srcDir, 'Node.js'), 'utf8');
 const connectionCode = fs.readFileSync(path.join(srcDir, 'Connection.js'), 'utf8');
+const svgContextCode = fs.readFileSync(path.join(srcDir, 'SVGContext.js'), 'utf8');
 const areaCode = fs.readFileSync(path.join(srcDir, 'Area.js'), 'utf8');
+const dialogFocusCode = fs.readFileSync(path.join(srcDir, 'DialogFocus.js'), 'utf8');
 const nodeSettingsDialogCode = fs.readFileSync(path.join(srcDir, 'NodeSettingsDialog.js'), 'utf8');
 const areaSettingsDialogCode = fs.readFileSync(path.join(srcDir, 'AreaSettingsDialog.js'), 'utf8');
+const connectionSettingsDialogCode = fs.readFileSync(path.join(srcDir, 'ConnectionSettingsDialog.js'), 'utf8');
+const routerCode = fs.readFileSync(path.join(srcDir, 'Router.js'), 'utf8');
+const layoutCode = fs.readFileSync(path.join(srcDir, 'Layout.js'), 'utf8');
+const mermaidCode = fs.readFileSync(path.join(srcDir, 'Mermaid.js'), 'utf8');
+const drawioCode = fs.readFileSync(path.join(srcDir, 'Drawio.js'), 'utf8');
+const schemaCode = fs.readFileSync(path.join(srcDir, 'Schema.js'), 'utf8');
+const historyCode = fs.readFileSync(path.join(srcDir, 'History.js'), 'utf8');
+const storageCode = fs.readFileSync(path.join(srcDir, 'Storage.js'), 'utf8');
+const collaborationCode = fs.readFileSync(path.join(srcDir, 'Collaboration.js'), 'utf8');
+const minimapCode = fs.readFileSync(path.join(srcDir, 'Minimap.js'), 'utf8');
+const spatialIndexCode = fs.readFileSync(path.join(srcDir, 'SpatialIndex.js'), 'utf8');
+const accessibilityCode = fs.readFileSync(path.join(srcDir, 'Accessibility.js'), 'utf8');
 const indexCode = fs.readFileSync(path.join(srcDir, 'index.js'), 'utf8');
 
 // Clean all export statements from the code
@@ -31,11 +47,27 @@ function cleanExports(code) {
     .trim();
 }
 
+const cleanedEventEmitterCode = cleanExports(eventEmitterCode);
+const cleanedShapesCode = cleanExports(shapesCode);
 const cleanedNodeCode = cleanExports(nodeCode);
 const cleanedConnectionCode = cleanExports(connectionCode);
+const cleanedSvgContextCode = cleanExports(svgContextCode);
 const cleanedAreaCode = cleanExports(areaCode);
+const cleanedDialogFocusCode = cleanExports(dialogFocusCode);
 const cleanedNodeSettingsDialogCode = cleanExports(nodeSettingsDialogCode);
 const cleanedAreaSettingsDialogCode = cleanExports(areaSettingsDialogCode);
+const cleanedConnectionSettingsDialogCode = cleanExports(connectionSettingsDialogCode);
+const cleanedRouterCode = cleanExports(routerCode);
+const cleanedLayoutCode = cleanExports(layoutCode);
+const cleanedMermaidCode = cleanExports(mermaidCode);
+const cleanedDrawioCode = cleanExports(drawioCode);
+const cleanedSchemaCode = cleanExports(schemaCode);
+const cleanedHistoryCode = cleanExports(historyCode);
+const cleanedStorageCode = cleanExports(storageCode);
+const cleanedCollaborationCode = cleanExports(collaborationCode);
+const cleanedMinimapCode = cleanExports(minimapCode);
+const cleanedSpatialIndexCode = cleanExports(spatialIndexCode);
+const cleanedAccessibilityCode = cleanExports(accessibilityCode);
 const cleanedIndexCode = cleanExports(indexCode);
 
 // ============================================================================
@@ -56,30 +88,78 @@ const umdOutput = `/*!
   }
 }(typeof self !== 'undefined' ? self : this, function(JSZip) {
   'use strict';
-  
+
   // Make JSZip available globally within the library
   if (typeof window !== 'undefined' && !window.JSZip && JSZip) {
     window.JSZip = JSZip;
   }
-  
+
+  // EventEmitter class
+  ${cleanedEventEmitterCode}
+
+  // ShapeRegistry class
+  ${cleanedShapesCode}
+
   // Node class
   ${cleanedNodeCode}
-  
+
   // Connection class
   ${cleanedConnectionCode}
-  
+
+  // SVGContext class
+  ${cleanedSvgContextCode}
+
   // Area class
   ${cleanedAreaCode}
-  
+
+  // DialogFocus class
+  ${cleanedDialogFocusCode}
+
   // NodeSettingsDialog class
   ${cleanedNodeSettingsDialogCode}
-  
+
   // AreaSettingsDialog class
   ${cleanedAreaSettingsDialogCode}
-  
+
+  // ConnectionSettingsDialog class
+  ${cleanedConnectionSettingsDialogCode}
+
+  // OrthogonalRouter class
+  ${cleanedRouterCode}
+
+  // HierarchicalLayout class
+  ${cleanedLayoutCode}
+
+  // MermaidFormat class
+  ${cleanedMermaidCode}
+
+  // DrawioFormat class
+  ${cleanedDrawioCode}
+
+  // DiagramSchema class
+  ${cleanedSchemaCode}
+
+  // CommandHistory class
+  ${cleanedHistoryCode}
+
+  // Storage adapters
+  ${cleanedStorageCode}
+
+  // Collaboration
+  ${cleanedCollaborationCode}
+
+  // Minimap class
+  ${cleanedMinimapCode}
+
+  // SpatialIndex class
+  ${cleanedSpatialIndexCode}
+
+  // AccessibilityLayer class
+  ${cleanedAccessibilityCode}
+
   // Main Canvas class
   ${cleanedIndexCode}
-  
+
   // Export
   return {
     Canvas: FlowchartCanvas,
@@ -87,7 +167,12 @@ const umdOutput = `/*!
     Connection: Connection,
     Area: Area,
     NodeSettingsDialog: NodeSettingsDialog,
-    AreaSettingsDialog: AreaSettingsDialog
+    AreaSettingsDialog: AreaSettingsDialog,
+    ConnectionSettingsDialog: ConnectionSettingsDialog,
+    LocalStorageAdapter: LocalStorageAdapter,
+    IndexedDBAdapter: IndexedDBAdapter,
+    RestStorageAdapter: RestStorageAdapter,
+    InMemoryProvider: InMemoryProvider
   };
 }));
 `;
@@ -102,21 +187,69 @@ const cjsOutput = `/*!
 
 const JSZip = require('jszip');
 
+// EventEmitter class
+${cleanedEventEmitterCode}
+
+// ShapeRegistry class
+${cleanedShapesCode}
+
 // Node class
 ${cleanedNodeCode}
 
 // Connection class
 ${cleanedConnectionCode}
 
+// SVGContext class
+${cleanedSvgContextCode}
+
 // Area class
 ${cleanedAreaCode}
 
+// DialogFocus class
+${cleanedDialogFocusCode}
+
 // NodeSettingsDialog class
 ${cleanedNodeSettingsDialogCode}
 
 // AreaSettingsDialog class
 ${cleanedAreaSettingsDialogCode}
 
+// ConnectionSettingsDialog class
+${cleanedConnectionSettingsDialogCode}
+
+// OrthogonalRouter class
+${cleanedRouterCode}
+
+// HierarchicalLayout class
+${cleanedLayoutCode}
+
+// MermaidFormat class
+${cleanedMermaidCode}
+
+// DrawioFormat class
+${cleanedDrawioCode}
+
+// DiagramSchema class
+${cleanedSchemaCode}
+
+// CommandHistory class
+${cleanedHistoryCode}
+
+// Storage adapters
+${cleanedStorageCode}
+
+// Collaboration
+${cleanedCollaborationCode}
+
+// Minimap class
+${cleanedMinimapCode}
+
+// SpatialIndex class
+${cleanedSpatialIndexCode}
+
+// AccessibilityLayer class
+${cleanedAccessibilityCode}
+
 // Main Canvas class
 ${cleanedIndexCode}
 
@@ -127,7 +260,12 @@ module.exports = {
   Connection: Connection,
   Area: Area,
   NodeSettingsDialog: NodeSettingsDialog,
-  AreaSettingsDialog: AreaSettingsDialog
+  AreaSettingsDialog: AreaSettingsDialog,
+  ConnectionSettingsDialog: ConnectionSettingsDialog,
+  LocalStorageAdapter: LocalStorageAdapter,
+  IndexedDBAdapter: IndexedDBAdapter,
+  RestStorageAdapter: RestStorageAdapter,
+  InMemoryProvider: InMemoryProvider
 };
 
 module.exports.default = module.exports;
@@ -142,26 +280,74 @@ const esmOutput = `/*!
 
 import JSZip from 'jszip';
 
+// EventEmitter class
+${cleanedEventEmitterCode}
+
+// ShapeRegistry class
+${cleanedShapesCode}
+
 // Node class
 ${cleanedNodeCode}
 
 // Connection class
 ${cleanedConnectionCode}
 
+// SVGContext class
+${cleanedSvgContextCode}
+
 // Area class
 ${cleanedAreaCode}
 
+// DialogFocus class
+${cleanedDialogFocusCode}
+
 // NodeSettingsDialog class
 ${cleanedNodeSettingsDialogCode}
 
 // AreaSettingsDialog class
 ${cleanedAreaSettingsDialogCode}
 
+// ConnectionSettingsDialog class
+${cleanedConnectionSettingsDialogCode}
+
+// OrthogonalRouter class
+${cleanedRouterCode}
+
+// HierarchicalLayout class
+${cleanedLayoutCode}
+
+// MermaidFormat class
+${cleanedMermaidCode}
+
+// DrawioFormat class
+${cleanedDrawioCode}
+
+// DiagramSchema class
+${cleanedSchemaCode}
+
+// CommandHistory class
+${cleanedHistoryCode}
+
+// Storage adapters
+${cleanedStorageCode}
+
+// Collaboration
+${cleanedCollaborationCode}
+
+// Minimap class
+${cleanedMinimapCode}
+
+// SpatialIndex class
+${cleanedSpatialIndexCode}
+
+// AccessibilityLayer class
+${cleanedAccessibilityCode}
+
 // Main Canvas class
 ${cleanedIndexCode}
 
 // Named exports
-export { FlowchartCanvas as Canvas, Node, Connection, Area, NodeSettingsDialog, AreaSettingsDialog };
+export { FlowchartCanvas as Canvas, Node, Connection, Area, NodeSettingsDialog, AreaSettingsDialog, ConnectionSettingsDialog, LocalStorageAdapter, IndexedDBAdapter, RestStorageAdapter, InMemoryProvider };
 
 // Default export
 export default {
@@ -170,7 +356,12 @@ export default {
   Connection,
   Area,
   NodeSettingsDialog,
-  AreaSettingsDialog
+  AreaSettingsDialog,
+  ConnectionSettingsDialog,
+  LocalStorageAdapter,
+  IndexedDBAdapter,
+  RestStorageAdapter,
+  InMemoryProvider
 };
 `;
 
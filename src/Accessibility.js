@@ -0,0 +1,174 @@
+// src/Accessibility.js
+// Screen reader support for the canvas: ARIA attributes on the <canvas>, a
+// live region that announces what the keyboard selects, and a visually hidden
+// outline of the diagram - every node with its type, text and outgoing
+// connections - for screen readers to browse.
+//
+// The outline is rebuilt after the diagram changes, at most once per frame
+// (or right away where there are no animation frames).
+import Connection from './Connection.js';
+import Area from './Area.js';
+
+// Hidden from sight but not from screen readers
+const SCREEN_READER_ONLY = `
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  margin: -1px;
+  padding: 0;
+  overflow: hidden;
+  clip: rect(0, 0, 0, 0);
+  white-space: nowrap;
+  border: 0;
+`;
+
+// Element ids must be unique when a page has several canvases
+let accessibilityLayerCount = 0;
+
+class AccessibilityLayer {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.frame = null;
+    const prefix = `flowchart-a11y-${++accessibilityLayerCount}`;
+
+    this.help = this.createElement('p', `${prefix}-help`);
+    this.help.textContent = 'Tab and Shift+Tab move between nodes. Alt and the arrow keys move to the nearest ' +
+      'node in that direction, or to the next connection from the same node. Right bracket follows a ' +
+      'connection forward and left bracket back. Arrow keys move the selected nodes, Enter edits the ' +
+      'selected item and Delete removes it.';
+
+    this.outline = this.createElement('div', `${prefix}-outline`);
+    this.outline.setAttribute('role', 'region');
+    this.outline.setAttribute('aria-label', `${options.label || 'Flowchart'} outline`);
+
+    this.liveRegion = this.createElement('div', `${prefix}-status`);
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+
+    const element = canvas.canvas;
+    element.tabIndex = 0;
+    element.setAttribute('role', 'application');
+    element.setAttribute('aria-roledescription', 'flowchart');
+    element.setAttribute('aria-label', options.label || 'Flowchart');
+    element.setAttribute('aria-describedby', `${prefix}-help`);
+
+    this.unsubscribe = [
+      canvas.on('change', () => this.scheduleUpdate()),
+      canvas.on('diagram:loaded', () => this.scheduleUpdate()),
+      canvas.on('selection:changed', ({ selection }) => this.announceSelection(selection)),
+      canvas.on('history:undo', ({ label }) => this.announce(`Undo ${label}`)),
+      canvas.on('history:redo', ({ label }) => this.announce(`Redo ${label}`))
+    ];
+    this.update();
+  }
+
+  createElement(tag, id) {
+    const element = document.createElement(tag);
+    element.id = id;
+    element.style.cssText = SCREEN_READER_ONLY;
+    this.canvas.container.appendChild(element);
+    return element;
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.unsubscribe.forEach(off => off());
+    [this.help, this.outline, this.liveRegion].forEach(element => {
+      if (element.parentNode) element.parentNode.removeChild(element);
+    });
+  }
+
+  // ============================================================================
+  // Announcements
+  // ============================================================================
+
+  announce(message) {
+    // Setting the same text again would not be read out
+    this.liveRegion.textContent = message === this.liveRegion.textContent ? `${message} ` : message;
+  }
+
+  announceSelection(selection) {
+    if (selection.length === 0) return;
+    this.announce(selection.length === 1 ? this.describe(selection[0]) : `${selection.length} items selected`);
+  }
+
+  // One sentence about an item, as read when it is selected
+  describe(item) {
+    const canvas = this.canvas;
+    if (item instanceof Connection) {
+      const label = item.label ? `, labelled ${this.plain(item.label)}` : '';
+      return `Connection from ${this.plain(item.fromNode.text)} to ${this.plain(item.toNode.text)}${label}`;
+    }
+    if (item instanceof Area) {
+      return `Section ${this.plain(item.title)}`;
+    }
+
+    const outgoing = canvas.connections.filter(conn => conn.fromNode === item).length;
+    const incoming = canvas.connections.filter(conn => conn.toNode === item).length;
+    return `${this.typeName(item)}: ${this.plain(item.text)}. ` +
+      `${this.count(outgoing, 'outgoing connection')}, ${this.count(incoming, 'incoming connection')}`;
+  }
+
+  // ============================================================================
+  // Outline
+  // ============================================================================
+
+  scheduleUpdate() {
+    if (this.frame) return;
+    if (typeof requestAnimationFrame === 'undefined') {
+      this.update();
+      return;
+    }
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  update() {
+    const { nodes, connections, areas } = this.canvas;
+    this.outline.textContent = '';
+
+    const summary = document.createElement('p');
+    summary.textContent = `${this.count(nodes.length, 'node')}, ${this.count(connections.length, 'connection')}, ` +
+      `${this.count(areas.length, 'section')}.`;
+    this.outline.appendChild(summary);
+
+    const outgoing = new Map();
+    connections.forEach(conn => {
+      if (!outgoing.has(conn.fromNode)) outgoing.set(conn.fromNode, []);
+      outgoing.get(conn.fromNode).push(this.plain(conn.toNode.text) + (conn.label ? ` (${this.plain(conn.label)})` : ''));
+    });
+
+    const list = document.createElement('ul');
+    this.canvas.getNodesInReadingOrder().forEach(node => {
+      const targets = outgoing.get(node) || [];
+
+      const entry = document.createElement('li');
+      entry.textContent = `${this.typeName(node)}: ${this.plain(node.text)}. ` +
+        (targets.length > 0 ? `Connects to ${targets.join(', ')}.` : 'No outgoing connections.');
+      list.appendChild(entry);
+    });
+    this.outline.appendChild(list);
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  typeName(node) {
+    const words = node.type.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // Multi-line text read as one line
+  plain(text) {
+    return String(text || '').replace(/\s*\n\s*/g, ' ').trim() || 'untitled';
+  }
+
+  count(n, noun) {
+    return `${n} ${noun}${n === 1 ? '' : 's'}`;
+  }
+}
+
+export default AccessibilityLayer;
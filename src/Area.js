@@ -67,7 +67,9 @@ class Area {
     if (settings.title !== undefined) this.title = settings.title;
     if (settings.fillColor !== undefined) this.fillColor = settings.fillColor;
     if (settings.outlineColor !== undefined) this.outlineColor = settings.outlineColor;
+    if (settings.outlineWidth !== undefined) this.outlineWidth = settings.outlineWidth;
     if (settings.titleBgColor !== undefined) this.titleBgColor = settings.titleBgColor;
+    if (settings.titleTextColor !== undefined) this.titleTextColor = settings.titleTextColor;
   }
   
   getSettings() {
@@ -79,7 +81,33 @@ class Area {
     };
   }
   
-  draw(ctx, isSelected = false) {
+  toJSON() {
+    return {
+      id: this.id,
+      x1: this.x1,
+      y1: this.y1,
+      x2: this.x2,
+      y2: this.y2,
+      title: this.title,
+      fillColor: this.fillColor,
+      outlineColor: this.outlineColor,
+      outlineWidth: this.outlineWidth,
+      titleBgColor: this.titleBgColor,
+      titleTextColor: this.titleTextColor
+    };
+  }
+
+  static fromJSON(data) {
+    const area = new Area(data.id, data.x1, data.y1, data.x2, data.y2, data.title);
+    area.fillColor = data.fillColor || 'rgba(33, 150, 243, 0.1)';
+    area.outlineColor = data.outlineColor || '#2196F3';
+    if (data.outlineWidth !== undefined) area.outlineWidth = data.outlineWidth;
+    area.titleBgColor = data.titleBgColor || '#2196F3';
+    area.titleTextColor = data.titleTextColor || '#FFFFFF';
+    return area;
+  }
+  
+  draw(ctx, isSelected = false, showHandles = isSelected) {
     ctx.save();
     
     // Draw filled rectangle
@@ -105,8 +133,8 @@ class Area {
     ctx.textBaseline = 'middle';
     ctx.fillText(this.title, this.x1 + 10, this.y1 - titleHeight / 2);
     
-    // Draw resize handles if selected
-    if (isSelected) {
+    // Draw resize handles if this is the only selected item
+    if (showHandles) {
       this.drawResizeHandles(ctx);
     }
     
@@ -1,5 +1,6 @@
 // src/AreaSettingsDialog.js
 // Dialog for editing area properties
+import DialogFocus from './DialogFocus.js';
 
 class AreaSettingsDialog {
   constructor(onSave, onCancel) {
@@ -7,6 +8,7 @@ class AreaSettingsDialog {
     this.onCancel = onCancel;
     this.dialog = null;
     this.area = null;
+    this.focus = new DialogFocus();
   }
 
   show(area, x, y) {
@@ -18,8 +20,12 @@ class AreaSettingsDialog {
     if (this.dialog) {
       this.close();
     }
+    this.focus.capture();
 
     this.dialog = document.createElement('div');
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.setAttribute('aria-labelledby', 'areaSettingsTitle');
     this.dialog.style.cssText = `
       position: fixed;
       background: white;
@@ -36,33 +42,33 @@ class AreaSettingsDialog {
 
     this.dialog.innerHTML = `
       <div style="margin-bottom: 20px;">
-        <h3 style="margin: 0 0 15px 0; color: #333; font-size: 18px;">Area Settings</h3>
+        <h3 id="areaSettingsTitle" style="margin: 0 0 15px 0; color: #333; font-size: 18px;">Area Settings</h3>
         
         <div style="margin-bottom: 12px;">
-          <label style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Title:</label>
+          <label for="areaTitle" style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Title:</label>
           <input type="text" id="areaTitle" value="${settings.title}" 
                  style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px;">
         </div>
 
         <div style="margin-bottom: 12px;">
-          <label style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Fill Color:</label>
+          <label for="areaFillColorPicker" style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Fill Color:</label>
           <div style="display: flex; gap: 8px; align-items: center;">
             <input type="color" id="areaFillColorPicker" value="${this.rgbaToHex(settings.fillColor)}"
                    style="width: 50px; height: 35px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
-            <input type="range" id="areaFillOpacity" min="0" max="100" value="${this.getOpacity(settings.fillColor)}"
+            <input type="range" id="areaFillOpacity" aria-label="Fill opacity" min="0" max="100" value="${this.getOpacity(settings.fillColor)}"
                    style="flex: 1;">
             <span id="areaFillOpacityValue" style="min-width: 40px; color: #555; font-size: 13px;">${this.getOpacity(settings.fillColor)}%</span>
           </div>
         </div>
 
         <div style="margin-bottom: 12px;">
-          <label style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Outline Color:</label>
+          <label for="areaOutlineColor" style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Outline Color:</label>
           <input type="color" id="areaOutlineColor" value="${settings.outlineColor}"
                  style="width: 50px; height: 35px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
         </div>
 
         <div style="margin-bottom: 12px;">
-          <label style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Title Background:</label>
+          <label for="areaTitleBgColor" style="display: block; margin-bottom: 5px; color: #555; font-size: 13px;">Title Background:</label>
           <input type="color" id="areaTitleBgColor" value="${settings.titleBgColor}"
                  style="width: 50px; height: 35px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
         </div>
@@ -133,6 +139,21 @@ class AreaSettingsDialog {
       e.stopPropagation();
     });
 
+    // Keep keystrokes inside the dialog away from the canvas shortcuts
+    this.dialog.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        this.close();
+        if (this.onCancel) this.onCancel();
+      } else if (e.key === 'Tab') {
+        this.focus.trap(this.dialog, e);
+      }
+    });
+
+    const titleInput = document.getElementById('areaTitle');
+    titleInput.focus();
+    titleInput.select();
+
     // Close on outside click
     setTimeout(() => {
       document.addEventListener('click', this.handleOutsideClick);
@@ -171,6 +192,7 @@ class AreaSettingsDialog {
       document.removeEventListener('click', this.handleOutsideClick);
       this.dialog.remove();
       this.dialog = null;
+      this.focus.restore();
     }
   }
 
@@ -0,0 +1,426 @@
+// src/Collaboration.js
+// Real-time collaboration: diagram edits as CRDT operations shared through a
+// sync provider, plus remote cursors and selections
+//
+// Every item (node, connection, area) is a set of last-writer-wins fields and
+// a last-writer-wins "exists" flag, stamped with Lamport clocks. Local edits
+// become operations by comparing the canvas with the shared state after each
+// change; operations from others are merged field by field and patched into
+// the canvas. Whatever order operations arrive in, every client ends up with
+// the same diagram.
+//
+// Operation: { action, kind, id, props, stamp: { clock, client } }
+//   action: 'add' | 'move' | 'resize' | 'restyle' | 'delete'
+//   kind:   'node' | 'connection' | 'area'
+//
+// A provider connects clients. provider.join(clientId, handlers) must pass
+// every earlier operation to handlers.receive(operations) and the current
+// presence of others to handlers.presence(clientId, state), then return
+// { send(operations), sendPresence(state), leave() }. Operations and presence
+// are plain JSON, so any broadcast channel (WebSocket, WebRTC, a Yjs array
+// and awareness) can carry them.
+import Node from './Node.js';
+import Connection from './Connection.js';
+import Area from './Area.js';
+
+// Patch order: nodes must exist before the connections between them
+const COLLAB_KINDS = ['area', 'node', 'connection'];
+const COLLAB_COLORS = ['#E91E63', '#9C27B0', '#3F51B5', '#009688', '#FF9800', '#795548', '#607D8B', '#4CAF50'];
+
+class CollaborationSession {
+  constructor(canvas, provider, options = {}) {
+    this.canvas = canvas;
+    this.provider = provider;
+    this.clientId = options.clientId || Math.random().toString(36).slice(2, 10);
+
+    const hash = [...this.clientId].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    this.user = { name: 'Anonymous', color: COLLAB_COLORS[hash % COLLAB_COLORS.length], ...options.user };
+
+    this.clock = 0;
+    this.records = new Map(); // "kind:id" -> { kind, id, exists, fields }
+    this.peers = new Map();   // clientId -> presence state
+    this.cursor = null;
+    this.link = null;
+    this.presenceFrame = null;
+  }
+
+  start() {
+    this.canvas.claimLocalIds(this.clientId);
+    this.link = this.provider.join(this.clientId, {
+      receive: operations => this.receive(operations),
+      presence: (clientId, state) => this.updatePeer(clientId, state)
+    });
+
+    this.boundMouseMove = (e) => {
+      this.cursor = this.canvas.getMousePos(e);
+      this.schedulePresence();
+    };
+    this.boundMouseLeave = () => {
+      this.cursor = null;
+      this.schedulePresence();
+    };
+    this.canvas.canvas.addEventListener('pointermove', this.boundMouseMove);
+    this.canvas.canvas.addEventListener('pointerleave', this.boundMouseLeave);
+    this.offSelectionChanged = this.canvas.on('selection:changed', () => this.schedulePresence());
+
+    // Share what is already on this canvas
+    this.captureLocalChanges();
+    this.sendPresence();
+  }
+
+  disconnect() {
+    if (!this.link) return;
+    this.link.leave();
+    this.link = null;
+
+    if (this.presenceFrame) cancelAnimationFrame(this.presenceFrame);
+    this.canvas.canvas.removeEventListener('pointermove', this.boundMouseMove);
+    this.canvas.canvas.removeEventListener('pointerleave', this.boundMouseLeave);
+    this.offSelectionChanged();
+    this.peers.clear();
+  }
+
+  // ============================================================================
+  // Operations
+  // ============================================================================
+
+  static isNewer(stamp, than) {
+    if (!than) return true;
+    if (stamp.clock !== than.clock) return stamp.clock > than.clock;
+    return stamp.client > than.client;
+  }
+
+  // Which kind of edit a changed field is
+  static classify(kind, name, data, current) {
+    if (kind === 'node') {
+      if (name === 'x' || name === 'y') return 'move';
+      if (name === 'width' || name === 'height') return 'resize';
+      return 'restyle';
+    }
+    if (kind === 'area') {
+      if (!['x1', 'y1', 'x2', 'y2'].includes(name)) return 'restyle';
+      const sameSize = data.x2 - data.x1 === current.x2 - current.x1 && data.y2 - data.y1 === current.y2 - current.y1;
+      return sameSize ? 'move' : 'resize';
+    }
+    return ['fromNodeId', 'toNodeId', 'fromPort', 'toPort', 'waypoints'].includes(name) ? 'move' : 'restyle';
+  }
+
+  createOperation(action, kind, id, props) {
+    this.clock++;
+    const operation = { action, kind, id, stamp: { clock: this.clock, client: this.clientId } };
+    if (props) operation.props = props;
+    return operation;
+  }
+
+  // Merge one operation. Returns the names of the fields it changed, with
+  // 'exists' when the item was added or deleted, or null if nothing changed.
+  apply(operation) {
+    const key = `${operation.kind}:${operation.id}`;
+    let record = this.records.get(key);
+    if (!record) {
+      record = { kind: operation.kind, id: operation.id, exists: { value: false, stamp: null }, fields: {} };
+      this.records.set(key, record);
+    }
+
+    const changed = [];
+    if ((operation.action === 'add' || operation.action === 'delete') &&
+        CollaborationSession.isNewer(operation.stamp, record.exists.stamp)) {
+      record.exists = { value: operation.action === 'add', stamp: operation.stamp };
+      changed.push('exists');
+    }
+    Object.keys(operation.props || {}).forEach(name => {
+      const field = record.fields[name];
+      if (!field || CollaborationSession.isNewer(operation.stamp, field.stamp)) {
+        record.fields[name] = { value: operation.props[name], stamp: operation.stamp };
+        changed.push(name);
+      }
+    });
+    return changed.length > 0 ? changed : null;
+  }
+
+  // The item as the canvas should show it, in toJSON() form, or null when it
+  // is deleted or is a connection with a missing end
+  materialize(record) {
+    if (!record || !record.exists.value) return null;
+
+    const data = { id: record.id };
+    Object.keys(record.fields).forEach(name => {
+      data[name] = record.fields[name].value;
+    });
+    if (record.kind === 'connection') {
+      const visible = id => this.materialize(this.records.get(`node:${id}`)) !== null;
+      if (!visible(data.fromNodeId) || !visible(data.toNodeId)) return null;
+    }
+    return data;
+  }
+
+  // Turn the differences between the canvas and the shared state into
+  // operations and send them. `changes` ({ kind, id } each) limits the
+  // comparison to those items; without it every item is compared.
+  captureLocalChanges(changes) {
+    if (!this.link) return;
+
+    // [kind, id, item data or null when it is not on the canvas]
+    let items;
+    if (changes) {
+      items = changes.map(({ kind, id }) => {
+        const item = this.canvas.findItem(kind, id);
+        return [kind, id, item && item.toJSON()];
+      });
+    } else {
+      const present = new Set();
+      items = [];
+      COLLAB_KINDS.forEach(kind => {
+        this.canvas.getItems(kind).forEach(item => {
+          present.add(`${kind}:${item.id}`);
+          items.push([kind, item.id, item.toJSON()]);
+        });
+      });
+      this.records.forEach((record, key) => {
+        if (!present.has(key)) items.push([record.kind, record.id, null]);
+      });
+    }
+
+    const operations = [];
+    items.forEach(([kind, id, item]) => {
+      const current = this.materialize(this.records.get(`${kind}:${id}`));
+      if (!item) {
+        if (current) operations.push(this.createOperation('delete', kind, id));
+        return;
+      }
+
+      const data = { ...item };
+      delete data.id;
+      if (!current) {
+        operations.push(this.createOperation('add', kind, id, data));
+        return;
+      }
+
+      const fields = {};
+      Object.keys(data).forEach(name => {
+        if (JSON.stringify(data[name]) === JSON.stringify(current[name])) return;
+        const action = CollaborationSession.classify(kind, name, data, current);
+        fields[action] = { ...fields[action], [name]: data[name] };
+      });
+      Object.keys(fields).forEach(action => {
+        operations.push(this.createOperation(action, kind, id, fields[action]));
+      });
+    });
+
+    if (operations.length === 0) return;
+    operations.forEach(operation => this.apply(operation));
+    this.link.send(operations);
+  }
+
+  receive(operations) {
+    const changed = new Map();
+    operations.forEach(operation => {
+      this.clock = Math.max(this.clock, operation.stamp.clock);
+      const fields = this.apply(operation);
+      if (!fields) return;
+      const key = `${operation.kind}:${operation.id}`;
+      changed.set(key, [...(changed.get(key) || []), ...fields]);
+    });
+    if (changed.size > 0) this.refresh(changed);
+  }
+
+  // Bring the canvas in line with changed records
+  refresh(changed) {
+    // Connections appear and disappear with their nodes
+    const visibilityChanged = [...changed.entries()]
+      .filter(([key, fields]) => key.startsWith('node:') && fields.includes('exists'))
+      .map(([key]) => key.slice('node:'.length));
+    if (visibilityChanged.length > 0) {
+      this.records.forEach((record, key) => {
+        if (record.kind !== 'connection' || changed.has(key)) return;
+        const ends = [record.fields.fromNodeId, record.fields.toNodeId].map(field => field && field.value);
+        if (ends.some(id => visibilityChanged.includes(id))) changed.set(key, ['exists']);
+      });
+    }
+
+    const updates = [...changed.entries()]
+      .map(([key, fields]) => {
+        const record = this.records.get(key);
+        return { kind: record.kind, id: record.id, data: this.materialize(record), fields };
+      })
+      .sort((a, b) => COLLAB_KINDS.indexOf(a.kind) - COLLAB_KINDS.indexOf(b.kind));
+
+    // Undo steps keep only the fields they changed, so folding remote
+    // changes into the committed state is enough for undo to leave them be
+    updates.forEach(({ kind, id, data, fields }) => {
+      this.canvas.applyItemState(kind, id, data);
+      this.canvas.history.rebase(kind, id, fields);
+    });
+
+    // Remote edits are part of the diagram like local ones, so they are
+    // autosaved and kept in drafts too
+    this.canvas.emit('change', { source: 'remote' });
+    this.canvas.markDirty();
+    this.canvas.render();
+  }
+
+  // ============================================================================
+  // Presence
+  // ============================================================================
+
+  schedulePresence() {
+    if (this.presenceFrame) return;
+    if (typeof requestAnimationFrame === 'undefined') {
+      this.sendPresence();
+      return;
+    }
+    this.presenceFrame = requestAnimationFrame(() => {
+      this.presenceFrame = null;
+      this.sendPresence();
+    });
+  }
+
+  sendPresence() {
+    if (!this.link) return;
+
+    const selection = { nodes: [], connections: [], areas: [] };
+    this.canvas.getSelection().forEach(item => {
+      if (item instanceof Node) selection.nodes.push(item.id);
+      else if (item instanceof Connection) selection.connections.push(item.id);
+      else if (item instanceof Area) selection.areas.push(item.id);
+    });
+    this.link.sendPresence({ user: this.user, cursor: this.cursor, selection });
+  }
+
+  updatePeer(clientId, state) {
+    if (clientId === this.clientId) return;
+    if (state) this.peers.set(clientId, state);
+    else this.peers.delete(clientId);
+
+    this.canvas.emit('collab:presence', { clientId, state });
+    // Remote cursors and selections are drawn over the cached diagram
+    this.canvas.renderInteraction();
+  }
+
+  getPeers() {
+    return [...this.peers.entries()].map(([clientId, state]) => ({ clientId, ...state }));
+  }
+
+  // Drawn in world coordinates, on top of the diagram
+  draw(ctx) {
+    const zoom = this.canvas.zoom;
+
+    this.peers.forEach(({ user, cursor, selection = {} }) => {
+      ctx.save();
+      ctx.strokeStyle = user.color;
+      ctx.lineWidth = 2 / zoom;
+      ctx.setLineDash([]);
+
+      const pad = 5 / zoom;
+      (selection.nodes || []).forEach(id => {
+        const node = this.canvas.getNodeById(id);
+        if (!node) return;
+        const bounds = node.getBounds();
+        ctx.strokeRect(bounds.x - pad, bounds.y - pad, bounds.width + pad * 2, bounds.height + pad * 2);
+      });
+      (selection.areas || []).forEach(id => {
+        const area = this.canvas.getAreaById(id);
+        if (!area) return;
+        ctx.strokeRect(area.x1 - pad, area.y1 - 30 - pad, area.width + pad * 2, area.height + 30 + pad * 2);
+      });
+      (selection.connections || []).forEach(id => {
+        const connection = this.canvas.getConnectionById(id);
+        if (!connection) return;
+        ctx.globalAlpha = 0.4;
+        ctx.lineWidth = connection.strokeWidth + 6 / zoom;
+        ctx.lineJoin = 'round';
+        connection.strokePolyline(ctx, connection.getPathPoints());
+        ctx.globalAlpha = 1;
+      });
+
+      if (cursor) this.drawCursor(ctx, cursor, user, zoom);
+      ctx.restore();
+    });
+  }
+
+  drawCursor(ctx, cursor, user, zoom) {
+    ctx.save();
+    ctx.translate(cursor.x, cursor.y);
+    ctx.scale(1 / zoom, 1 / zoom);
+
+    // Arrow pointer
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(0, 16);
+    ctx.lineTo(4, 12);
+    ctx.lineTo(7, 18);
+    ctx.lineTo(9.5, 17);
+    ctx.lineTo(6.5, 11);
+    ctx.lineTo(11.5, 11);
+    ctx.closePath();
+    ctx.fillStyle = user.color;
+    ctx.fill();
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    // Name tag
+    ctx.font = '12px Arial';
+    const width = ctx.measureText(user.name).width + 10;
+    ctx.fillStyle = user.color;
+    ctx.fillRect(12, 16, width, 18);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(user.name, 17, 25);
+    ctx.restore();
+  }
+}
+
+// Connects canvases in the same page, for tests and demos. Operations and
+// presence are copied as JSON, as a network would. With options.latency
+// (milliseconds) messages arrive later instead of immediately.
+class InMemoryProvider {
+  constructor(options = {}) {
+    this.latency = options.latency === undefined ? null : options.latency;
+    this.operations = [];
+    this.clients = new Map();
+    this.presence = new Map();
+  }
+
+  join(clientId, handlers) {
+    this.clients.set(clientId, handlers);
+
+    // Catch up with everything said before joining
+    if (this.operations.length > 0) handlers.receive(InMemoryProvider.copy(this.operations));
+    this.presence.forEach((state, id) => handlers.presence(id, InMemoryProvider.copy(state)));
+
+    return {
+      send: (operations) => {
+        this.operations.push(...InMemoryProvider.copy(operations));
+        this.deliver(clientId, peer => peer.receive(InMemoryProvider.copy(operations)));
+      },
+      sendPresence: (state) => {
+        this.presence.set(clientId, InMemoryProvider.copy(state));
+        this.deliver(clientId, peer => peer.presence(clientId, InMemoryProvider.copy(state)));
+      },
+      leave: () => {
+        this.clients.delete(clientId);
+        this.presence.delete(clientId);
+        this.deliver(clientId, peer => peer.presence(clientId, null));
+      }
+    };
+  }
+
+  deliver(from, send) {
+    this.clients.forEach((handlers, clientId) => {
+      if (clientId === from) return;
+      if (this.latency === null) send(handlers);
+      else setTimeout(() => {
+        // The client may have left in the meantime
+        if (this.clients.get(clientId) === handlers) send(handlers);
+      }, this.latency);
+    });
+  }
+
+  static copy(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+export { CollaborationSession, InMemoryProvider };
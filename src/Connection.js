@@ -1,6 +1,9 @@
 // src/Connection.js
 // Represents a connection between two flowchart nodes with orthogonal routing
 
+// Line segments used to approximate each curved span
+const CURVE_SAMPLES = 16;
+
 class Connection {
   constructor(id, fromNode, fromPort, toNode, toPort) {
     this.id = id;
@@ -10,24 +13,50 @@ class Connection {
     this.toPort = toPort;
     this.selected = false;
     this.waypoints = [];
+
+    // Customizable properties with default values
+    this.strokeColor = '#000000';
+    this.strokeWidth = 2;
+    this.lineStyle = 'solid';       // 'solid', 'dashed', 'dotted'
+    this.pathStyle = 'orthogonal';  // 'orthogonal', 'straight', 'curved'
+    this.startMarker = 'none';      // 'none', 'arrow', 'openArrow', 'diamond', 'circle'
+    this.endMarker = 'arrow';
+
+    // Text shown on a chip along the path; labelPosition is a fraction of the path length
+    this.label = '';
+    this.labelPosition = 0.5;
+    this.labelBounds = null; // Measured while drawing, used for hit-testing
+
+    // Obstacle-avoiding path filled in by the canvas router
+    this.route = null;
+    this.routeKey = null;
   }
   
   getPortPosition(node, port) {
-    switch(port) {
-      case 'top':
-        return { x: node.x, y: node.y - node.height / 2 };
-      case 'right':
-        return { x: node.x + node.width / 2, y: node.y };
-      case 'bottom':
-        return { x: node.x, y: node.y + node.height / 2 };
-      case 'left':
-        return { x: node.x - node.width / 2, y: node.y };
-      default:
-        return { x: node.x, y: node.y };
-    }
+    const point = node.getPort(port);
+    return point ? { x: point.x, y: point.y } : { x: node.x, y: node.y };
+  }
+
+  // Side of the node a port faces; named ports resolve through the node
+  getPortSide(node, port) {
+    const point = node.getPort(port);
+    return point ? point.side : port;
+  }
+
+  getStartSide() {
+    return this.getPortSide(this.fromNode, this.fromPort);
+  }
+
+  getEndSide() {
+    return this.getPortSide(this.toNode, this.toPort);
   }
 
   isNearPoint(x, y, zoom = 1, threshold = 15) {
+    return this.getSegmentAt(x, y, zoom, threshold) !== -1;
+  }
+
+  // Index i of the path segment (points[i] -> points[i + 1]) under the point, or -1
+  getSegmentAt(x, y, zoom = 1, threshold = 15) {
     const adjustedThreshold = threshold / zoom;
     const points = this.getPathPoints();
     
@@ -36,10 +65,116 @@ class Connection {
       const end = points[i + 1];
       const dist = this.pointToLineDistance(x, y, start.x, start.y, end.x, end.y);
       if (dist < adjustedThreshold) {
-        return true;
+        return i;
       }
     }
-    return false;
+    return -1;
+  }
+
+  // Like getSegmentAt, but indexes the editable polyline from getControlPoints()
+  getControlSegmentAt(x, y, zoom = 1, threshold = 15) {
+    const segment = this.getSegmentAt(x, y, zoom, threshold);
+    if (segment === -1 || this.pathStyle !== 'curved') return segment;
+    return Math.floor(segment / CURVE_SAMPLES);
+  }
+
+  // ============================================================================
+  // Labels
+  // ============================================================================
+
+  // Point lying `fraction` (0..1) of the way along the drawn path
+  getPointAtFraction(fraction) {
+    const points = this.getPathPoints();
+    const lengths = [];
+    let total = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      const length = this.distanceToPoint(points[i].x, points[i].y, points[i + 1].x, points[i + 1].y);
+      lengths.push(length);
+      total += length;
+    }
+
+    let remaining = Math.max(0, Math.min(1, fraction)) * total;
+    for (let i = 0; i < lengths.length; i++) {
+      if (remaining <= lengths[i] || i === lengths.length - 1) {
+        const t = lengths[i] > 0 ? Math.min(1, remaining / lengths[i]) : 0;
+        return {
+          x: points[i].x + (points[i + 1].x - points[i].x) * t,
+          y: points[i].y + (points[i + 1].y - points[i].y) * t
+        };
+      }
+      remaining -= lengths[i];
+    }
+    return { x: points[0].x, y: points[0].y };
+  }
+
+  // Fraction of the path length at the path point closest to (x, y)
+  getFractionAtPoint(x, y) {
+    const points = this.getPathPoints();
+    let total = 0;
+    let bestDistance = Infinity;
+    let bestLength = 0;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const p = points[i];
+      const q = points[i + 1];
+      const dx = q.x - p.x;
+      const dy = q.y - p.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((x - p.x) * dx + (y - p.y) * dy) / lengthSquared))
+        : 0;
+      const distance = this.distanceToPoint(x, y, p.x + dx * t, p.y + dy * t);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestLength = total + Math.sqrt(lengthSquared) * t;
+      }
+      total += Math.sqrt(lengthSquared);
+    }
+
+    return total > 0 ? bestLength / total : 0.5;
+  }
+
+  isOnLabel(x, y) {
+    const bounds = this.labelBounds;
+    return !!bounds &&
+      x >= bounds.x && x <= bounds.x + bounds.width &&
+      y >= bounds.y && y <= bounds.y + bounds.height;
+  }
+
+  // ============================================================================
+  // Waypoints
+  // ============================================================================
+
+  getWaypointAt(x, y, zoom = 1) {
+    const threshold = 8 / zoom;
+    return this.waypoints.findIndex(point =>
+      this.distanceToPoint(x, y, point.x, point.y) < threshold
+    );
+  }
+
+  // Add a bend inside path segment i. The first bend freezes the current
+  // auto-routed corners as waypoints so the line does not jump.
+  insertWaypoint(segmentIndex, x, y) {
+    if (this.waypoints.length === 0) {
+      const points = this.getControlPoints();
+      this.waypoints = points.slice(1, -1).map(point => ({ x: point.x, y: point.y }));
+    }
+    this.waypoints.splice(segmentIndex, 0, { x, y });
+    return segmentIndex;
+  }
+
+  moveWaypoint(index, x, y) {
+    if (this.waypoints[index]) {
+      this.waypoints[index] = { x, y };
+    }
+  }
+
+  removeWaypoint(index) {
+    this.waypoints.splice(index, 1);
+  }
+
+  resetWaypoints() {
+    this.waypoints = [];
   }
 
   distanceToPoint(x1, y1, x2, y2) {
@@ -64,15 +199,89 @@ class Connection {
     return Math.sqrt((px - nearestX) * (px - nearestX) + (py - nearestY) * (py - nearestY));
   }
 
+  // Box around the drawn path and, once drawn, its label
+  getBounds() {
+    const points = this.getPathPoints();
+    let minX = Math.min(...points.map(point => point.x));
+    let minY = Math.min(...points.map(point => point.y));
+    let maxX = Math.max(...points.map(point => point.x));
+    let maxY = Math.max(...points.map(point => point.y));
+    if (this.labelBounds) {
+      const { x, y, width, height } = this.labelBounds;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x + width);
+      maxY = Math.max(maxY, y + height);
+    }
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  // Geometry that is drawn and hit-tested
   getPathPoints() {
+    const points = this.getControlPoints();
+    return this.pathStyle === 'curved' ? this.sampleCurve(points) : points;
+  }
+
+  // The editable polyline: ports plus waypoints, or the automatic route
+  getControlPoints() {
     const start = this.getPortPosition(this.fromNode, this.fromPort);
     const end = this.getPortPosition(this.toNode, this.toPort);
     
     if (this.waypoints.length > 0) {
       return [start, ...this.waypoints, end];
     }
+
+    if (this.pathStyle !== 'orthogonal') {
+      return [start, end];
+    }
+
+    // Only trust the routed path while both endpoints are where it was computed
+    if (this.route && this.routeKey === this.getRouteKey()) {
+      return this.route;
+    }
     
-    return this.calculateOrthogonalPath(start, end, this.fromPort, this.toPort);
+    return this.calculateOrthogonalPath(start, end, this.getStartSide(), this.getEndSide());
+  }
+
+  // Smooth cubic curve through the control points, leaving and entering the
+  // nodes perpendicular to their ports
+  sampleCurve(points) {
+    const startDir = this.getPortDirection(this.getStartSide());
+    const endDir = this.getPortDirection(this.getEndSide());
+
+    const tangents = points.map((point, i) => {
+      if (i === 0) return startDir;
+      if (i === points.length - 1) return { x: -endDir.x, y: -endDir.y };
+      const dx = points[i + 1].x - points[i - 1].x;
+      const dy = points[i + 1].y - points[i - 1].y;
+      const length = Math.sqrt(dx * dx + dy * dy) || 1;
+      return { x: dx / length, y: dy / length };
+    });
+
+    const samples = [{ x: points[0].x, y: points[0].y }];
+    for (let i = 0; i < points.length - 1; i++) {
+      const p0 = points[i];
+      const p3 = points[i + 1];
+      const reach = this.distanceToPoint(p0.x, p0.y, p3.x, p3.y) / 2;
+      const p1 = { x: p0.x + tangents[i].x * reach, y: p0.y + tangents[i].y * reach };
+      const p2 = { x: p3.x - tangents[i + 1].x * reach, y: p3.y - tangents[i + 1].y * reach };
+
+      for (let s = 1; s <= CURVE_SAMPLES; s++) {
+        const t = s / CURVE_SAMPLES;
+        const u = 1 - t;
+        samples.push({
+          x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+          y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+        });
+      }
+    }
+    return samples;
+  }
+
+  getRouteKey() {
+    const start = this.getPortPosition(this.fromNode, this.fromPort);
+    const end = this.getPortPosition(this.toNode, this.toPort);
+    return `${start.x},${start.y},${this.fromPort}|${end.x},${end.y},${this.toPort}`;
   }
 
   calculateOrthogonalPath(start, end, startPort, endPort) {
@@ -151,8 +360,9 @@ class Connection {
     return points;
   }
 
-  getPortDirection(port) {
-    switch(port) {
+  // Unit vector pointing out of a node side
+  getPortDirection(side) {
+    switch(side) {
       case 'top': return { x: 0, y: -1 };
       case 'right': return { x: 1, y: 0 };
       case 'bottom': return { x: 0, y: 1 };
@@ -161,23 +371,97 @@ class Connection {
     }
   }
 
+  // ============================================================================
+  // Settings Methods
+  // ============================================================================
+
+  updateSettings(settings) {
+    if (settings.strokeColor !== undefined) this.strokeColor = settings.strokeColor;
+    if (settings.strokeWidth !== undefined) this.strokeWidth = settings.strokeWidth;
+    if (settings.lineStyle !== undefined) this.lineStyle = settings.lineStyle;
+    if (settings.pathStyle !== undefined) this.pathStyle = settings.pathStyle;
+    if (settings.startMarker !== undefined) this.startMarker = settings.startMarker;
+    if (settings.endMarker !== undefined) this.endMarker = settings.endMarker;
+    if (settings.label !== undefined) this.label = settings.label;
+    if (settings.labelPosition !== undefined) this.labelPosition = settings.labelPosition;
+  }
+
+  getSettings() {
+    return {
+      strokeColor: this.strokeColor,
+      strokeWidth: this.strokeWidth,
+      lineStyle: this.lineStyle,
+      pathStyle: this.pathStyle,
+      startMarker: this.startMarker,
+      endMarker: this.endMarker,
+      label: this.label,
+      labelPosition: this.labelPosition
+    };
+  }
+
+  // ============================================================================
+  // Serialization
+  // ============================================================================
+
+  toJSON() {
+    return {
+      id: this.id,
+      fromNodeId: this.fromNode.id,
+      fromPort: this.fromPort,
+      toNodeId: this.toNode.id,
+      toPort: this.toPort,
+      waypoints: this.waypoints.map(point => ({ x: point.x, y: point.y })),
+      ...this.getSettings()
+    };
+  }
+
+  static fromJSON(data, fromNode, toNode) {
+    const connection = new Connection(data.id, fromNode, data.fromPort, toNode, data.toPort);
+    connection.waypoints = (data.waypoints || []).map(point => ({ x: point.x, y: point.y }));
+    connection.updateSettings(data);
+    return connection;
+  }
+
+  // ============================================================================
+  // Drawing Methods
+  // ============================================================================
+
   draw(ctx, isSelected = false) {
     ctx.save();
     
     const points = this.getPathPoints();
-    
-    ctx.strokeStyle = '#000';
-    ctx.lineWidth = isSelected ? 3 : 2;
-    ctx.setLineDash([]);
-    
-    ctx.beginPath();
-    ctx.moveTo(points[0].x, points[0].y);
-    
-    for (let i = 1; i < points.length; i++) {
-      ctx.lineTo(points[i].x, points[i].y);
+    const markerSize = 6 + this.strokeWidth * 2;
+
+    // Selection halo under the line
+    if (isSelected) {
+      ctx.strokeStyle = 'rgba(33, 150, 243, 0.35)';
+      ctx.lineWidth = this.strokeWidth + 6;
+      ctx.lineJoin = 'round';
+      ctx.setLineDash([]);
+      this.strokePolyline(ctx, points);
     }
-    
-    ctx.stroke();
+
+    // Stop the line short of solid markers so it does not poke through the tip
+    const line = this.trimPath(
+      points,
+      this.getMarkerLength(this.startMarker, markerSize),
+      this.getMarkerLength(this.endMarker, markerSize)
+    );
+
+    ctx.strokeStyle = this.strokeColor;
+    ctx.lineWidth = this.strokeWidth;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = this.lineStyle === 'dotted' ? 'round' : 'butt';
+    ctx.setLineDash(this.getLineDash());
+    this.strokePolyline(ctx, line);
+    ctx.setLineDash([]);
+    ctx.lineCap = 'butt';
+
+    const n = points.length;
+    this.drawMarker(ctx, this.startMarker, points[0], this.findDistinctPoint(points, 0, 1), markerSize);
+    this.drawMarker(ctx, this.endMarker, points[n - 1], this.findDistinctPoint(points, n - 1, -1), markerSize);
+
+    this.drawLabel(ctx, isSelected);
     
     if (isSelected && this.waypoints.length > 0) {
       ctx.fillStyle = '#2196F3';
@@ -194,6 +478,156 @@ class Connection {
     
     ctx.restore();
   }
+
+  strokePolyline(ctx, points) {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.stroke();
+  }
+
+  getLineDash() {
+    switch(this.lineStyle) {
+      case 'dashed': return [this.strokeWidth * 4, this.strokeWidth * 3];
+      case 'dotted': return [1, this.strokeWidth * 2.5];
+      default: return [];
+    }
+  }
+
+  getMarkerLength(type, size) {
+    switch(type) {
+      case 'arrow': return size * 0.8;
+      case 'diamond': return size * 1.4;
+      case 'circle': return size;
+      default: return 0;
+    }
+  }
+
+  // Walk from points[index] in direction step until a point that differs from it
+  findDistinctPoint(points, index, step) {
+    const origin = points[index];
+    for (let i = index + step; i >= 0 && i < points.length; i += step) {
+      if (points[i].x !== origin.x || points[i].y !== origin.y) return points[i];
+    }
+    return origin;
+  }
+
+  trimPath(points, startTrim, endTrim) {
+    const result = points.map(point => ({ x: point.x, y: point.y }));
+    const shorten = (tipIndex, neighbourIndex, amount) => {
+      const tip = result[tipIndex];
+      const neighbour = result[neighbourIndex];
+      const length = this.distanceToPoint(tip.x, tip.y, neighbour.x, neighbour.y);
+      if (amount <= 0 || length <= amount) return;
+      tip.x += (neighbour.x - tip.x) * amount / length;
+      tip.y += (neighbour.y - tip.y) * amount / length;
+    };
+    if (result.length >= 2) {
+      shorten(0, 1, startTrim);
+      shorten(result.length - 1, result.length - 2, endTrim);
+    }
+    return result;
+  }
+
+  // Text chip centred on the path at labelPosition
+  drawLabel(ctx, isSelected) {
+    if (!this.label) {
+      this.labelBounds = null;
+      return;
+    }
+
+    const fontSize = 12;
+    const lineHeight = fontSize * 1.2;
+    const padding = 4;
+    const lines = this.label.split('\n');
+
+    ctx.font = `${fontSize}px Arial`;
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+    const width = textWidth + padding * 2;
+    const height = lines.length * lineHeight + padding;
+    const center = this.getPointAtFraction(this.labelPosition);
+    const x = center.x - width / 2;
+    const y = center.y - height / 2;
+    const radius = 4;
+
+    this.labelBounds = { x, y, width, height };
+
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.arcTo(x + width, y, x + width, y + radius, radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.arcTo(x + width, y + height, x + width - radius, y + height, radius);
+    ctx.lineTo(x + radius, y + height);
+    ctx.arcTo(x, y + height, x, y + height - radius, radius);
+    ctx.lineTo(x, y + radius);
+    ctx.arcTo(x, y, x + radius, y, radius);
+    ctx.closePath();
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = isSelected ? '#2196F3' : '#BDBDBD';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = this.strokeColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const startY = center.y - (lines.length * lineHeight) / 2 + lineHeight / 2;
+    lines.forEach((line, index) => {
+      ctx.fillText(line, center.x, startY + index * lineHeight);
+    });
+  }
+
+  // Draw a marker whose tip sits on `tip`, pointing away from `from`
+  drawMarker(ctx, type, tip, from, size) {
+    if (!type || type === 'none' || (tip.x === from.x && tip.y === from.y)) return;
+
+    ctx.save();
+    ctx.translate(tip.x, tip.y);
+    ctx.rotate(Math.atan2(tip.y - from.y, tip.x - from.x));
+    ctx.fillStyle = this.strokeColor;
+    ctx.strokeStyle = this.strokeColor;
+    ctx.lineWidth = this.strokeWidth;
+    ctx.lineJoin = 'miter';
+    ctx.setLineDash([]);
+
+    ctx.beginPath();
+    switch(type) {
+      case 'arrow':
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-size, -size / 2);
+        ctx.lineTo(-size, size / 2);
+        ctx.closePath();
+        ctx.fill();
+        break;
+      case 'openArrow':
+        ctx.moveTo(-size, -size / 2);
+        ctx.lineTo(0, 0);
+        ctx.lineTo(-size, size / 2);
+        ctx.stroke();
+        break;
+      case 'diamond':
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-size * 0.7, -size / 2.5);
+        ctx.lineTo(-size * 1.4, 0);
+        ctx.lineTo(-size * 0.7, size / 2.5);
+        ctx.closePath();
+        ctx.fill();
+        break;
+      case 'circle':
+        ctx.arc(-size / 2, 0, size / 2, 0, Math.PI * 2);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fill();
+        ctx.stroke();
+        break;
+    }
+
+    ctx.restore();
+  }
 }
 
-export default Connection;
\ No newline at end of file
+export default Connection;
@@ -0,0 +1,308 @@
+// src/ConnectionSettingsDialog.js
+// Dialog for editing connection line styles that appears beside the cursor
+import DialogFocus from './DialogFocus.js';
+
+class ConnectionSettingsDialog {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.dialog = null;
+    this.focus = new DialogFocus();
+    this.currentConnection = null;
+    this.onSave = null;
+    this.createDialog();
+  }
+
+  createDialog() {
+    // Create dialog container
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'flowchart-connection-settings-dialog';
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.setAttribute('aria-labelledby', 'connection-settings-title');
+    this.dialog.style.cssText = `
+      position: fixed;
+      background: white;
+      border: 2px solid #2196F3;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      z-index: 10000;
+      display: none;
+      min-width: 320px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+    `;
+
+    const markerOptions = `
+      <option value="none">None</option>
+      <option value="arrow">Arrow</option>
+      <option value="openArrow">Open Arrow</option>
+      <option value="diamond">Diamond</option>
+      <option value="circle">Circle</option>
+    `;
+
+    // Create dialog content
+    this.dialog.innerHTML = `
+      <div style="margin-bottom: 15px;">
+        <h3 id="connection-settings-title" style="margin: 0 0 15px 0; color: #333; font-size: 16px; border-bottom: 2px solid #2196F3; padding-bottom: 8px;">
+          Connection Settings
+        </h3>
+      </div>
+
+      <div style="margin-bottom: 12px;">
+        <label for="connection-label" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+          Label (use Shift+Enter for line breaks):
+        </label>
+        <textarea id="connection-label" rows="2" placeholder="e.g. Yes" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; font-family: Arial, sans-serif; resize: vertical;"></textarea>
+      </div>
+
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
+        <div>
+          <label for="connection-stroke-color" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+            Line Color:
+          </label>
+          <div style="display: flex; gap: 5px; align-items: center;">
+            <input type="color" id="connection-stroke-color" style="width: 50px; height: 32px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
+            <input type="text" id="connection-stroke-color-text" aria-label="Line color hex value" placeholder="#000000" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; font-family: monospace;">
+          </div>
+        </div>
+
+        <div>
+          <label for="connection-stroke-width" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+            Line Width:
+          </label>
+          <input type="number" id="connection-stroke-width" min="1" max="10" value="2" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+        </div>
+      </div>
+
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
+        <div>
+          <label for="connection-line-style" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+            Line Style:
+          </label>
+          <select id="connection-line-style" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            <option value="solid">Solid</option>
+            <option value="dashed">Dashed</option>
+            <option value="dotted">Dotted</option>
+          </select>
+        </div>
+
+        <div>
+          <label for="connection-path-style" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+            Path:
+          </label>
+          <select id="connection-path-style" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            <option value="orthogonal">Orthogonal</option>
+            <option value="straight">Straight</option>
+            <option value="curved">Curved</option>
+          </select>
+        </div>
+      </div>
+
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 15px;">
+        <div>
+          <label for="connection-start-marker" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+            Start Marker:
+          </label>
+          <select id="connection-start-marker" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            ${markerOptions}
+          </select>
+        </div>
+
+        <div>
+          <label for="connection-end-marker" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+            End Marker:
+          </label>
+          <select id="connection-end-marker" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            ${markerOptions}
+          </select>
+        </div>
+      </div>
+
+      <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px; padding-top: 15px; border-top: 1px solid #eee;">
+        <button id="connection-settings-cancel" style="padding: 8px 20px; border: 1px solid #ddd; background: white; border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500; color: #666;">
+          Cancel
+        </button>
+        <button id="connection-settings-save" style="padding: 8px 20px; border: none; background: #2196F3; color: white; border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: 500;">
+          Save
+        </button>
+      </div>
+    `;
+
+    document.body.appendChild(this.dialog);
+
+    // Setup event listeners
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // Keep keystrokes inside the dialog away from the canvas shortcuts
+    this.dialog.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.saveSettings();
+      } else if (e.key === 'Escape') {
+        this.hide();
+      } else if (e.key === 'Tab') {
+        this.focus.trap(this.dialog, e);
+      }
+    });
+
+    this.dialog.addEventListener('keyup', (e) => {
+      e.stopPropagation();
+    });
+
+    // Color picker sync with text input
+    const strokeColorPicker = this.dialog.querySelector('#connection-stroke-color');
+    const strokeColorText = this.dialog.querySelector('#connection-stroke-color-text');
+    strokeColorPicker.addEventListener('input', (e) => {
+      strokeColorText.value = e.target.value.toUpperCase();
+    });
+    strokeColorText.addEventListener('input', (e) => {
+      if (/^#[0-9A-F]{6}$/i.test(e.target.value)) {
+        strokeColorPicker.value = e.target.value;
+      }
+    });
+
+    // Save button
+    this.dialog.querySelector('#connection-settings-save').addEventListener('click', () => {
+      this.saveSettings();
+    });
+
+    // Cancel button
+    this.dialog.querySelector('#connection-settings-cancel').addEventListener('click', () => {
+      this.hide();
+    });
+  }
+
+  show(connection, cursorX, cursorY) {
+    this.currentConnection = connection;
+    this.focus.capture();
+
+    // Store original settings to restore on cancel
+    this.originalSettings = connection.getSettings();
+
+    // Populate fields with current connection values
+    const settings = connection.getSettings();
+    this.dialog.querySelector('#connection-label').value = settings.label;
+    // The picker only takes #RRGGBB, so the text field holds the colour as
+    // it is (e.g. 'red' or rgb()) and is what gets saved
+    const isHex = /^#[0-9A-F]{6}$/i.test(settings.strokeColor);
+    this.dialog.querySelector('#connection-stroke-color').value = isHex ? settings.strokeColor : '#000000';
+    this.dialog.querySelector('#connection-stroke-color-text').value = isHex ? settings.strokeColor.toUpperCase() : settings.strokeColor;
+    this.dialog.querySelector('#connection-stroke-width').value = settings.strokeWidth;
+    this.dialog.querySelector('#connection-line-style').value = settings.lineStyle;
+    this.dialog.querySelector('#connection-path-style').value = settings.pathStyle;
+    this.dialog.querySelector('#connection-start-marker').value = settings.startMarker;
+    this.dialog.querySelector('#connection-end-marker').value = settings.endMarker;
+
+    // Show dialog
+    this.dialog.style.display = 'block';
+
+    // Position beside cursor with boundary checks
+    this.positionDialog(cursorX, cursorY);
+
+    // Focus on label input
+    setTimeout(() => {
+      const labelInput = this.dialog.querySelector('#connection-label');
+      labelInput.focus();
+      labelInput.setSelectionRange(labelInput.value.length, labelInput.value.length);
+    }, 10);
+  }
+
+  positionDialog(cursorX, cursorY) {
+    const dialogRect = this.dialog.getBoundingClientRect();
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+
+    // Default position: beside cursor (to the right)
+    let left = cursorX + 20;
+    let top = cursorY;
+
+    // Flip to the left of the cursor or move up when it would go off screen
+    if (left + dialogRect.width > viewportWidth) {
+      left = cursorX - dialogRect.width - 20;
+    }
+    if (left < 10) {
+      left = 10;
+    }
+    if (top + dialogRect.height > viewportHeight) {
+      top = viewportHeight - dialogRect.height - 10;
+    }
+    if (top < 10) {
+      top = 10;
+    }
+
+    this.dialog.style.left = `${left}px`;
+    this.dialog.style.top = `${top}px`;
+  }
+
+  saveSettings() {
+    if (!this.currentConnection) return;
+
+    // Parse and validate - use current value if empty or invalid
+    const strokeWidthInput = this.dialog.querySelector('#connection-stroke-width').value.trim();
+    let strokeWidth = parseInt(strokeWidthInput);
+    if (isNaN(strokeWidth) || strokeWidthInput === '') {
+      strokeWidth = this.currentConnection.strokeWidth;
+    } else {
+      strokeWidth = Math.max(1, Math.min(10, strokeWidth));
+    }
+
+    const settings = {
+      label: this.dialog.querySelector('#connection-label').value.trim(),
+      strokeColor: this.readStrokeColor(),
+      strokeWidth: strokeWidth,
+      lineStyle: this.dialog.querySelector('#connection-line-style').value,
+      pathStyle: this.dialog.querySelector('#connection-path-style').value,
+      startMarker: this.dialog.querySelector('#connection-start-marker').value,
+      endMarker: this.dialog.querySelector('#connection-end-marker').value
+    };
+
+    this.currentConnection.updateSettings(settings);
+
+    // Clear original settings so hide() won't restore them
+    this.originalSettings = null;
+
+    if (this.onSave) {
+      this.onSave(this.currentConnection, settings);
+    }
+
+    this.hide();
+  }
+
+  // The colour typed or picked, or the connection's own one when the field
+  // is unchanged or does not hold a colour
+  readStrokeColor() {
+    const original = this.currentConnection.strokeColor;
+    const value = this.dialog.querySelector('#connection-stroke-color-text').value.trim();
+    if (value.toLowerCase() === String(original).toLowerCase()) return original;
+
+    const valid = /^#([0-9A-F]{3}|[0-9A-F]{6})$/i.test(value) ||
+      (value !== '' && typeof CSS !== 'undefined' && CSS.supports && CSS.supports('color', value));
+    return valid ? value : original;
+  }
+
+  hide() {
+    // Restore original settings if they exist (means dialog was cancelled, not saved)
+    if (this.currentConnection && this.originalSettings) {
+      this.currentConnection.updateSettings(this.originalSettings);
+      if (this.canvas && this.canvas.render) {
+        this.canvas.render();
+      }
+    }
+
+    this.dialog.style.display = 'none';
+    this.currentConnection = null;
+    this.originalSettings = null;
+    this.focus.restore();
+  }
+
+  destroy() {
+    if (this.dialog && this.dialog.parentNode) {
+      this.dialog.parentNode.removeChild(this.dialog);
+    }
+  }
+}
+
+export default ConnectionSettingsDialog;
@@ -0,0 +1,39 @@
+// src/DialogFocus.js
+// Keyboard focus for the settings dialogs: Tab stays inside an open dialog,
+// and focus goes back to where it was (usually the canvas) when it closes
+
+class DialogFocus {
+  constructor() {
+    this.returnFocus = null;
+  }
+
+  // Call when the dialog opens. Showing it again while open keeps the
+  // element from the first time.
+  capture() {
+    if (!this.returnFocus) this.returnFocus = document.activeElement;
+  }
+
+  // Call when the dialog closes; does nothing if it was not open
+  restore() {
+    const element = this.returnFocus;
+    this.returnFocus = null;
+    if (element && element.focus) element.focus();
+  }
+
+  // Keep Tab and Shift+Tab cycling through the dialog's own fields
+  trap(dialog, e) {
+    const fields = [...dialog.querySelectorAll('input, select, textarea, button')];
+    if (fields.length === 0) return;
+    const first = fields[0];
+    const last = fields[fields.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+export default DialogFocus;
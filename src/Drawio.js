@@ -0,0 +1,490 @@
+// src/Drawio.js
+// Conversion between the canvas model and draw.io / diagrams.net files
+//
+// Import reads a .drawio <mxfile> (plain or deflate-compressed pages) or a bare
+// <mxGraphModel> into the same plain data as exportToJSON(). Export writes an
+// uncompressed .drawio file that draw.io opens directly.
+
+// draw.io shape styles for each node type
+const DRAWIO_NODE_STYLES = {
+  process: 'rounded=0;',
+  start: 'rounded=1;arcSize=50;',
+  end: 'rounded=1;arcSize=50;',
+  terminator: 'rounded=1;arcSize=50;',
+  decision: 'rhombus;',
+  ellipse: 'ellipse;',
+  connector: 'ellipse;shape=mxgraph.flowchart.on-page_reference;',
+  inputOutput: 'shape=parallelogram;perimeter=parallelogramPerimeter;fixedSize=1;',
+  predefinedProcess: 'shape=process;backgroundOutline=1;',
+  document: 'shape=document;boundedLbl=1;',
+  multiDocument: 'shape=mxgraph.flowchart.multi-document;',
+  manualInput: 'shape=manualInput;size=15;',
+  database: 'shape=cylinder3;boundedLbl=1;backgroundOutline=1;size=15;',
+  offPageConnector: 'shape=offPageConnector;',
+  delay: 'shape=delay;',
+  preparation: 'shape=hexagon;perimeter=hexagonPerimeter2;fixedSize=1;'
+};
+
+// Recognised draw.io shapes (plain and flowchart stencil names) by node type
+const DRAWIO_SHAPE_TYPES = {
+  rhombus: 'decision',
+  'mxgraph.flowchart.decision': 'decision',
+  ellipse: 'ellipse',
+  doubleEllipse: 'ellipse',
+  'mxgraph.flowchart.start_1': 'terminator',
+  'mxgraph.flowchart.start_2': 'connector',
+  'mxgraph.flowchart.terminator': 'terminator',
+  'mxgraph.flowchart.on-page_reference': 'connector',
+  parallelogram: 'inputOutput',
+  'mxgraph.flowchart.data': 'inputOutput',
+  process: 'predefinedProcess',
+  'mxgraph.flowchart.predefined_process': 'predefinedProcess',
+  document: 'document',
+  'mxgraph.flowchart.document': 'document',
+  'mxgraph.flowchart.multi-document': 'multiDocument',
+  manualInput: 'manualInput',
+  'mxgraph.flowchart.manual_input': 'manualInput',
+  cylinder: 'database',
+  cylinder3: 'database',
+  datastore: 'database',
+  'mxgraph.flowchart.database': 'database',
+  'mxgraph.flowchart.stored_data': 'database',
+  offPageConnector: 'offPageConnector',
+  'mxgraph.flowchart.off-page_reference': 'offPageConnector',
+  delay: 'delay',
+  'mxgraph.flowchart.delay': 'delay',
+  hexagon: 'preparation',
+  'mxgraph.flowchart.preparation': 'preparation',
+  'mxgraph.flowchart.process': 'process'
+};
+
+class DrawioFormat {
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '&#10;');
+  }
+
+  // ============================================================================
+  // Export
+  // ============================================================================
+
+  static stringify({ nodes, connections, areas }) {
+    const cells = [
+      ...areas.map(area => DrawioFormat.formatArea(area)),
+      ...nodes.map(node => DrawioFormat.formatNode(node)),
+      ...connections.map(conn => DrawioFormat.formatConnection(conn))
+    ];
+
+    return [
+      '<mxfile host="flowchart-lib" type="device">',
+      '  <diagram id="page-1" name="Page-1">',
+      '    <mxGraphModel grid="1" gridSize="20" guides="1" arrows="1" connect="1" page="0" math="0" shadow="0">',
+      '      <root>',
+      '        <mxCell id="flowchart-root"/>',
+      '        <mxCell id="flowchart-layer" parent="flowchart-root"/>',
+      ...cells.map(cell => '        ' + cell),
+      '      </root>',
+      '    </mxGraphModel>',
+      '  </diagram>',
+      '</mxfile>'
+    ].join('\n');
+  }
+
+  // draw.io only understands hex colours; translucent ones are blended onto white
+  static formatColor(color) {
+    if (!color || color === 'transparent') return 'none';
+    const rgba = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(color);
+    if (!rgba) return color;
+
+    const alpha = rgba[4] !== undefined ? parseFloat(rgba[4]) : 1;
+    const hex = [1, 2, 3].map(i => {
+      const channel = Math.round(parseFloat(rgba[i]) * alpha + 255 * (1 - alpha));
+      return channel.toString(16).padStart(2, '0');
+    });
+    return `#${hex.join('')}`.toUpperCase();
+  }
+
+  static formatGeometry(x, y, width, height) {
+    return `<mxGeometry x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"/>`;
+  }
+
+  static formatArea(area) {
+    const style = [
+      'swimlane;startSize=30;align=left;spacingLeft=10;fontStyle=0;',
+      `fillColor=${DrawioFormat.formatColor(area.titleBgColor)};`,
+      `swimlaneFillColor=${DrawioFormat.formatColor(area.fillColor)};`,
+      `strokeColor=${DrawioFormat.formatColor(area.outlineColor)};`,
+      `strokeWidth=${area.outlineWidth};`,
+      `fontColor=${DrawioFormat.formatColor(area.titleTextColor)};`,
+      'fontSize=14;'
+    ].join('');
+    const escape = DrawioFormat.escape;
+    return `<mxCell id="${escape(area.id)}" value="${escape(area.title)}" style="${style}" vertex="1" parent="flowchart-layer">` +
+      DrawioFormat.formatGeometry(area.x1, area.y1 - 30, area.width, area.height + 30) +
+      '</mxCell>';
+  }
+
+  static formatNode(node) {
+    const style = [
+      DRAWIO_NODE_STYLES[node.type] || DRAWIO_NODE_STYLES.process,
+      'whiteSpace=wrap;',
+      `fillColor=${DrawioFormat.formatColor(node.fillColor)};`,
+      `strokeColor=${DrawioFormat.formatColor(node.outlineColor)};`,
+      `strokeWidth=${node.outlineWidth};`,
+      `fontColor=${DrawioFormat.formatColor(node.fontColor)};`,
+      `fontSize=${node.fontSize};`
+    ].join('');
+    const escape = DrawioFormat.escape;
+    const geometry = DrawioFormat.formatGeometry(
+      node.x - node.width / 2, node.y - node.height / 2, node.width, node.height
+    );
+
+    // Links need the UserObject wrapper, which carries the id and label
+    if (node.link) {
+      return `<UserObject id="${escape(node.id)}" label="${escape(node.text)}" link="${escape(node.link)}">` +
+        `<mxCell style="${style}" vertex="1" parent="flowchart-layer">${geometry}</mxCell>` +
+        '</UserObject>';
+    }
+    return `<mxCell id="${escape(node.id)}" value="${escape(node.text)}" style="${style}" vertex="1" parent="flowchart-layer">` +
+      geometry + '</mxCell>';
+  }
+
+  static formatConnection(conn) {
+    const markers = {
+      arrow: 'classic;{end}Fill=1;',
+      openArrow: 'open;{end}Fill=0;',
+      diamond: 'diamond;{end}Fill=1;',
+      circle: 'oval;{end}Fill=1;',
+      none: 'none;'
+    };
+    const marker = (end, name) => `${end}Arrow=${(markers[name] || markers.arrow).replace('{end}', end)}`;
+
+    // Ports as fractions of the node's box
+    const anchor = (node, portName, prefix) => {
+      const port = node.getPort(portName);
+      if (!port) return '';
+      const bounds = node.getBounds();
+      const x = Math.round(((port.x - bounds.x) / bounds.width) * 1000) / 1000;
+      const y = Math.round(((port.y - bounds.y) / bounds.height) * 1000) / 1000;
+      return `${prefix}X=${x};${prefix}Y=${y};${prefix}Dx=0;${prefix}Dy=0;`;
+    };
+
+    const style = [
+      { orthogonal: 'edgeStyle=orthogonalEdgeStyle;rounded=0;', curved: 'curved=1;', straight: '' }[conn.pathStyle] || '',
+      marker('end', conn.endMarker),
+      marker('start', conn.startMarker),
+      `strokeColor=${DrawioFormat.formatColor(conn.strokeColor)};`,
+      `strokeWidth=${conn.strokeWidth};`,
+      conn.lineStyle === 'dashed' ? 'dashed=1;' : '',
+      conn.lineStyle === 'dotted' ? 'dashed=1;dashPattern=1 4;' : '',
+      anchor(conn.fromNode, conn.fromPort, 'exit'),
+      anchor(conn.toNode, conn.toPort, 'entry')
+    ].join('');
+
+    // The label sits at x along the edge, from -1 (source) to 1 (target)
+    const labelX = Math.round((conn.labelPosition * 2 - 1) * 1000) / 1000;
+    const geometry = conn.waypoints.length > 0
+      ? `<mxGeometry x="${labelX}" relative="1" as="geometry"><Array as="points">` +
+        conn.waypoints.map(point => `<mxPoint x="${point.x}" y="${point.y}"/>`).join('') +
+        '</Array></mxGeometry>'
+      : `<mxGeometry x="${labelX}" relative="1" as="geometry"/>`;
+    const escape = DrawioFormat.escape;
+
+    return `<mxCell id="${escape(conn.id)}" value="${escape(conn.label)}" style="${style}" edge="1" parent="flowchart-layer" ` +
+      `source="${escape(conn.fromNode.id)}" target="${escape(conn.toNode.id)}">${geometry}</mxCell>`;
+  }
+
+  // ============================================================================
+  // Import
+  // ============================================================================
+
+  // Resolves to { nodes, connections, areas } in the exportToJSON() format,
+  // plus `errors` for edges that were skipped ({ path, code, message } as in
+  // DiagramSchema, with the cell id as path). `options.page` picks a page of
+  // a multi-page file by index or name.
+  static async parse(text, options = {}) {
+    let model = DrawioFormat.parseXML(text).documentElement;
+
+    if (model.nodeName === 'mxfile') {
+      const pages = Array.from(model.getElementsByTagName('diagram'));
+      const page = typeof options.page === 'string'
+        ? pages.find(candidate => candidate.getAttribute('name') === options.page)
+        : pages[options.page || 0];
+      if (!page) throw new Error('draw.io file has no such page');
+
+      const inline = page.getElementsByTagName('mxGraphModel')[0];
+      model = inline || DrawioFormat.parseXML(await DrawioFormat.inflate(page.textContent)).documentElement;
+    }
+
+    if (model.nodeName !== 'mxGraphModel') {
+      throw new Error('Not a draw.io diagram: expected <mxfile> or <mxGraphModel>');
+    }
+    return DrawioFormat.readModel(model);
+  }
+
+  static parseXML(text) {
+    const doc = new DOMParser().parseFromString(String(text).trim(), 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid draw.io file: the XML could not be parsed');
+    }
+    return doc;
+  }
+
+  // Compressed pages are base64 of raw deflate of the URI-encoded XML
+  static async inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('Compressed draw.io files need DecompressionStream, which this browser does not support');
+    }
+
+    let bytes;
+    try {
+      bytes = Uint8Array.from(atob(data.trim()), char => char.charCodeAt(0));
+    } catch (e) {
+      throw new Error('Invalid draw.io file: the page is neither XML nor compressed data');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const xml = await new Response(stream).text();
+    try {
+      return decodeURIComponent(xml);
+    } catch (e) {
+      return xml;
+    }
+  }
+
+  // "rhombus;whiteSpace=wrap;fillColor=#fff" -> { rhombus: '1', whiteSpace: 'wrap', fillColor: '#fff' }
+  static parseStyle(style) {
+    const result = {};
+    (style || '').split(';').forEach(entry => {
+      if (!entry) return;
+      const separator = entry.indexOf('=');
+      if (separator === -1) result[entry] = '1';
+      else result[entry.slice(0, separator)] = entry.slice(separator + 1);
+    });
+    return result;
+  }
+
+  static readColor(value, fallback) {
+    if (value === undefined || value === 'default') return fallback;
+    return value === 'none' ? 'transparent' : value;
+  }
+
+  // Labels with html=1 hold markup; keep the text and its line breaks
+  static readLabel(value, style) {
+    if (style.html !== '1') return value;
+    return value
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li)>\s*<(div|p|li)\b[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&amp;/g, '&');
+  }
+
+  static readCells(model) {
+    const root = model.getElementsByTagName('root')[0];
+    if (!root) return [];
+
+    return Array.from(root.children).map(element => {
+      // UserObject / object wrap an mxCell and carry the id, label and link
+      const wrapped = element.nodeName !== 'mxCell';
+      const cell = wrapped ? element.getElementsByTagName('mxCell')[0] : element;
+      if (!cell) return null;
+
+      const geometryElement = Array.from(cell.children).find(child => child.nodeName === 'mxGeometry');
+      const number = (name) => parseFloat(geometryElement && geometryElement.getAttribute(name)) || 0;
+      const points = geometryElement
+        ? Array.from(geometryElement.getElementsByTagName('mxPoint'))
+          .filter(point => !point.getAttribute('as'))
+          .map(point => ({ x: parseFloat(point.getAttribute('x')) || 0, y: parseFloat(point.getAttribute('y')) || 0 }))
+        : [];
+      const style = DrawioFormat.parseStyle(cell.getAttribute('style'));
+
+      return {
+        id: (wrapped ? element : cell).getAttribute('id'),
+        value: DrawioFormat.readLabel((wrapped ? element.getAttribute('label') : cell.getAttribute('value')) || '', style),
+        link: wrapped ? element.getAttribute('link') || '' : '',
+        style,
+        vertex: cell.getAttribute('vertex') === '1',
+        edge: cell.getAttribute('edge') === '1',
+        parent: cell.getAttribute('parent'),
+        source: cell.getAttribute('source'),
+        target: cell.getAttribute('target'),
+        geometry: {
+          x: number('x'),
+          y: number('y'),
+          width: number('width'),
+          height: number('height'),
+          points
+        }
+      };
+    }).filter(Boolean);
+  }
+
+  static readModel(model) {
+    const cells = DrawioFormat.readCells(model);
+    const byId = new Map(cells.map(cell => [cell.id, cell]));
+
+    // Children of containers and groups are positioned relative to them
+    const origin = (cell) => {
+      const parent = byId.get(cell.parent);
+      if (!parent || !parent.vertex) return { x: 0, y: 0 };
+      const offset = origin(parent);
+      return { x: offset.x + parent.geometry.x, y: offset.y + parent.geometry.y };
+    };
+
+    const nodes = [];
+    const areas = [];
+    const edgeLabels = new Map();
+
+    cells.filter(cell => cell.vertex).forEach(cell => {
+      const { style, geometry } = cell;
+      const parent = byId.get(cell.parent);
+
+      // Labels placed along an edge are separate child cells
+      if (parent && parent.edge) {
+        edgeLabels.set(parent.id, { text: cell.value, position: (Math.max(-1, Math.min(1, geometry.x)) + 1) / 2 });
+        return;
+      }
+      if (style.group === '1') return;
+
+      const { x, y } = origin(cell);
+      const left = x + geometry.x;
+      const top = y + geometry.y;
+
+      if (style.swimlane === '1' || style.container === '1') {
+        const swimlane = style.swimlane === '1';
+        areas.push({
+          id: cell.id,
+          x1: left,
+          y1: top + 30,
+          x2: left + geometry.width,
+          y2: Math.max(top + geometry.height, top + 50),
+          title: cell.value,
+          fillColor: DrawioFormat.readColor(swimlane ? style.swimlaneFillColor : style.fillColor, 'transparent'),
+          outlineColor: DrawioFormat.readColor(style.strokeColor, '#000000'),
+          outlineWidth: parseFloat(style.strokeWidth) || 1,
+          titleBgColor: swimlane ? DrawioFormat.readColor(style.fillColor, '#FFFFFF') : DrawioFormat.readColor(style.strokeColor, '#000000'),
+          titleTextColor: DrawioFormat.readColor(style.fontColor, swimlane ? '#000000' : '#FFFFFF')
+        });
+        return;
+      }
+
+      nodes.push({
+        id: cell.id,
+        type: DrawioFormat.readNodeType(style, geometry),
+        x: left + geometry.width / 2,
+        y: top + geometry.height / 2,
+        width: geometry.width || 120,
+        height: geometry.height || 60,
+        text: cell.value,
+        link: cell.link,
+        fillColor: DrawioFormat.readColor(style.fillColor, style.text === '1' ? 'transparent' : '#FFFFFF'),
+        fontColor: DrawioFormat.readColor(style.fontColor, '#000000'),
+        fontSize: parseFloat(style.fontSize) || 12,
+        outlineColor: DrawioFormat.readColor(style.strokeColor, style.text === '1' ? 'transparent' : '#000000'),
+        outlineWidth: parseFloat(style.strokeWidth) || 1
+      });
+    });
+
+    const nodeById = new Map(nodes.map(node => [node.id, node]));
+    const connections = [];
+    const errors = [];
+
+    cells.filter(cell => cell.edge).forEach(cell => {
+      const from = nodeById.get(cell.source);
+      const to = nodeById.get(cell.target);
+      // Connections need a node at both ends
+      if (!from || !to) {
+        errors.push({
+          path: cell.id,
+          code: 'missing-reference',
+          message: `Edge "${cell.id}" is not attached to a shape at both ends`
+        });
+        return;
+      }
+
+      const { style } = cell;
+      const offset = origin(cell);
+      const label = edgeLabels.get(cell.id);
+      connections.push({
+        id: cell.id,
+        fromNodeId: from.id,
+        fromPort: DrawioFormat.readPort(style.exitX, style.exitY, from, to),
+        toNodeId: to.id,
+        toPort: DrawioFormat.readPort(style.entryX, style.entryY, to, from),
+        waypoints: cell.geometry.points.map(point => ({ x: point.x + offset.x, y: point.y + offset.y })),
+        strokeColor: DrawioFormat.readColor(style.strokeColor, '#000000'),
+        strokeWidth: parseFloat(style.strokeWidth) || 1,
+        lineStyle: style.dashed === '1' ? (/^1\s/.test(style.dashPattern || '') ? 'dotted' : 'dashed') : 'solid',
+        pathStyle: style.edgeStyle && style.edgeStyle !== 'none' ? 'orthogonal' : (style.curved === '1' ? 'curved' : 'straight'),
+        startMarker: DrawioFormat.readMarker(style.startArrow, style.startFill, 'none'),
+        endMarker: DrawioFormat.readMarker(style.endArrow, style.endFill, 'arrow'),
+        label: cell.value || (label ? label.text : ''),
+        labelPosition: cell.value || !label ? (Math.max(-1, Math.min(1, cell.geometry.x)) + 1) / 2 : label.position
+      });
+    });
+
+    // Terminators at the ends of the flow read as start and end
+    const incoming = new Set(connections.map(conn => conn.toNodeId));
+    const outgoing = new Set(connections.map(conn => conn.fromNodeId));
+    nodes.filter(node => node.type === 'terminator').forEach(node => {
+      if (!incoming.has(node.id) && outgoing.has(node.id)) node.type = 'start';
+      else if (incoming.has(node.id) && !outgoing.has(node.id)) node.type = 'end';
+    });
+
+    return { nodes, connections, areas, errors };
+  }
+
+  static readNodeType(style, geometry) {
+    if (style.shape && DRAWIO_SHAPE_TYPES[style.shape]) return DRAWIO_SHAPE_TYPES[style.shape];
+    const named = Object.keys(DRAWIO_SHAPE_TYPES).find(name => style[name] === '1');
+    if (named) return DRAWIO_SHAPE_TYPES[named];
+    return DrawioFormat.isPill(style, geometry) ? 'terminator' : 'process';
+  }
+
+  // rounded=1 alone is draw.io's rounded rectangle, a common process box. It
+  // is only a pill when the corners meet: arcSize is a percentage (of the
+  // shorter side, 50 = half) or, with absoluteArcSize=1, a radius in pixels.
+  static isPill(style, geometry) {
+    if (style.rounded !== '1' || style.arcSize === undefined) return false;
+    const arcSize = parseFloat(style.arcSize);
+    if (style.absoluteArcSize === '1') {
+      return arcSize * 2 >= Math.min(geometry.width || 120, geometry.height || 60);
+    }
+    return arcSize >= 50;
+  }
+
+  static readMarker(name, fill, fallback) {
+    if (name === undefined) return fallback;
+    if (name === 'none' || name === '') return 'none';
+    if (/^(open|openThin|openAsync)$/.test(name)) return 'openArrow';
+    if (/^diamond/.test(name)) return 'diamond';
+    if (/^(oval|dot|circle|circlePlus)$/.test(name)) return 'circle';
+    return fill === '0' ? 'openArrow' : 'arrow';
+  }
+
+  // The side named by an exit/entry fraction, or else the side facing the other node
+  static readPort(fractionX, fractionY, node, other) {
+    if (fractionX !== undefined && fractionY !== undefined) {
+      const x = parseFloat(fractionX);
+      const y = parseFloat(fractionY);
+      const distances = { left: x, right: 1 - x, top: y, bottom: 1 - y };
+      return Object.keys(distances).reduce((best, side) => distances[side] < distances[best] ? side : best);
+    }
+
+    const dx = other.x - node.x;
+    const dy = other.y - node.y;
+    if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? 'right' : 'left';
+    return dy > 0 ? 'bottom' : 'top';
+  }
+}
+
+export default DrawioFormat;
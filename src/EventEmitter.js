@@ -0,0 +1,75 @@
+// src/EventEmitter.js
+// Minimal event emitter with cancelable events, used as the base of FlowchartCanvas
+
+class EventEmitter {
+  constructor() {
+    this.eventListeners = {};
+  }
+
+  on(type, handler) {
+    if (!this.eventListeners[type]) {
+      this.eventListeners[type] = [];
+    }
+    this.eventListeners[type].push(handler);
+
+    // Return an unsubscribe function for convenience
+    return () => this.off(type, handler);
+  }
+
+  once(type, handler) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      handler(event);
+    };
+    wrapper.originalHandler = handler;
+    return this.on(type, wrapper);
+  }
+
+  off(type, handler) {
+    if (!type) {
+      this.eventListeners = {};
+      return;
+    }
+    if (!this.eventListeners[type]) return;
+
+    if (!handler) {
+      delete this.eventListeners[type];
+      return;
+    }
+
+    this.eventListeners[type] = this.eventListeners[type].filter(
+      listener => listener !== handler && listener.originalHandler !== handler
+    );
+  }
+
+  // Calls every listener with a single event object. Listeners of "before"
+  // events can call event.preventDefault() to veto the action; the caller
+  // checks event.defaultPrevented afterwards.
+  emit(type, detail = {}) {
+    const event = {
+      ...detail,
+      type,
+      target: this,
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      }
+    };
+
+    const listeners = this.eventListeners[type];
+    if (!listeners) return event;
+
+    for (let listener of [...listeners]) {
+      try {
+        listener(event);
+      } catch (err) {
+        // Report it as an uncaught error without stopping the other listeners
+        setTimeout(() => { throw err; });
+      }
+    }
+
+    return event;
+  }
+}
+
+export default EventEmitter;
@@ -0,0 +1,264 @@
+// src/History.js
+// Undo history as a stack of commands
+//
+// A command records, for every item an edit touched, how it looked before
+// and after, so undo and redo patch just those items instead of reloading
+// the whole diagram:
+//   { label, time, changes: [{ kind, id, before, after }] }
+// `before` and `after` are the item in toJSON() form, or null where it did
+// not exist. When it existed on both sides only the fields that changed are
+// kept, so undoing one edit leaves other changes to the same item alone.
+//
+// Items are compared with how they looked at the last commit. Edits pass the
+// items they touched, so recording costs the size of the edit, not the size
+// of the diagram; without a list every item is compared.
+import Node from './Node.js';
+import Connection from './Connection.js';
+
+// Order items are created in: nodes must exist before their connections
+const HISTORY_KINDS = ['area', 'node', 'connection'];
+
+class CommandHistory {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.limit = options.limit === undefined ? Infinity : options.limit;
+    this.commands = [];
+    this.index = -1;            // last command applied
+    this.committed = new Map(); // "kind:id" -> item JSON at the last commit
+    this.pending = null;        // { label, changes } being built
+    this.depth = 0;             // open transactions
+  }
+
+  static kindOf(item) {
+    if (item instanceof Node) return 'node';
+    if (item instanceof Connection) return 'connection';
+    return 'area';
+  }
+
+  canUndo() {
+    return this.depth === 0 && this.index >= 0;
+  }
+
+  canRedo() {
+    return this.depth === 0 && this.index < this.commands.length - 1;
+  }
+
+  // ============================================================================
+  // Recording
+  // ============================================================================
+
+  // Record an edit. `items` are the model objects it added, changed or
+  // removed; leave it out to compare every item. Returns the new command, or
+  // null when nothing changed or a transaction is still open.
+  record(label, items) {
+    if (!this.pending) this.pending = { label, changes: new Map() };
+    else if (!this.pending.label) this.pending.label = label;
+
+    if (items) {
+      items.forEach(item => {
+        const kind = CommandHistory.kindOf(item);
+        const alive = this.canvas.getItems(kind).includes(item);
+        this.compare(kind, item.id, alive ? item : null);
+      });
+    } else {
+      const seen = new Set();
+      HISTORY_KINDS.forEach(kind => {
+        this.canvas.getItems(kind).forEach(item => {
+          seen.add(`${kind}:${item.id}`);
+          this.compare(kind, item.id, item);
+        });
+      });
+      [...this.committed.keys()].filter(key => !seen.has(key)).forEach(key => {
+        const [kind, id] = key.split(/:(.*)/);
+        this.compare(kind, id, null);
+      });
+    }
+
+    return this.depth === 0 ? this.finish() : null;
+  }
+
+  compare(kind, id, item) {
+    const key = `${kind}:${id}`;
+    const json = item ? JSON.stringify(item.toJSON()) : undefined;
+    const previous = this.committed.get(key);
+    if (json === previous) return;
+
+    if (json === undefined) this.committed.delete(key);
+    else this.committed.set(key, json);
+
+    const after = json === undefined ? null : JSON.parse(json);
+    const change = this.pending.changes.get(key);
+    if (change) {
+      change.after = after;
+    } else {
+      const before = previous === undefined ? null : JSON.parse(previous);
+      this.pending.changes.set(key, { kind, id, before, after });
+    }
+  }
+
+  // Edits inside a transaction become one command when the outermost one ends
+  begin(label) {
+    if (this.depth++ === 0) this.pending = { label, changes: new Map() };
+  }
+
+  end() {
+    return --this.depth === 0 ? this.finish() : null;
+  }
+
+  finish() {
+    const { label, changes } = this.pending;
+    this.pending = null;
+
+    const kept = [];
+    changes.forEach(({ kind, id, before, after }) => {
+      if (!before || !after) {
+        if (before || after) kept.push({ kind, id, before, after });
+        return;
+      }
+      const names = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(name => JSON.stringify(before[name]) !== JSON.stringify(after[name]));
+      if (names.length === 0) return;
+      const pick = data => Object.fromEntries(names.map(name => [name, data[name]]));
+      kept.push({ kind, id, before: pick(before), after: pick(after) });
+    });
+    if (kept.length === 0) return null;
+
+    const command = { label: label || 'Edit', time: Date.now(), changes: kept };
+    this.commands = this.commands.slice(0, this.index + 1);
+    this.commands.push(command);
+    this.index++;
+    this.trim();
+    return command;
+  }
+
+  setLimit(limit) {
+    this.limit = limit;
+    this.trim();
+  }
+
+  // Drop the oldest commands over the limit, then any redo steps still over it
+  trim() {
+    const excess = this.commands.length - this.limit;
+    if (excess <= 0) return;
+    const applied = Math.min(excess, this.index + 1);
+    this.commands.splice(0, applied);
+    this.index -= applied;
+    this.commands.length = Math.min(this.commands.length, this.limit);
+  }
+
+  // Forget all commands and take the diagram as it is now as the starting point
+  reset() {
+    this.commands = [];
+    this.index = -1;
+    this.committed.clear();
+    HISTORY_KINDS.forEach(kind => {
+      this.canvas.getItems(kind).forEach(item => {
+        this.committed.set(`${kind}:${item.id}`, JSON.stringify(item.toJSON()));
+      });
+    });
+  }
+
+  // ============================================================================
+  // Undo / Redo
+  // ============================================================================
+
+  undo() {
+    if (!this.canUndo()) return null;
+    const command = this.commands[this.index--];
+    this.apply(command.changes, 'before');
+    return command;
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+    const command = this.commands[++this.index];
+    this.apply(command.changes, 'after');
+    return command;
+  }
+
+  apply(changes, side) {
+    const order = kind => HISTORY_KINDS.indexOf(kind);
+    const removals = changes.filter(change => change[side] === null)
+      .sort((a, b) => order(b.kind) - order(a.kind));
+    const updates = changes.filter(change => change[side] !== null)
+      .sort((a, b) => order(a.kind) - order(b.kind));
+
+    [...removals, ...updates].forEach(change => {
+      const { kind, id } = change;
+      let data = change[side];
+      if (change.before && change.after) {
+        // Only some fields were recorded; the item may be gone since, e.g.
+        // deleted by a collaborator
+        const item = this.canvas.findItem(kind, id);
+        if (!item) return;
+        data = { ...item.toJSON(), ...data };
+      }
+      this.canvas.applyItemState(kind, id, data);
+      this.rebase(kind, id);
+    });
+  }
+
+  // Take the item as it is now into the committed state, for changes made
+  // outside recorded edits (undo, redo, collaborators). With `fields` only
+  // those are taken, so local edits not yet committed are still recorded.
+  rebase(kind, id, fields) {
+    const key = `${kind}:${id}`;
+    const item = this.canvas.findItem(kind, id);
+    const previous = this.committed.get(key);
+    if (!item) {
+      this.committed.delete(key);
+    } else if (!fields || previous === undefined || fields.includes('exists')) {
+      this.committed.set(key, JSON.stringify(item.toJSON()));
+    } else {
+      const data = item.toJSON();
+      const merged = JSON.parse(previous);
+      fields.forEach(name => {
+        merged[name] = data[name];
+      });
+      this.committed.set(key, JSON.stringify(merged));
+    }
+  }
+
+  // Follow items whose ids changed. `renamed` maps "kind:old id" to the new id.
+  renameIds(renamed) {
+    const rename = (kind, id) => renamed.get(`${kind}:${id}`) || id;
+    const update = (kind, data) => {
+      if (!data) return data;
+      const copy = { ...data };
+      if (copy.id !== undefined) copy.id = rename(kind, copy.id);
+      if (kind === 'connection') {
+        ['fromNodeId', 'toNodeId'].forEach(name => {
+          if (copy[name] !== undefined) copy[name] = rename('node', copy[name]);
+        });
+      }
+      return copy;
+    };
+
+    this.commands.forEach(command => {
+      command.changes = command.changes.map(({ kind, id, before, after }) => ({
+        kind,
+        id: rename(kind, id),
+        before: update(kind, before),
+        after: update(kind, after)
+      }));
+    });
+
+    const committed = new Map();
+    this.committed.forEach((json, key) => {
+      const [kind, id] = key.split(/:(.*)/);
+      committed.set(`${kind}:${rename(kind, id)}`, JSON.stringify(update(kind, JSON.parse(json))));
+    });
+    this.committed = committed;
+  }
+
+  // Summary for a history panel: one entry per command, oldest first;
+  // `index` is the last one applied (-1 when everything is undone)
+  list() {
+    return {
+      index: this.index,
+      entries: this.commands.map(({ label, time, changes }) => ({ label, time, changes: changes.length }))
+    };
+  }
+}
+
+export default CommandHistory;
@@ -0,0 +1,388 @@
+// src/Layout.js
+// Layered (Sugiyama-style) automatic layout: cycle removal, layering,
+// crossing minimization and coordinate assignment
+
+class HierarchicalLayout {
+  constructor(options = {}) {
+    this.direction = options.direction === 'LR' ? 'LR' : 'TB';
+    this.nodeSpacing = options.nodeSpacing !== undefined ? options.nodeSpacing : 40;
+    this.rankSpacing = options.rankSpacing !== undefined ? options.rankSpacing : 60;
+    this.groupSpacing = options.groupSpacing !== undefined ? options.groupSpacing : 40; // Extra gap between areas
+    this.sweeps = options.sweeps || 8;
+  }
+
+  // groups maps a node to a key (e.g. its Area); nodes sharing a key are kept
+  // next to each other in every layer. Returns the centre of every node plus
+  // the connections that had to point against the flow to break cycles.
+  run(nodes, connections, groups = new Map()) {
+    const vertices = nodes.map((node, index) => {
+      const along = this.direction === 'TB' ? node.height : node.width;
+      const across = this.direction === 'TB' ? node.width : node.height;
+      return { index, node, along, across, group: groups.get(node) || null, dummy: false };
+    });
+    const indexOf = new Map(nodes.map((node, index) => [node, index]));
+
+    const edges = [];
+    connections.forEach(connection => {
+      const from = indexOf.get(connection.fromNode);
+      const to = indexOf.get(connection.toNode);
+      if (from === undefined || to === undefined || from === to) return;
+      edges.push({ from, to, connection });
+    });
+
+    const reversed = this.breakCycles(vertices, edges);
+    const positions = new Map();
+    let offset = 0;
+
+    // Lay out each connected component on its own and place them side by side
+    this.findComponents(vertices, edges).forEach(component => {
+      const { across, extent } = this.layoutComponent(component, vertices, edges, reversed);
+      component.forEach(v => {
+        const vertex = vertices[v];
+        positions.set(vertex.node, this.toPoint(vertex.alongPos, across.get(v) + offset));
+      });
+      offset += extent + this.nodeSpacing * 2;
+    });
+
+    return {
+      positions,
+      reversed: new Set(edges.filter(edge => reversed.has(edge)).map(edge => edge.connection))
+    };
+  }
+
+  toPoint(along, across) {
+    return this.direction === 'TB' ? { x: across, y: along } : { x: along, y: across };
+  }
+
+  // ============================================================================
+  // Graph Preparation
+  // ============================================================================
+
+  findComponents(vertices, edges) {
+    const parent = vertices.map((vertex, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    edges.forEach(edge => {
+      parent[find(edge.from)] = find(edge.to);
+    });
+
+    const components = new Map();
+    vertices.forEach((vertex, i) => {
+      const root = find(i);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(i);
+    });
+    return [...components.values()];
+  }
+
+  // Depth-first search from the sources; edges back onto the current path close
+  // a cycle and are reversed for layering
+  breakCycles(vertices, edges) {
+    const outgoing = vertices.map(() => []);
+    const indegree = vertices.map(() => 0);
+    edges.forEach(edge => {
+      outgoing[edge.from].push(edge);
+      indegree[edge.to]++;
+    });
+
+    const reversed = new Set();
+    const state = vertices.map(() => 0); // 0 = new, 1 = on path, 2 = done
+    const roots = vertices.map((vertex, i) => i).sort((a, b) => indegree[a] - indegree[b]);
+
+    roots.forEach(root => {
+      if (state[root] !== 0) return;
+      const stack = [{ v: root, next: 0 }];
+      state[root] = 1;
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        if (frame.next >= outgoing[frame.v].length) {
+          state[frame.v] = 2;
+          stack.pop();
+          continue;
+        }
+        const edge = outgoing[frame.v][frame.next++];
+        if (state[edge.to] === 1) {
+          reversed.add(edge);
+        } else if (state[edge.to] === 0) {
+          state[edge.to] = 1;
+          stack.push({ v: edge.to, next: 0 });
+        }
+      }
+    });
+
+    return reversed;
+  }
+
+  // ============================================================================
+  // Layering
+  // ============================================================================
+
+  assignLayers(component, successors, predecessors) {
+    const layer = new Map();
+    const pending = new Map(component.map(v => [v, predecessors.get(v).length]));
+    const queue = component.filter(v => pending.get(v) === 0);
+    const order = [];
+
+    // Longest path from the sources, in topological order
+    while (queue.length > 0) {
+      const v = queue.shift();
+      order.push(v);
+      if (!layer.has(v)) layer.set(v, 0);
+      successors.get(v).forEach(w => {
+        layer.set(w, Math.max(layer.get(w) || 0, layer.get(v) + 1));
+        pending.set(w, pending.get(w) - 1);
+        if (pending.get(w) === 0) queue.push(w);
+      });
+    }
+
+    // Pull nodes with successors down next to them so edges stay short
+    for (let i = order.length - 1; i >= 0; i--) {
+      const v = order[i];
+      const next = successors.get(v);
+      if (next.length > 0) {
+        layer.set(v, Math.max(layer.get(v), Math.min(...next.map(w => layer.get(w))) - 1));
+      }
+    }
+
+    return layer;
+  }
+
+  layoutComponent(component, vertices, edges, reversed) {
+    const inComponent = new Set(component);
+    const successors = new Map(component.map(v => [v, []]));
+    const predecessors = new Map(component.map(v => [v, []]));
+    const dagEdges = [];
+
+    edges.forEach(edge => {
+      if (!inComponent.has(edge.from)) return;
+      const from = reversed.has(edge) ? edge.to : edge.from;
+      const to = reversed.has(edge) ? edge.from : edge.to;
+      successors.get(from).push(to);
+      predecessors.get(to).push(from);
+      dagEdges.push({ from, to });
+    });
+
+    const layerOf = this.assignLayers(component, successors, predecessors);
+
+    // Long edges get a dummy vertex on every layer they cross, so each edge
+    // spans exactly one layer from here on
+    const nodes = new Map();
+    component.forEach(v => {
+      const vertex = vertices[v];
+      nodes.set(v, { ...vertex, id: v, layer: layerOf.get(v), up: [], down: [] });
+    });
+    let nextId = -1;
+    dagEdges.forEach(({ from, to }) => {
+      let previous = from;
+      const source = nodes.get(from);
+      const target = nodes.get(to);
+      const group = source.group === target.group ? source.group : null;
+      for (let l = source.layer + 1; l < target.layer; l++) {
+        const id = nextId--;
+        nodes.set(id, { id, layer: l, along: 0, across: 0, group, dummy: true, up: [], down: [] });
+        nodes.get(previous).down.push(id);
+        nodes.get(id).up.push(previous);
+        previous = id;
+      }
+      nodes.get(previous).down.push(to);
+      target.up.push(previous);
+    });
+
+    const layers = this.orderLayers(nodes, component);
+    const across = this.assignAcross(nodes, layers);
+
+    // Rank positions along the flow, sized to the tallest node in each rank
+    let along = 0;
+    layers.forEach(layer => {
+      const size = Math.max(0, ...layer.map(id => nodes.get(id).along));
+      layer.forEach(id => {
+        nodes.get(id).alongPos = along + size / 2;
+      });
+      along += size + this.rankSpacing;
+    });
+
+    let min = Infinity;
+    let max = -Infinity;
+    const result = new Map();
+    component.forEach(v => {
+      const node = nodes.get(v);
+      vertices[v].alongPos = node.alongPos;
+      result.set(v, across.get(v));
+      min = Math.min(min, across.get(v) - node.across / 2);
+      max = Math.max(max, across.get(v) + node.across / 2);
+    });
+    result.forEach((value, v) => result.set(v, value - min));
+
+    return { across: result, extent: max - min };
+  }
+
+  // ============================================================================
+  // Crossing Minimization
+  // ============================================================================
+
+  orderLayers(nodes, component) {
+    const layers = [];
+    nodes.forEach(node => {
+      while (layers.length <= node.layer) layers.push([]);
+    });
+
+    // Initial order: depth-first from the top layer, so subtrees start together
+    const visited = new Set();
+    const visit = (start) => {
+      const stack = [start];
+      while (stack.length > 0) {
+        const id = stack.pop();
+        if (visited.has(id)) continue;
+        visited.add(id);
+        layers[nodes.get(id).layer].push(id);
+        [...nodes.get(id).down].reverse().forEach(next => stack.push(next));
+      }
+    };
+    component.filter(v => nodes.get(v).up.length === 0).forEach(visit);
+    nodes.forEach((node, id) => visit(id));
+
+    let best = layers.map(layer => [...layer]);
+    let bestCrossings = this.countCrossings(nodes, best);
+
+    for (let sweep = 0; sweep < this.sweeps && bestCrossings > 0; sweep++) {
+      const downward = sweep % 2 === 0;
+      const start = downward ? 1 : layers.length - 2;
+      const end = downward ? layers.length : -1;
+      const step = downward ? 1 : -1;
+
+      for (let l = start; l !== end; l += step) {
+        const reference = layers[l - step];
+        const position = new Map(reference.map((id, i) => [id, i]));
+        layers[l] = this.sortByBarycenter(nodes, layers[l], id => {
+          return downward ? nodes.get(id).up : nodes.get(id).down;
+        }, position);
+      }
+
+      const crossings = this.countCrossings(nodes, layers);
+      if (crossings < bestCrossings) {
+        bestCrossings = crossings;
+        best = layers.map(layer => [...layer]);
+      }
+    }
+
+    return best;
+  }
+
+  sortByBarycenter(nodes, layer, neighboursOf, position) {
+    const barycenter = new Map();
+    layer.forEach((id, i) => {
+      const neighbours = neighboursOf(id).filter(n => position.has(n));
+      barycenter.set(id, neighbours.length > 0
+        ? neighbours.reduce((sum, n) => sum + position.get(n), 0) / neighbours.length
+        : i);
+    });
+
+    // Members of a group move as a block, placed by their mean barycenter
+    const groupCenter = new Map();
+    layer.forEach(id => {
+      const group = nodes.get(id).group;
+      if (group === null) return;
+      const entry = groupCenter.get(group) || { sum: 0, count: 0 };
+      entry.sum += barycenter.get(id);
+      entry.count++;
+      groupCenter.set(group, entry);
+    });
+    const blockKey = (id) => {
+      const group = nodes.get(id).group;
+      if (group === null) return barycenter.get(id);
+      const entry = groupCenter.get(group);
+      return entry.sum / entry.count;
+    };
+
+    return [...layer].sort((a, b) => {
+      const blockDiff = blockKey(a) - blockKey(b);
+      if (blockDiff !== 0) return blockDiff;
+      return barycenter.get(a) - barycenter.get(b);
+    });
+  }
+
+  countCrossings(nodes, layers) {
+    let crossings = 0;
+    for (let l = 0; l < layers.length - 1; l++) {
+      const position = new Map(layers[l + 1].map((id, i) => [id, i]));
+      const segments = [];
+      layers[l].forEach((id, i) => {
+        nodes.get(id).down.forEach(next => segments.push([i, position.get(next)]));
+      });
+      for (let a = 0; a < segments.length; a++) {
+        for (let b = a + 1; b < segments.length; b++) {
+          if ((segments[a][0] - segments[b][0]) * (segments[a][1] - segments[b][1]) < 0) {
+            crossings++;
+          }
+        }
+      }
+    }
+    return crossings;
+  }
+
+  // ============================================================================
+  // Coordinate Assignment
+  // ============================================================================
+
+  separation(a, b) {
+    const gap = a.dummy || b.dummy ? this.nodeSpacing / 2 : this.nodeSpacing;
+    const groupGap = a.group !== b.group ? this.groupSpacing : 0;
+    return (a.across + b.across) / 2 + gap + groupGap;
+  }
+
+  // Alternate passes pull each vertex towards the mean of its neighbours in the
+  // previous layer, then resolve overlaps without changing the order
+  assignAcross(nodes, layers) {
+    const across = new Map();
+    layers.forEach(layer => {
+      let cursor = 0;
+      layer.forEach((id, i) => {
+        if (i > 0) cursor += this.separation(nodes.get(layer[i - 1]), nodes.get(id));
+        across.set(id, cursor);
+      });
+    });
+
+    for (let pass = 0; pass < this.sweeps; pass++) {
+      const downward = pass % 2 === 0;
+      const order = downward ? layers : [...layers].reverse();
+      order.forEach(layer => {
+        const desired = layer.map(id => {
+          const neighbours = downward ? nodes.get(id).up : nodes.get(id).down;
+          if (neighbours.length === 0) return across.get(id);
+          return neighbours.reduce((sum, n) => sum + across.get(n), 0) / neighbours.length;
+        });
+        this.placeLayer(nodes, layer, desired).forEach((value, i) => across.set(layer[i], value));
+      });
+    }
+
+    return across;
+  }
+
+  // Closest positions to `desired` that keep the order and spacing: average of
+  // a left-to-right and a right-to-left packing, which both satisfy the gaps
+  placeLayer(nodes, layer, desired) {
+    const n = layer.length;
+    const left = new Array(n);
+    const right = new Array(n);
+
+    for (let i = 0; i < n; i++) {
+      left[i] = i === 0
+        ? desired[i]
+        : Math.max(desired[i], left[i - 1] + this.separation(nodes.get(layer[i - 1]), nodes.get(layer[i])));
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      right[i] = i === n - 1
+        ? desired[i]
+        : Math.min(desired[i], right[i + 1] - this.separation(nodes.get(layer[i]), nodes.get(layer[i + 1])));
+    }
+
+    return left.map((value, i) => (value + right[i]) / 2);
+  }
+}
+
+export default HierarchicalLayout;
@@ -0,0 +1,486 @@
+// src/Mermaid.js
+// Conversion between the canvas model and Mermaid flowchart syntax
+import Node from './Node.js';
+import Connection from './Connection.js';
+
+// Bracket shapes, as [opening, closing, node type]. The longest matching
+// opening wins, then the closing found first.
+const MERMAID_SHAPES = [
+  ['(((', ')))', 'connector'],
+  ['([', '])', 'terminator'],
+  ['[(', ')]', 'database'],
+  ['[[', ']]', 'predefinedProcess'],
+  ['((', '))', 'connector'],
+  ['{{', '}}', 'preparation'],
+  ['[/', '/]', 'inputOutput'],
+  ['[/', '\\]', 'process'],
+  ['[\\', '\\]', 'inputOutput'],
+  ['[\\', '/]', 'process'],
+  ['>', ']', 'process'],
+  ['[', ']', 'process'],
+  ['(', ')', 'terminator'],
+  ['{', '}', 'decision']
+];
+
+// Shape names of the `id@{ shape: ... }` syntax, with their aliases
+const MERMAID_SHAPE_NAMES = {
+  rect: 'process', proc: 'process', process: 'process', rectangle: 'process',
+  rounded: 'terminator', event: 'terminator', stadium: 'terminator', pill: 'terminator', terminal: 'terminator',
+  diam: 'decision', diamond: 'decision', decision: 'decision', question: 'decision',
+  cyl: 'database', cylinder: 'database', db: 'database', database: 'database',
+  circle: 'connector', circ: 'connector', 'sm-circ': 'connector', 'dbl-circ': 'connector', 'double-circle': 'connector',
+  'lean-r': 'inputOutput', 'lean-l': 'inputOutput', 'in-out': 'inputOutput', 'out-in': 'inputOutput',
+  hex: 'preparation', hexagon: 'preparation', prepare: 'preparation',
+  'fr-rect': 'predefinedProcess', subproc: 'predefinedProcess', subprocess: 'predefinedProcess',
+  subroutine: 'predefinedProcess', 'framed-rectangle': 'predefinedProcess',
+  doc: 'document', document: 'document',
+  docs: 'multiDocument', documents: 'multiDocument', 'st-doc': 'multiDocument', 'stacked-document': 'multiDocument',
+  'sl-rect': 'manualInput', 'manual-input': 'manualInput', 'sloped-rectangle': 'manualInput',
+  delay: 'delay', 'half-rounded-rectangle': 'delay'
+};
+
+class MermaidFormat {
+  constructor(text) {
+    this.source = String(text || '');
+    this.direction = 'TB';
+    this.nodes = new Map();
+    this.edges = [];
+    this.subgraphs = [];
+    this.open = [];
+    this.membership = new Map(); // node id -> subgraph it is drawn in
+    this.lineNumber = 0;
+  }
+
+  // ============================================================================
+  // Export
+  // ============================================================================
+
+  // Write nodes, connections and areas as a Mermaid flowchart. Nodes sit in the
+  // smallest area around their centre, areas in the smallest area around them.
+  static stringify({ nodes, connections, areas }, options = {}) {
+    const direction = options.direction || MermaidFormat.guessDirection(connections);
+    const lines = [`flowchart ${direction === 'LR' ? 'LR' : 'TD'}`];
+
+    const size = area => area.width * area.height;
+    const smallestAround = (x1, y1, x2, y2, minSize) => areas
+      .filter(area => size(area) > minSize && area.x1 <= x1 && area.y1 <= y1 && area.x2 >= x2 && area.y2 >= y2)
+      .sort((a, b) => size(a) - size(b))[0] || null;
+
+    const parentOf = new Map();
+    areas.forEach(area => parentOf.set(area, smallestAround(area.x1, area.y1, area.x2, area.y2, size(area))));
+    nodes.forEach(node => parentOf.set(node, smallestAround(node.x, node.y, node.x, node.y, 0)));
+
+    const write = (parent, indent) => {
+      nodes.filter(node => parentOf.get(node) === parent).forEach(node => {
+        lines.push(indent + MermaidFormat.formatNode(node));
+      });
+      areas.filter(area => parentOf.get(area) === parent).forEach(area => {
+        lines.push(`${indent}subgraph ${MermaidFormat.formatId(area.id)}[${MermaidFormat.quote(area.title)}]`);
+        write(area, indent + '    ');
+        lines.push(`${indent}end`);
+      });
+    };
+    write(null, '    ');
+
+    connections.forEach(conn => lines.push('    ' + MermaidFormat.formatConnection(conn)));
+
+    // Colours and links that differ from the defaults
+    const nodeDefaults = new Node(null, 'process', 0, 0);
+    nodes.forEach(node => {
+      const style = [];
+      if (node.fillColor !== nodeDefaults.fillColor) style.push(`fill:${node.fillColor}`);
+      if (node.outlineColor !== nodeDefaults.outlineColor) style.push(`stroke:${node.outlineColor}`);
+      if (node.outlineWidth !== nodeDefaults.outlineWidth) style.push(`stroke-width:${node.outlineWidth}px`);
+      if (node.fontColor !== nodeDefaults.fontColor) style.push(`color:${node.fontColor}`);
+      if (style.length > 0) lines.push(`    style ${MermaidFormat.formatId(node.id)} ${style.join(',')}`);
+    });
+
+    const connectionDefaults = new Connection(null, null, null, null, null);
+    connections.forEach((conn, index) => {
+      if (conn.strokeColor !== connectionDefaults.strokeColor) {
+        lines.push(`    linkStyle ${index} stroke:${conn.strokeColor}`);
+      }
+    });
+
+    nodes.filter(node => node.link).forEach(node => {
+      lines.push(`    click ${MermaidFormat.formatId(node.id)} href "${node.link.replace(/"/g, '%22')}" _blank`);
+    });
+
+    return lines.join('\n');
+  }
+
+  // Left to right when most connections run sideways
+  static guessDirection(connections) {
+    let across = 0;
+    let down = 0;
+    connections.forEach(conn => {
+      if (!conn.fromNode || !conn.toNode) return;
+      across += Math.abs(conn.toNode.x - conn.fromNode.x);
+      down += Math.abs(conn.toNode.y - conn.fromNode.y);
+    });
+    return across > down ? 'LR' : 'TB';
+  }
+
+  static formatId(id) {
+    return String(id).replace(/[^\w]/g, '_');
+  }
+
+  static quote(text) {
+    const escaped = String(text)
+      .replace(/#(?=\w+;)/g, '#35;')
+      .replace(/"/g, '#quot;')
+      .replace(/\n/g, '<br>');
+    return `"${escaped}"`;
+  }
+
+  static formatNode(node) {
+    const id = MermaidFormat.formatId(node.id);
+    const text = MermaidFormat.quote(node.text);
+
+    // Shapes without bracket syntax use the newer named shapes
+    const named = { document: 'doc', multiDocument: 'docs', manualInput: 'sl-rect', delay: 'delay' }[node.type];
+    if (named) {
+      return `${id}@{ shape: ${named}, label: ${text} }`;
+    }
+
+    const brackets = {
+      start: ['([', '])'],
+      end: ['([', '])'],
+      terminator: ['([', '])'],
+      decision: ['{', '}'],
+      ellipse: ['((', '))'],
+      connector: ['((', '))'],
+      inputOutput: ['[/', '/]'],
+      predefinedProcess: ['[[', ']]'],
+      database: ['[(', ')]'],
+      preparation: ['{{', '}}']
+    }[node.type] || ['[', ']'];
+    return `${id}${brackets[0]}${text}${brackets[1]}`;
+  }
+
+  static formatConnection(conn) {
+    const dashed = conn.lineStyle === 'dashed' || conn.lineStyle === 'dotted';
+    const thick = !dashed && conn.strokeWidth >= 4;
+    const body = dashed ? '-.-' : (thick ? '==' : '--');
+
+    // Mermaid only has matching ends: arrows or circles
+    const circle = conn.endMarker === 'circle' || (conn.endMarker === 'none' && conn.startMarker === 'circle');
+    let end = '';
+    if (conn.endMarker !== 'none' || conn.startMarker !== 'none') end = circle ? 'o' : '>';
+    const start = conn.startMarker === 'none' ? '' : (circle ? 'o' : '<');
+
+    let link = start + body + end;
+    if (!end) link = start + (dashed ? '-.-' : (thick ? '===' : '---'));
+    const label = conn.label ? `|${MermaidFormat.quote(conn.label)}|` : '';
+    return `${MermaidFormat.formatId(conn.fromNode.id)} ${link}${label} ${MermaidFormat.formatId(conn.toNode.id)}`;
+  }
+
+  // ============================================================================
+  // Import
+  // ============================================================================
+
+  // Parse Mermaid flowchart text into plain data:
+  //   { direction: 'TB'|'LR', nodes: [{ id, type, text, style, link }],
+  //     edges: [{ from, to, label, lineStyle, thick, startMarker, endMarker, style }],
+  //     subgraphs: [{ id, title, parent, nodes }] }
+  // Throws an Error naming the line for syntax it cannot read.
+  static parse(text) {
+    return new MermaidFormat(text).parse();
+  }
+
+  parse() {
+    const lines = this.source.replace(/\r\n?/g, '\n').split('\n');
+    let started = false;
+    let inFrontMatter = false;
+
+    lines.forEach((raw, index) => {
+      this.lineNumber = index + 1;
+      const line = raw.replace(/^\s*%%.*$/, '').trim();
+
+      // Markdown fences and the optional `---` config block around the chart
+      if (!started && line === '---') {
+        inFrontMatter = !inFrontMatter;
+        return;
+      }
+      if (!line || inFrontMatter || line.startsWith('```')) return;
+
+      if (!started) {
+        const header = /^(flowchart|graph)\b[ \t]*(TB|TD|BT|LR|RL)?\s*;?\s*(.*)$/i.exec(line);
+        if (!header) throw this.error('expected "flowchart" or "graph"');
+        const direction = (header[2] || 'TB').toUpperCase();
+        this.direction = direction === 'LR' || direction === 'RL' ? 'LR' : 'TB';
+        started = true;
+        if (header[3]) this.parseLine(header[3]);
+        return;
+      }
+
+      this.parseLine(line);
+    });
+
+    if (!started) throw this.error('expected "flowchart" or "graph"');
+    if (this.open.length > 0) throw this.error(`missing "end" for subgraph "${this.open[this.open.length - 1].id}"`);
+
+    return {
+      direction: this.direction,
+      nodes: [...this.nodes.values()],
+      edges: this.edges,
+      subgraphs: this.subgraphs
+    };
+  }
+
+  error(message) {
+    return new Error(`Mermaid line ${this.lineNumber}: ${message}`);
+  }
+
+  parseLine(line) {
+    this.text = line;
+    this.pos = 0;
+
+    while (this.pos < this.text.length) {
+      this.skip(/^[\s;]+/);
+      if (this.pos >= this.text.length) break;
+      this.parseStatement();
+      this.skip(/^[ \t]+/);
+      if (this.pos < this.text.length && this.text[this.pos] !== ';') {
+        throw this.error(`unexpected "${this.rest().slice(0, 20)}"`);
+      }
+    }
+  }
+
+  rest() {
+    return this.text.slice(this.pos);
+  }
+
+  skip(pattern) {
+    const match = pattern.exec(this.rest());
+    if (match) this.pos += match[0].length;
+    return match;
+  }
+
+  // The remainder of the line belongs to a keyword statement
+  takeLine() {
+    const value = this.rest().trim();
+    this.pos = this.text.length;
+    return value;
+  }
+
+  parseStatement() {
+    const keyword = /^(subgraph|end|direction|style|linkStyle|click|classDef|class|accTitle|accDescr|title)\b/.exec(this.rest());
+
+    if (keyword) {
+      this.pos += keyword[0].length;
+      const value = this.takeLine();
+      switch (keyword[1]) {
+        case 'subgraph': return this.openSubgraph(value);
+        case 'end':
+          if (this.open.length === 0) throw this.error('"end" without a subgraph');
+          this.open.pop();
+          return;
+        case 'style': return this.parseNodeStyle(value);
+        case 'linkStyle': return this.parseLinkStyle(value);
+        case 'click': return this.parseClick(value);
+        default: return; // Classes, direction inside subgraphs and accessibility text are not kept
+      }
+    }
+
+    // A node, or a chain of links: A & B --> C -->|label| D
+    let sources = this.parseNodeGroup();
+    for (;;) {
+      const link = this.parseLink();
+      if (!link) break;
+      const targets = this.parseNodeGroup();
+      sources.forEach(from => targets.forEach(to => {
+        this.edges.push({ from, to, style: {}, ...link });
+      }));
+      sources = targets;
+    }
+  }
+
+  openSubgraph(value) {
+    const titled = /^([\w-]+)\s*\[\s*(.*?)\s*\]$/.exec(value);
+    let id;
+    let title;
+    if (titled) {
+      id = titled[1];
+      title = this.readLabel(titled[2]);
+    } else if (/^[\w-]+$/.test(value)) {
+      id = value;
+      title = value;
+    } else {
+      title = this.readLabel(value);
+      id = `subgraph_${this.subgraphs.length + 1}`;
+    }
+
+    const parent = this.open.length > 0 ? this.open[this.open.length - 1] : null;
+    const subgraph = { id, title, parent: parent ? parent.id : null, nodes: [] };
+    this.subgraphs.push(subgraph);
+    this.open.push(subgraph);
+  }
+
+  parseNodeGroup() {
+    const ids = [this.parseNode()];
+    while (this.skip(/^\s*&\s*/)) {
+      ids.push(this.parseNode());
+    }
+    return ids;
+  }
+
+  parseNode() {
+    this.skip(/^\s+/);
+    const match = /^[\w\u00C0-\uFFFF]+/.exec(this.rest());
+    if (!match) {
+      throw this.error(this.rest() ? `expected a node id at "${this.rest().slice(0, 20)}"` : 'expected a node id');
+    }
+    this.pos += match[0].length;
+
+    const id = match[0];
+    let node = this.nodes.get(id);
+    if (!node) {
+      node = { id, type: 'process', text: id, style: {}, link: '' };
+      this.nodes.set(id, node);
+    }
+    this.placeInSubgraph(id);
+
+    if (this.rest().startsWith('@{')) {
+      this.parseShapeData(node);
+    } else {
+      this.parseShape(node);
+    }
+    this.skip(/^:::[\w-]+/);
+    return id;
+  }
+
+  // As in Mermaid, mentioning a node inside a subgraph puts it there, even
+  // when it was defined earlier outside. A node already in another subgraph
+  // stays put unless that subgraph encloses this one.
+  placeInSubgraph(id) {
+    if (this.open.length === 0) return;
+    const subgraph = this.open[this.open.length - 1];
+    const current = this.membership.get(id);
+    if (current === subgraph || (current && !this.open.includes(current))) return;
+
+    if (current) current.nodes = current.nodes.filter(nodeId => nodeId !== id);
+    subgraph.nodes.push(id);
+    this.membership.set(id, subgraph);
+  }
+
+  parseShape(node) {
+    const rest = this.rest();
+    const openings = MERMAID_SHAPES.filter(([opening]) => rest.startsWith(opening));
+    if (openings.length === 0) return;
+
+    const length = Math.max(...openings.map(([opening]) => opening.length));
+    const body = rest.slice(length);
+
+    // Quoted text may contain the closing brackets
+    const quoted = /^\s*"([^"]*)"\s*/.exec(body);
+    let best = null;
+    openings.filter(([opening]) => opening.length === length).forEach(([, closing, type]) => {
+      const at = quoted
+        ? (body.startsWith(closing, quoted[0].length) ? quoted[0].length : -1)
+        : body.indexOf(closing);
+      if (at !== -1 && (!best || at < best.at)) best = { at, closing, type };
+    });
+    if (!best) throw this.error(`unclosed shape for node "${node.id}"`);
+
+    node.type = best.type;
+    node.text = quoted ? this.readLabel(`"${quoted[1]}"`) : this.readLabel(body.slice(0, best.at));
+    this.pos += length + best.at + best.closing.length;
+  }
+
+  // Mermaid 11 shape data: A@{ shape: doc, label: "Report" }
+  parseShapeData(node) {
+    const end = this.rest().indexOf('}');
+    if (end === -1) throw this.error(`unclosed "@{" for node "${node.id}"`);
+    const data = this.rest().slice(2, end);
+    this.pos += end + 1;
+
+    const shape = /\bshape\s*:\s*([\w-]+)/.exec(data);
+    const label = /\blabel\s*:\s*("[^"]*"|[^,]*)/.exec(data);
+    if (shape) node.type = MERMAID_SHAPE_NAMES[shape[1]] || 'process';
+    if (label) node.text = this.readLabel(label[1].trim());
+  }
+
+  // -->, ---, -.->, ==>, <-->, o--o, --x, with optional |label| or -- label -->
+  parseLink() {
+    this.skip(/^\s+/);
+    const rest = this.rest();
+    let match = /^([<ox]?)(-{2,}|={2,}|-\.+-)([>ox]?)/.exec(rest);
+    let label = '';
+
+    if (match && (match[3] || match[2].length >= 3)) {
+      this.pos += match[0].length;
+      const piped = this.skip(/^\s*\|([^|]*)\|/);
+      if (piped) label = this.readLabel(piped[1].trim());
+    } else {
+      match = /^([<ox]?)(--|==|-\.)\s*(.+?)\s*(-{2,}|={2,}|\.-+)([>ox]?)(?=[\s\w"]|$)/.exec(rest);
+      if (!match) return null;
+      this.pos += match[0].length;
+      label = this.readLabel(match[3]);
+      match = [match[0], match[1], match[2] + match[4], match[5]];
+    }
+
+    const markerFor = symbol => ({ '<': 'arrow', '>': 'arrow', x: 'arrow', o: 'circle' }[symbol] || 'none');
+    return {
+      label,
+      lineStyle: match[2].includes('.') ? 'dashed' : 'solid',
+      thick: match[2].includes('='),
+      startMarker: markerFor(match[1]),
+      endMarker: markerFor(match[3])
+    };
+  }
+
+  // Strip quotes and markdown-string backticks, decode <br> and #entities
+  readLabel(value) {
+    let text = String(value).trim();
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) text = text.slice(1, -1);
+    if (text.length >= 2 && text.startsWith('`') && text.endsWith('`')) text = text.slice(1, -1);
+    return text
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/#quot;/g, '"')
+      .replace(/#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code, 10)));
+  }
+
+  // "fill:#f9f,stroke:#333,stroke-width:4px" -> { fill: '#FF99FF', ... }
+  readStyle(value) {
+    const style = {};
+    value.split(',').forEach(pair => {
+      const separator = pair.indexOf(':');
+      if (separator === -1) return;
+      const key = pair.slice(0, separator).trim();
+      let color = pair.slice(separator + 1).trim();
+      // Expand #rgb so colour pickers can show it
+      const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+      if (short) color = `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toUpperCase();
+      style[key] = color;
+    });
+    return style;
+  }
+
+  parseNodeStyle(value) {
+    const match = /^([\w\u00C0-\uFFFF]+)\s+(.+)$/.exec(value);
+    if (!match) throw this.error('expected "style <node> <styles>"');
+    const node = this.nodes.get(match[1]);
+    if (node) Object.assign(node.style, this.readStyle(match[2]));
+  }
+
+  parseLinkStyle(value) {
+    const match = /^([\d,\s]+|default)\s+(.+)$/.exec(value);
+    if (!match) throw this.error('expected "linkStyle <index> <styles>"');
+    const style = this.readStyle(match[2]);
+    const edges = match[1] === 'default'
+      ? this.edges
+      : match[1].split(',').map(index => this.edges[parseInt(index, 10)]).filter(Boolean);
+    edges.forEach(edge => Object.assign(edge.style, style));
+  }
+
+  // click A "https://..." / click A href "https://..." _blank; callbacks are ignored
+  parseClick(value) {
+    const match = /^([\w\u00C0-\uFFFF]+)\s+(?:href\s+)?"([^"]*)"/.exec(value);
+    if (!match) return;
+    const node = this.nodes.get(match[1]);
+    if (node) node.link = match[2];
+  }
+}
+
+export default MermaidFormat;
@@ -0,0 +1,214 @@
+// src/Minimap.js
+// Overview panel in a corner of the canvas: the whole diagram scaled down,
+// with the visible part outlined. Click or drag in it to move the view.
+//
+// Items are drawn as plain boxes and lines without text, so the overview
+// stays cheap on large diagrams. It redraws at most once per frame.
+
+class Minimap {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.width = options.width || 200;
+    this.height = options.height || 150;
+    this.position = options.position || 'bottom-right';
+    this.padding = options.padding !== undefined ? options.padding : 50;
+    this.frame = null;
+    this.drag = null;
+
+    this.element = document.createElement('canvas');
+    this.ctx = this.element.getContext('2d');
+    this.create();
+  }
+
+  create() {
+    const pixelRatio = this.canvas.options.pixelRatio;
+    const [vertical, horizontal] = this.position.split('-');
+    this.element.width = this.width * pixelRatio;
+    this.element.height = this.height * pixelRatio;
+    this.element.style.cssText = `
+      position: absolute;
+      ${vertical}: 12px;
+      ${horizontal}: 12px;
+      width: ${this.width}px;
+      height: ${this.height}px;
+      background: white;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+      cursor: pointer;
+      touch-action: none;
+      z-index: 10;
+    `;
+
+    // The panel is placed against the canvas container
+    const container = this.canvas.container;
+    if (typeof getComputedStyle === 'function' && getComputedStyle(container).position === 'static') {
+      container.style.position = 'relative';
+    }
+    container.appendChild(this.element);
+
+    this.boundPointerDown = this.handlePointerDown.bind(this);
+    this.boundPointerMove = this.handlePointerMove.bind(this);
+    this.boundPointerUp = this.handlePointerUp.bind(this);
+    this.element.addEventListener('pointerdown', this.boundPointerDown);
+    this.element.addEventListener('pointermove', this.boundPointerMove);
+    this.element.addEventListener('pointerup', this.boundPointerUp);
+    this.element.addEventListener('pointercancel', this.boundPointerUp);
+    this.draw();
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.element.removeEventListener('pointerdown', this.boundPointerDown);
+    this.element.removeEventListener('pointermove', this.boundPointerMove);
+    this.element.removeEventListener('pointerup', this.boundPointerUp);
+    this.element.removeEventListener('pointercancel', this.boundPointerUp);
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+
+  // ============================================================================
+  // Drawing
+  // ============================================================================
+
+  scheduleDraw() {
+    if (this.frame) return;
+    if (typeof requestAnimationFrame === 'undefined') {
+      this.draw();
+      return;
+    }
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.draw();
+    });
+  }
+
+  // How diagram coordinates map into the panel: the diagram plus the visible
+  // area, fitted and centred. Kept fixed while dragging so the map holds still.
+  getTransform() {
+    if (this.drag) return this.drag.transform;
+
+    const diagram = this.canvas.getExportBounds(this.padding);
+    const view = this.canvas.getViewport().bounds;
+    const x = Math.min(diagram.x, view.x);
+    const y = Math.min(diagram.y, view.y);
+    const width = Math.max(diagram.x + diagram.width, view.x + view.width) - x;
+    const height = Math.max(diagram.y + diagram.height, view.y + view.height) - y;
+
+    const scale = Math.min(this.width / width, this.height / height);
+    return {
+      scale,
+      offsetX: (this.width - width * scale) / 2 - x * scale,
+      offsetY: (this.height - height * scale) / 2 - y * scale
+    };
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const pixelRatio = this.canvas.options.pixelRatio;
+    const { scale, offsetX, offsetY } = this.getTransform();
+
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    ctx.save();
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(scale, scale);
+
+    this.canvas.areas.forEach(area => {
+      ctx.fillStyle = area.fillColor;
+      ctx.fillRect(area.x1, area.y1 - 30, area.width, area.height + 30);
+      ctx.fillStyle = area.titleBgColor;
+      ctx.fillRect(area.x1, area.y1 - 30, area.width, 30);
+    });
+
+    ctx.strokeStyle = '#999999';
+    ctx.lineWidth = 1 / scale;
+    this.canvas.connections.forEach(connection => {
+      const points = connection.getPathPoints();
+      if (points.length < 2) return;
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+      ctx.stroke();
+    });
+
+    this.canvas.nodes.forEach(node => {
+      const bounds = node.getBounds();
+      ctx.fillStyle = node.fillColor;
+      ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      ctx.strokeStyle = node.outlineColor;
+      ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    });
+
+    // The visible part of the diagram
+    const view = this.canvas.getViewport().bounds;
+    ctx.fillStyle = 'rgba(33, 150, 243, 0.12)';
+    ctx.fillRect(view.x, view.y, view.width, view.height);
+    ctx.strokeStyle = '#2196F3';
+    ctx.lineWidth = 2 / scale;
+    ctx.strokeRect(view.x, view.y, view.width, view.height);
+    ctx.restore();
+  }
+
+  // ============================================================================
+  // Navigation
+  // ============================================================================
+
+  // Diagram point under a pointer event
+  toDiagram(e, transform) {
+    const rect = this.element.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left - transform.offsetX) / transform.scale,
+      y: (e.clientY - rect.top - transform.offsetY) / transform.scale
+    };
+  }
+
+  // Pressing inside the view outline drags it; pressing elsewhere centres
+  // the view there first
+  handlePointerDown(e) {
+    e.preventDefault();
+    if (this.element.setPointerCapture) this.element.setPointerCapture(e.pointerId);
+
+    const transform = this.getTransform();
+    const point = this.toDiagram(e, transform);
+    const view = this.canvas.getViewport().bounds;
+    const inside = point.x >= view.x && point.x <= view.x + view.width &&
+      point.y >= view.y && point.y <= view.y + view.height;
+
+    this.drag = {
+      transform,
+      pointerId: e.pointerId,
+      // Where in the view outline it was grabbed
+      grab: inside
+        ? { x: point.x - view.x, y: point.y - view.y }
+        : { x: view.width / 2, y: view.height / 2 }
+    };
+    this.moveView(point);
+  }
+
+  handlePointerMove(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    this.moveView(this.toDiagram(e, this.drag.transform));
+  }
+
+  handlePointerUp(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    this.drag = null;
+    this.scheduleDraw();
+  }
+
+  // Put the view's top-left corner so the grabbed point sits under the pointer
+  moveView(point) {
+    const { zoom } = this.canvas;
+    this.canvas.setViewport({
+      panOffset: {
+        x: -(point.x - this.drag.grab.x) * zoom,
+        y: -(point.y - this.drag.grab.y) * zoom
+      }
+    }, { animate: false });
+  }
+}
+
+export default Minimap;
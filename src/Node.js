@@ -1,10 +1,11 @@
 // src/Node.js
 // Represents a single flowchart node with zoom support and customizable properties
+import ShapeRegistry from './Shapes.js';
 
 class Node {
   constructor(id, type, x, y, text = '') {
     this.id = id;
-    this.type = type;  // 'start', 'process', 'decision', 'end'
+    this.type = type;  // Any shape name registered in ShapeRegistry
     this.x = x;
     this.y = y;
     this.text = text;
@@ -19,6 +20,10 @@ class Node {
     this.fontSize = 14;  // Normal
     this.outlineColor = '#000000';  // Black
     this.outlineWidth = 2;
+
+    // Custom port layout, or null for the shape's four default ports. Each entry is
+    // { name, side: 'top'|'right'|'bottom'|'left', offset: 0..1, direction: 'in'|'out'|'both' }
+    this.ports = null;
   }
   
   // ============================================================================
@@ -26,23 +31,36 @@ class Node {
   // ============================================================================
   
   containsPoint(x, y) {
-    return x >= this.x - this.width / 2 &&
-           x <= this.x + this.width / 2 &&
-           y >= this.y - this.height / 2 &&
-           y <= this.y + this.height / 2;
+    const shape = this.getShape();
+    const bounds = this.getBounds();
+    if (shape.hitTest) {
+      return shape.hitTest(x, y, bounds, this);
+    }
+
+    // Custom shapes without an analytic test: ask the canvas about their path
+    const hitContext = shape.outline ? ShapeRegistry.getHitContext() : null;
+    if (hitContext) {
+      shape.outline(hitContext, bounds, this);
+      return hitContext.isPointInPath(x, y);
+    }
+    return ShapeRegistry.inBox(x, y, bounds);
   }
 
   isOnConnectionPoint(x, y, zoom = 1) {
     const points = this.getConnectionPoints();
     const threshold = 10 / zoom; // Adjust threshold based on zoom
+    let closest = null;
+    let minDistance = threshold;
     
+    // Ports may sit close together, so pick the nearest one in range
     for (let point of points) {
       const distance = Math.sqrt((x - point.x) ** 2 + (y - point.y) ** 2);
-      if (distance < threshold) {
-        return point;
+      if (distance < minDistance) {
+        minDistance = distance;
+        closest = point;
       }
     }
-    return null;
+    return closest;
   }
 
   isOnResizeHandle(x, y, zoom = 1) {
@@ -62,13 +80,90 @@ class Node {
   // Connection Points
   // ============================================================================
 
+  // Ports as { x, y, name, side, direction }; `position` repeats the name for
+  // code written before ports could be named
   getConnectionPoints() {
-    return [
-      { x: this.x, y: this.y - this.height / 2, position: 'top' },
-      { x: this.x + this.width / 2, y: this.y, position: 'right' },
-      { x: this.x, y: this.y + this.height / 2, position: 'bottom' },
-      { x: this.x - this.width / 2, y: this.y, position: 'left' }
-    ];
+    if (this.ports) {
+      return this.ports.map(spec => this.resolvePort(spec));
+    }
+
+    const shape = this.getShape();
+    const bounds = this.getBounds();
+    const ports = shape.ports ? shape.ports(bounds, this) : ShapeRegistry.boxPorts(bounds);
+    return ports.map(port => ({
+      x: port.x,
+      y: port.y,
+      name: port.position,
+      position: port.position,
+      side: port.side || port.position,
+      direction: port.direction || 'both'
+    }));
+  }
+
+  getPort(name) {
+    return this.getConnectionPoints().find(point => point.name === name) || null;
+  }
+
+  // Place a custom port on the shape's outline: start on the bounding box side
+  // at `offset` and move in towards the centre line until we hit the shape
+  resolvePort(spec) {
+    const bounds = this.getBounds();
+    const side = spec.side || 'top';
+    const offset = spec.offset !== undefined ? Math.max(0, Math.min(1, spec.offset)) : 0.5;
+    let edge;
+    let inner;
+
+    switch(side) {
+      case 'right':
+        edge = { x: bounds.x + bounds.width, y: bounds.y + bounds.height * offset };
+        inner = { x: this.x, y: edge.y };
+        break;
+      case 'bottom':
+        edge = { x: bounds.x + bounds.width * offset, y: bounds.y + bounds.height };
+        inner = { x: edge.x, y: this.y };
+        break;
+      case 'left':
+        edge = { x: bounds.x, y: bounds.y + bounds.height * offset };
+        inner = { x: this.x, y: edge.y };
+        break;
+      default:
+        edge = { x: bounds.x + bounds.width * offset, y: bounds.y };
+        inner = { x: edge.x, y: this.y };
+    }
+
+    // Mid-side ports sit exactly where the shape's default port for that side does
+    const shape = this.getShape();
+    const defaults = shape.ports ? shape.ports(bounds, this) : ShapeRegistry.boxPorts(bounds);
+    const middle = offset === 0.5
+      ? defaults.find(port => (port.side || port.position) === side)
+      : null;
+    const point = middle || this.projectToOutline(edge, inner);
+    return {
+      x: point.x,
+      y: point.y,
+      name: spec.name,
+      position: spec.name,
+      side,
+      direction: spec.direction || 'both'
+    };
+  }
+
+  // Bisect between a point outside the shape and one inside it
+  projectToOutline(outside, inside) {
+    if (this.containsPoint(outside.x, outside.y) || !this.containsPoint(inside.x, inside.y)) {
+      return outside;
+    }
+    let from = outside;
+    let to = inside;
+    for (let i = 0; i < 16; i++) {
+      const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+      if (this.containsPoint(mid.x, mid.y)) {
+        to = mid;
+      } else {
+        from = mid;
+      }
+    }
+    return to;
   }
 
   getClosestConnectionPoint(x, y) {
@@ -87,6 +182,24 @@ class Node {
     return closest;
   }
 
+  // ============================================================================
+  // Shape
+  // ============================================================================
+
+  getShape() {
+    return ShapeRegistry.get(this.type);
+  }
+
+  // Bounding box with the top-left corner, as passed to shape definitions
+  getBounds() {
+    return {
+      x: this.x - this.width / 2,
+      y: this.y - this.height / 2,
+      width: this.width,
+      height: this.height
+    };
+  }
+
   // ============================================================================
   // Resize Handles
   // ============================================================================
@@ -117,6 +230,9 @@ class Node {
     if (settings.fontSize !== undefined) this.fontSize = settings.fontSize;
     if (settings.outlineColor !== undefined) this.outlineColor = settings.outlineColor;
     if (settings.outlineWidth !== undefined) this.outlineWidth = settings.outlineWidth;
+    if (settings.ports !== undefined) {
+      this.ports = settings.ports ? settings.ports.map(port => ({ ...port })) : null;
+    }
   }
 
   getSettings() {
@@ -131,88 +247,97 @@ class Node {
     };
   }
 
+  // ============================================================================
+  // Serialization
+  // ============================================================================
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      text: this.text,
+      width: this.width,
+      height: this.height,
+      link: this.link,
+      fillColor: this.fillColor,
+      fontColor: this.fontColor,
+      fontSize: this.fontSize,
+      outlineColor: this.outlineColor,
+      outlineWidth: this.outlineWidth,
+      ports: this.ports
+    };
+  }
+
+  static fromJSON(data) {
+    const node = new Node(data.id, data.type, data.x, data.y, data.text);
+    if (data.width !== undefined) node.width = data.width;
+    if (data.height !== undefined) node.height = data.height;
+    node.link = data.link || '';
+    node.fillColor = data.fillColor || '#FFFFFF';
+    node.fontColor = data.fontColor || '#000000';
+    node.fontSize = data.fontSize || 14;
+    node.outlineColor = data.outlineColor || '#000000';
+    node.outlineWidth = data.outlineWidth || 2;
+    if (data.ports) node.ports = data.ports.map(port => ({ ...port }));
+    return node;
+  }
+
   // ============================================================================
   // Drawing Methods
   // ============================================================================
   
-  draw(ctx, isSelected = false) {
+  draw(ctx, isSelected = false, showHandles = isSelected, showPorts = true) {
     ctx.save();
     
-    // Set styles using custom properties
-    ctx.fillStyle = this.fillColor;
-    ctx.strokeStyle = isSelected ? '#2196F3' : this.outlineColor;
-    ctx.lineWidth = isSelected ? 3 : this.outlineWidth;
-    
-    // Draw shape based on type
-    switch(this.type) {
-      case 'start':
-      case 'end':
-        this.drawRounded(ctx);
-        break;
-      case 'process':
-        this.drawRectangle(ctx);
-        break;
-      case 'decision':
-        this.drawDiamond(ctx);
-        break;
-      default:
-        this.drawRectangle(ctx);
-    }
-    
-    // Draw text with custom properties
-    this.drawText(ctx);
+    this.drawBody(ctx, isSelected);
 
     // Draw connection points
-    this.drawConnectionPoints(ctx);
+    if (showPorts) {
+      this.drawConnectionPoints(ctx);
+    }
 
     // Draw selection highlight and resize handles
     if (isSelected) {
       this.drawSelectionOutline(ctx);
+    }
+    if (showHandles) {
       this.drawResizeHandles(ctx);
     }
 
     ctx.restore();
   }
   
-  drawRounded(ctx) {
-    const x = this.x - this.width / 2;
-    const y = this.y - this.height / 2;
-    const radius = this.height / 2;
-    
-    ctx.beginPath();
-    ctx.moveTo(x + radius, y);
-    ctx.lineTo(x + this.width - radius, y);
-    ctx.arcTo(x + this.width, y, x + this.width, y + radius, radius);
-    ctx.lineTo(x + this.width, y + this.height - radius);
-    ctx.arcTo(x + this.width, y + this.height, x + this.width - radius, y + this.height, radius);
-    ctx.lineTo(x + radius, y + this.height);
-    ctx.arcTo(x, y + this.height, x, y + this.height - radius, radius);
-    ctx.lineTo(x, y + radius);
-    ctx.arcTo(x, y, x + radius, y, radius);
-    ctx.closePath();
+  // The shape and its text, without the editing decorations
+  drawBody(ctx, isSelected = false) {
+    ctx.save();
+
+    // Set styles using custom properties
+    ctx.fillStyle = this.fillColor;
+    ctx.strokeStyle = isSelected ? '#2196F3' : this.outlineColor;
+    ctx.lineWidth = isSelected ? 3 : this.outlineWidth;
     
-    ctx.fill();
-    ctx.stroke();
-  }
-  
-  drawRectangle(ctx) {
-    const x = this.x - this.width / 2;
-    const y = this.y - this.height / 2;
+    // Draw shape based on type
+    this.drawShape(ctx);
     
-    ctx.fillRect(x, y, this.width, this.height);
-    ctx.strokeRect(x, y, this.width, this.height);
+    // Draw text with custom properties
+    this.drawText(ctx);
+
+    ctx.restore();
   }
-  
-  drawDiamond(ctx) {
-    ctx.beginPath();
-    ctx.moveTo(this.x, this.y - this.height / 2);
-    ctx.lineTo(this.x + this.width / 2, this.y);
-    ctx.lineTo(this.x, this.y + this.height / 2);
-    ctx.lineTo(this.x - this.width / 2, this.y);
-    ctx.closePath();
+
+  drawShape(ctx) {
+    const shape = this.getShape();
+    const bounds = this.getBounds();
     
-    ctx.fill();
-    ctx.stroke();
+    if (shape.draw) {
+      shape.draw(ctx, bounds, this);
+    } else {
+      shape.outline(ctx, bounds, this);
+      ctx.fill();
+      ctx.stroke();
+    }
   }
   
   drawText(ctx) {
@@ -236,6 +361,18 @@ class Node {
     const points = this.getConnectionPoints();
     
     for (let point of points) {
+      // Incoming-only ports are hollow: a connection can end there but not start
+      if (point.direction === 'in') {
+        ctx.fillStyle = '#fff';
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        continue;
+      }
+
       // Draw circle background - BLACK
       ctx.fillStyle = '#000';
       ctx.strokeStyle = '#fff';
@@ -265,63 +402,29 @@ class Node {
   }
 
   drawSelectionOutline(ctx) {
+    const shape = this.getShape();
+    const bounds = this.getBounds();
+    const outset = {
+      x: bounds.x - 5,
+      y: bounds.y - 5,
+      width: bounds.width + 10,
+      height: bounds.height + 10
+    };
+
     ctx.strokeStyle = '#2196F3';
     ctx.lineWidth = 3;
     ctx.setLineDash([5, 5]);
     
-    switch(this.type) {
-      case 'start':
-      case 'end':
-        this.drawRoundedSelectionOutline(ctx);
-        break;
-      case 'decision':
-        this.drawDiamondSelectionOutline(ctx);
-        break;
-      default:
-        this.drawRectangleSelectionOutline(ctx);
+    if (shape.outline) {
+      shape.outline(ctx, outset, this);
+      ctx.stroke();
+    } else {
+      ctx.strokeRect(outset.x, outset.y, outset.width, outset.height);
     }
     
     ctx.setLineDash([]);
   }
 
-  drawRoundedSelectionOutline(ctx) {
-    const x = this.x - this.width / 2;
-    const y = this.y - this.height / 2;
-    const radius = this.height / 2;
-    
-    ctx.beginPath();
-    ctx.moveTo(x + radius, y);
-    ctx.lineTo(x + this.width - radius, y);
-    ctx.arcTo(x + this.width, y, x + this.width, y + radius, radius);
-    ctx.lineTo(x + this.width, y + this.height - radius);
-    ctx.arcTo(x + this.width, y + this.height, x + this.width - radius, y + this.height, radius);
-    ctx.lineTo(x + radius, y + this.height);
-    ctx.arcTo(x, y + this.height, x, y + this.height - radius, radius);
-    ctx.lineTo(x, y + radius);
-    ctx.arcTo(x, y, x + radius, y, radius);
-    ctx.closePath();
-    ctx.stroke();
-  }
-
-  drawDiamondSelectionOutline(ctx) {
-    ctx.beginPath();
-    ctx.moveTo(this.x, this.y - this.height / 2 - 5);
-    ctx.lineTo(this.x + this.width / 2 + 5, this.y);
-    ctx.lineTo(this.x, this.y + this.height / 2 + 5);
-    ctx.lineTo(this.x - this.width / 2 - 5, this.y);
-    ctx.closePath();
-    ctx.stroke();
-  }
-
-  drawRectangleSelectionOutline(ctx) {
-    ctx.strokeRect(
-      this.x - this.width / 2 - 5,
-      this.y - this.height / 2 - 5,
-      this.width + 10,
-      this.height + 10
-    );
-  }
-
   drawResizeHandles(ctx) {
     const handles = this.getResizeHandles();
     
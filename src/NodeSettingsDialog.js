@@ -1,10 +1,12 @@
 // src/NodeSettingsDialog.js
 // Dialog for editing node properties that appears beside the cursor
+import DialogFocus from './DialogFocus.js';
 
 class NodeSettingsDialog {
   constructor(canvas) {
     this.canvas = canvas;
     this.dialog = null;
+    this.focus = new DialogFocus();
     this.currentNode = null;
     this.onSave = null;
     this.createDialog();
@@ -14,6 +16,9 @@ class NodeSettingsDialog {
     // Create dialog container
     this.dialog = document.createElement('div');
     this.dialog.className = 'flowchart-node-settings-dialog';
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.setAttribute('aria-labelledby', 'node-settings-title');
     this.dialog.style.cssText = `
       position: fixed;
       background: white;
@@ -30,20 +35,20 @@ class NodeSettingsDialog {
     // Create dialog content
     this.dialog.innerHTML = `
       <div style="margin-bottom: 15px;">
-        <h3 style="margin: 0 0 15px 0; color: #333; font-size: 16px; border-bottom: 2px solid #2196F3; padding-bottom: 8px;">
+        <h3 id="node-settings-title" style="margin: 0 0 15px 0; color: #333; font-size: 16px; border-bottom: 2px solid #2196F3; padding-bottom: 8px;">
           Node Settings
         </h3>
       </div>
 
       <div style="margin-bottom: 12px;">
-        <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+        <label for="node-text" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
           Text (use Shift+Enter for line breaks):
         </label>
         <textarea id="node-text" rows="3" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; font-family: Arial, sans-serif; resize: vertical;"></textarea>
       </div>
 
       <div style="margin-bottom: 12px;">
-        <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+        <label for="node-link" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
           Link (URL):
         </label>
         <input type="url" id="node-link" placeholder="https://example.com" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
@@ -51,36 +56,36 @@ class NodeSettingsDialog {
 
       <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
         <div>
-          <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+          <label for="node-fill-color" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
             Fill Color:
           </label>
           <div style="display: flex; gap: 5px; align-items: center;">
             <input type="color" id="node-fill-color" style="width: 50px; height: 32px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
-            <input type="text" id="node-fill-color-text" placeholder="#FFFFFF" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; font-family: monospace;">
+            <input type="text" id="node-fill-color-text" aria-label="Fill color hex value" placeholder="#FFFFFF" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; font-family: monospace;">
           </div>
         </div>
 
         <div>
-          <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+          <label for="node-font-color" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
             Font Color:
           </label>
           <div style="display: flex; gap: 5px; align-items: center;">
             <input type="color" id="node-font-color" style="width: 50px; height: 32px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
-            <input type="text" id="node-font-color-text" placeholder="#000000" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; font-family: monospace;">
+            <input type="text" id="node-font-color-text" aria-label="Font color hex value" placeholder="#000000" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; font-family: monospace;">
           </div>
         </div>
       </div>
 
       <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
         <div>
-          <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+          <label for="node-font-size" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
             Font Size:
           </label>
           <input type="number" id="node-font-size" min="8" max="48" value="14" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
         </div>
 
         <div>
-          <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+          <label for="node-outline-width" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
             Outline Width:
           </label>
           <input type="number" id="node-outline-width" min="1" max="10" value="2" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
@@ -88,12 +93,12 @@ class NodeSettingsDialog {
       </div>
 
       <div style="margin-bottom: 15px;">
-        <label style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
+        <label for="node-outline-color" style="display: block; margin-bottom: 5px; font-weight: 600; color: #555; font-size: 13px;">
           Outline Color:
         </label>
         <div style="display: flex; gap: 5px; align-items: center;">
           <input type="color" id="node-outline-color" style="width: 50px; height: 32px; border: 1px solid #ddd; border-radius: 4px; cursor: pointer;">
-          <input type="text" id="node-outline-color-text" placeholder="#000000" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; font-family: monospace;">
+          <input type="text" id="node-outline-color-text" aria-label="Outline color hex value" placeholder="#000000" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px; font-family: monospace;">
         </div>
       </div>
 
@@ -117,6 +122,11 @@ class NodeSettingsDialog {
     // PREVENT KEYBOARD EVENTS FROM BUBBLING TO CANVAS
     this.dialog.addEventListener('keydown', (e) => {
       e.stopPropagation();
+      if (e.key === 'Escape') {
+        this.hide();
+      } else if (e.key === 'Tab') {
+        this.focus.trap(this.dialog, e);
+      }
     });
     
     this.dialog.addEventListener('keyup', (e) => {
@@ -179,6 +189,7 @@ class NodeSettingsDialog {
 
   show(node, cursorX, cursorY) {
     this.currentNode = node;
+    this.focus.capture();
     
     // Store original settings to restore on cancel
     this.originalSettings = {
@@ -333,6 +344,7 @@ class NodeSettingsDialog {
     this.dialog.style.display = 'none';
     this.currentNode = null;
     this.originalSettings = null;
+    this.focus.restore();
   }
 
   destroy() {
@@ -0,0 +1,504 @@
+// src/Router.js
+// Obstacle-avoiding orthogonal connector routing (A* over a sparse visibility grid)
+
+// Direction vectors indexed 0..3: right, down, left, up
+const ROUTE_DIRECTIONS = [
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+  { x: 0, y: -1 }
+];
+
+class OrthogonalRouter {
+  constructor(options = {}) {
+    this.margin = options.margin !== undefined ? options.margin : 15;           // clearance around nodes
+    this.bendPenalty = options.bendPenalty !== undefined ? options.bendPenalty : 40;
+    this.spacing = options.spacing !== undefined ? options.spacing : 8;         // gap between parallel lines
+    this.searchPadding = options.searchPadding !== undefined ? options.searchPadding : 150;
+    this.frameBudget = options.frameBudget !== undefined ? options.frameBudget : 8; // ms per update
+    this.bucketSize = 200;
+
+    this.routes = new Map();        // connection -> { key, points, bounds }
+    this.pending = new Set();       // connections whose surroundings changed, still to re-route
+    this.obstacleKeys = new Map();  // node/area -> geometry key of its obstacle
+    this.obstacleRects = new Map(); // node/area -> obstacle rect
+    this.buckets = new Map();       // "cx,cy" -> obstacles overlapping that cell
+    this.changed = new Set();       // connections whose path changed in the last update
+  }
+
+  // ============================================================================
+  // Public API
+  // ============================================================================
+
+  // Route every connection, recomputing only those whose endpoints moved or
+  // whose neighbourhood changed since the last call. Results are written to
+  // connection.route / connection.routeKey.
+  //
+  // Connections with moved endpoints are always routed immediately. Routes that
+  // are merely disturbed by a nearby obstacle keep their (still attached) old
+  // path and are refreshed within frameBudget ms per call, so dragging stays
+  // smooth on large charts. Returns true while such work is left over.
+  update(nodes, areas, connections) {
+    this.changed = new Set();
+    const changedRects = this.updateObstacles(nodes, areas);
+
+    const live = new Set(connections);
+    let dirty = false;
+    for (let connection of [...this.routes.keys()]) {
+      if (!live.has(connection)) {
+        this.routes.delete(connection);
+        this.pending.delete(connection);
+        dirty = true;
+      }
+    }
+
+    for (let connection of connections) {
+      const key = connection.getRouteKey();
+      const cached = this.routes.get(connection);
+
+      if (!cached || cached.key !== key) {
+        this.computeRoute(connection, key);
+        dirty = true;
+      } else if (changedRects.some(rect => this.rectsIntersect(rect, cached.bounds))) {
+        this.pending.add(connection);
+      }
+    }
+
+    const deadline = this.now() + this.frameBudget;
+    for (let connection of [...this.pending]) {
+      if (this.now() > deadline) break;
+      this.computeRoute(connection, connection.getRouteKey());
+      dirty = true;
+    }
+
+    if (dirty) {
+      this.applyRoutes();
+    }
+    return this.pending.size > 0;
+  }
+
+  computeRoute(connection, key) {
+    const points = this.route(connection);
+    this.routes.set(connection, {
+      key,
+      points,
+      bounds: this.expandRect(this.getBounds(points), this.margin)
+    });
+    this.pending.delete(connection);
+  }
+
+  now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  invalidate() {
+    this.pending.clear();
+    this.routes.clear();
+    this.obstacleKeys.clear();
+    this.obstacleRects.clear();
+  }
+
+  // ============================================================================
+  // Obstacles
+  // ============================================================================
+
+  // Returns the rects (old and new) of every obstacle that moved, resized,
+  // appeared or disappeared, so dependent routes can be invalidated
+  updateObstacles(nodes, areas) {
+    const changed = [];
+    const seen = new Set();
+
+    const track = (owner, rect) => {
+      seen.add(owner);
+      const key = `${rect.x1},${rect.y1},${rect.x2},${rect.y2}`;
+      if (this.obstacleKeys.get(owner) !== key) {
+        if (this.obstacleRects.has(owner)) changed.push(this.obstacleRects.get(owner));
+        changed.push(rect);
+        this.obstacleKeys.set(owner, key);
+        this.obstacleRects.set(owner, rect);
+      }
+    };
+
+    nodes.forEach(node => {
+      track(node, {
+        x1: node.x - node.width / 2 - this.margin,
+        y1: node.y - node.height / 2 - this.margin,
+        x2: node.x + node.width / 2 + this.margin,
+        y2: node.y + node.height / 2 + this.margin,
+        owner: node
+      });
+    });
+
+    // Area title bars are solid; the area body is not
+    areas.forEach(area => {
+      track(area, {
+        x1: area.x1 - this.margin / 2,
+        y1: area.y1 - 30 - this.margin / 2,
+        x2: area.x2 + this.margin / 2,
+        y2: area.y1,
+        owner: area
+      });
+    });
+
+    for (let owner of [...this.obstacleRects.keys()]) {
+      if (!seen.has(owner)) {
+        changed.push(this.obstacleRects.get(owner));
+        this.obstacleRects.delete(owner);
+        this.obstacleKeys.delete(owner);
+      }
+    }
+
+    if (changed.length > 0) {
+      this.rebuildBuckets();
+    }
+    return changed;
+  }
+
+  rebuildBuckets() {
+    this.buckets.clear();
+    for (let rect of this.obstacleRects.values()) {
+      const cx1 = Math.floor(rect.x1 / this.bucketSize);
+      const cy1 = Math.floor(rect.y1 / this.bucketSize);
+      const cx2 = Math.floor(rect.x2 / this.bucketSize);
+      const cy2 = Math.floor(rect.y2 / this.bucketSize);
+      for (let cx = cx1; cx <= cx2; cx++) {
+        for (let cy = cy1; cy <= cy2; cy++) {
+          const key = `${cx},${cy}`;
+          if (!this.buckets.has(key)) this.buckets.set(key, []);
+          this.buckets.get(key).push(rect);
+        }
+      }
+    }
+  }
+
+  queryObstacles(region) {
+    const found = new Set();
+    const cx1 = Math.floor(region.x1 / this.bucketSize);
+    const cy1 = Math.floor(region.y1 / this.bucketSize);
+    const cx2 = Math.floor(region.x2 / this.bucketSize);
+    const cy2 = Math.floor(region.y2 / this.bucketSize);
+    for (let cx = cx1; cx <= cx2; cx++) {
+      for (let cy = cy1; cy <= cy2; cy++) {
+        const bucket = this.buckets.get(`${cx},${cy}`);
+        if (!bucket) continue;
+        bucket.forEach(rect => {
+          if (this.rectsIntersect(rect, region)) found.add(rect);
+        });
+      }
+    }
+    return [...found];
+  }
+
+  // ============================================================================
+  // Routing
+  // ============================================================================
+
+  route(connection) {
+    const start = connection.getPortPosition(connection.fromNode, connection.fromPort);
+    const end = connection.getPortPosition(connection.toNode, connection.toPort);
+    const startDir = connection.getPortDirection(connection.getStartSide());
+    const endDir = connection.getPortDirection(connection.getEndSide());
+
+    // Leave and enter each node perpendicular to its side
+    const startStub = { x: start.x + startDir.x * this.margin, y: start.y + startDir.y * this.margin };
+    const endStub = { x: end.x + endDir.x * this.margin, y: end.y + endDir.y * this.margin };
+
+    // Search a small window first and only widen it when that fails
+    for (let padding of [this.searchPadding, this.searchPadding * 4]) {
+      const region = this.expandRect(this.getBounds([startStub, endStub]), padding);
+      const path = this.search(startStub, startDir, endStub, endDir, this.queryObstacles(region), region);
+      if (path) {
+        return this.simplify([start, ...path, end]);
+      }
+    }
+
+    return connection.calculateOrthogonalPath(start, end, connection.getStartSide(), connection.getEndSide());
+  }
+
+  search(from, fromDir, to, toDir, obstacles, region) {
+    // Candidate lines: obstacle edges, the endpoints and the region border
+    const xs = new Set([from.x, to.x, region.x1, region.x2, (from.x + to.x) / 2]);
+    const ys = new Set([from.y, to.y, region.y1, region.y2, (from.y + to.y) / 2]);
+    obstacles.forEach(rect => {
+      xs.add(rect.x1);
+      xs.add(rect.x2);
+      ys.add(rect.y1);
+      ys.add(rect.y2);
+    });
+
+    const xList = [...xs].filter(x => x >= region.x1 && x <= region.x2).sort((a, b) => a - b);
+    const yList = [...ys].filter(y => y >= region.y1 && y <= region.y2).sort((a, b) => a - b);
+    const nx = xList.length;
+    const ny = yList.length;
+
+    const isBlocked = (x, y) => obstacles.some(rect =>
+      x > rect.x1 && x < rect.x2 && y > rect.y1 && y < rect.y2
+    );
+
+    // An edge between neighbouring grid lines is blocked when its midpoint is
+    const edgeCache = new Map();
+    const edgeBlocked = (a, b) => {
+      const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+      if (!edgeCache.has(key)) {
+        const midX = (xList[a % nx] + xList[b % nx]) / 2;
+        const midY = (yList[Math.floor(a / nx)] + yList[Math.floor(b / nx)]) / 2;
+        edgeCache.set(key, isBlocked(midX, midY));
+      }
+      return edgeCache.get(key);
+    };
+
+    const startIndex = yList.indexOf(from.y) * nx + xList.indexOf(from.x);
+    const goalIndex = yList.indexOf(to.y) * nx + xList.indexOf(to.x);
+    const startDirIndex = this.directionIndex(fromDir);
+    const arriveDirIndex = this.directionIndex({ x: -toDir.x, y: -toDir.y });
+
+    const heuristic = (index) =>
+      Math.abs(xList[index % nx] - to.x) + Math.abs(yList[Math.floor(index / nx)] - to.y);
+
+    // State = grid point * 4 + heading
+    const cost = new Map();
+    const previous = new Map();
+    const heap = new RouteHeap();
+
+    for (let d = 0; d < 4; d++) {
+      const state = startIndex * 4 + d;
+      const initial = startDirIndex === -1 || d === startDirIndex ? 0 : this.bendPenalty;
+      cost.set(state, initial);
+      heap.push(state, initial + heuristic(startIndex));
+    }
+
+    let goalState = -1;
+    while (heap.size() > 0) {
+      const { value: state, priority } = heap.pop();
+      const index = Math.floor(state / 4);
+      const dir = state % 4;
+      const current = cost.get(state);
+      if (priority - heuristic(index) > current + 1e-6) continue;
+
+      if (index === goalIndex) {
+        goalState = state;
+        break;
+      }
+
+      const gx = index % nx;
+      const gy = Math.floor(index / nx);
+
+      for (let d = 0; d < 4; d++) {
+        // Never reverse onto the segment just travelled
+        if (d === (dir + 2) % 4) continue;
+
+        const tx = gx + ROUTE_DIRECTIONS[d].x;
+        const ty = gy + ROUTE_DIRECTIONS[d].y;
+        if (tx < 0 || ty < 0 || tx >= nx || ty >= ny) continue;
+
+        const next = ty * nx + tx;
+        if (edgeBlocked(index, next)) continue;
+        if (next !== goalIndex && isBlocked(xList[tx], yList[ty])) continue;
+
+        let stepCost = Math.abs(xList[tx] - xList[gx]) + Math.abs(yList[ty] - yList[gy]);
+        if (d !== dir) stepCost += this.bendPenalty;
+        if (next === goalIndex && arriveDirIndex !== -1 && d !== arriveDirIndex) {
+          stepCost += this.bendPenalty;
+        }
+
+        const nextState = next * 4 + d;
+        const nextCost = current + stepCost;
+        if (!cost.has(nextState) || nextCost < cost.get(nextState)) {
+          cost.set(nextState, nextCost);
+          previous.set(nextState, state);
+          heap.push(nextState, nextCost + heuristic(next));
+        }
+      }
+    }
+
+    if (goalState === -1) return null;
+
+    const path = [];
+    for (let state = goalState; state !== undefined; state = previous.get(state)) {
+      const index = Math.floor(state / 4);
+      path.unshift({ x: xList[index % nx], y: yList[Math.floor(index / nx)] });
+    }
+    return path;
+  }
+
+  directionIndex(dir) {
+    return ROUTE_DIRECTIONS.findIndex(d => d.x === dir.x && d.y === dir.y);
+  }
+
+  // Drop duplicate and collinear points
+  simplify(points) {
+    const result = [];
+    points.forEach(point => {
+      const last = result[result.length - 1];
+      if (last && last.x === point.x && last.y === point.y) return;
+
+      const beforeLast = result[result.length - 2];
+      if (beforeLast && last &&
+          ((beforeLast.x === last.x && last.x === point.x) ||
+           (beforeLast.y === last.y && last.y === point.y))) {
+        result[result.length - 1] = { x: point.x, y: point.y };
+        return;
+      }
+      result.push({ x: point.x, y: point.y });
+    });
+    return result;
+  }
+
+  // ============================================================================
+  // Parallel Edge Spreading
+  // ============================================================================
+
+  // Copy every cached route, spread overlapping collinear segments apart and
+  // hand the result to the connections
+  applyRoutes() {
+    const entries = [...this.routes.entries()].map(([connection, cached]) => ({
+      connection,
+      key: cached.key,
+      points: cached.points.map(point => ({ x: point.x, y: point.y }))
+    }));
+
+    this.spreadParallelSegments(entries.map(entry => entry.points));
+
+    entries.forEach(({ connection, key, points }) => {
+      if (!this.samePath(connection.route, points)) this.changed.add(connection);
+      connection.route = points;
+      connection.routeKey = key;
+    });
+  }
+
+  spreadParallelSegments(routes) {
+    const groups = new Map();
+
+    routes.forEach((points, routeIndex) => {
+      // Skip the first and last segment - they are pinned to the ports
+      for (let i = 1; i < points.length - 2; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const vertical = a.x === b.x;
+        if (!vertical && a.y !== b.y) continue;
+
+        const axis = vertical ? 'x' : 'y';
+        const along = vertical ? 'y' : 'x';
+        const key = `${axis}:${Math.round(a[axis])}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({
+          routeIndex,
+          i,
+          axis,
+          min: Math.min(a[along], b[along]),
+          max: Math.max(a[along], b[along])
+        });
+      }
+    });
+
+    for (let segments of groups.values()) {
+      if (segments.length < 2) continue;
+      segments.sort((a, b) => a.min - b.min || a.routeIndex - b.routeIndex);
+
+      // Sweep into clusters of overlapping segments
+      let cluster = [];
+      let clusterMax = -Infinity;
+      const flush = () => {
+        const owners = new Set(cluster.map(segment => segment.routeIndex));
+        if (owners.size > 1) this.offsetCluster(routes, cluster);
+        cluster = [];
+      };
+
+      segments.forEach(segment => {
+        if (cluster.length > 0 && segment.min >= clusterMax) {
+          flush();
+          clusterMax = -Infinity;
+        }
+        cluster.push(segment);
+        clusterMax = Math.max(clusterMax, segment.max);
+      });
+      flush();
+    }
+  }
+
+  offsetCluster(routes, cluster) {
+    const count = cluster.length;
+    // Stay inside the clearance so spread lines never touch a node
+    const spacing = Math.min(this.spacing, (2 * (this.margin - 2)) / (count - 1));
+
+    cluster
+      .sort((a, b) => a.routeIndex - b.routeIndex)
+      .forEach((segment, k) => {
+        const offset = (k - (count - 1) / 2) * spacing;
+        const points = routes[segment.routeIndex];
+        points[segment.i][segment.axis] += offset;
+        points[segment.i + 1][segment.axis] += offset;
+      });
+  }
+
+  // ============================================================================
+  // Geometry Helpers
+  // ============================================================================
+
+  samePath(a, b) {
+    return !!a && a.length === b.length && a.every((point, i) => point.x === b[i].x && point.y === b[i].y);
+  }
+
+  getBounds(points) {
+    return {
+      x1: Math.min(...points.map(point => point.x)),
+      y1: Math.min(...points.map(point => point.y)),
+      x2: Math.max(...points.map(point => point.x)),
+      y2: Math.max(...points.map(point => point.y))
+    };
+  }
+
+  expandRect(rect, amount) {
+    return { x1: rect.x1 - amount, y1: rect.y1 - amount, x2: rect.x2 + amount, y2: rect.y2 + amount };
+  }
+
+  rectsIntersect(a, b) {
+    return a.x1 <= b.x2 && a.x2 >= b.x1 && a.y1 <= b.y2 && a.y2 >= b.y1;
+  }
+}
+
+// Binary min-heap keyed by priority, used as the A* open set
+class RouteHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export default OrthogonalRouter;
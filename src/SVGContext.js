@@ -0,0 +1,411 @@
+// src/SVGContext.js
+// Stand-in for a canvas 2D context that records drawing calls as SVG markup
+//
+// Nodes, connections, areas and registered shapes draw themselves through the
+// usual canvas calls, so exporting through this context gives vector output that
+// matches the screen. Arcs become cubic Béziers so any transform is exact.
+// Consecutive lines of text with the same style become one <text> with <tspan>s.
+
+import ShapeRegistry from './Shapes.js';
+
+class SVGContext {
+  constructor() {
+    this.elements = [];
+    this.stack = [];
+    this.links = [];
+    this.segments = [];
+    this.current = null;
+    this.subpathStart = null;
+    this.lastFill = null;
+
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.lineDash = [];
+    this.globalAlpha = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.matrix = [1, 0, 0, 1, 0, 0];
+  }
+
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ============================================================================
+  // State & Transform
+  // ============================================================================
+
+  save() {
+    this.stack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      lineCap: this.lineCap,
+      lineJoin: this.lineJoin,
+      lineDash: this.lineDash,
+      globalAlpha: this.globalAlpha,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      matrix: [...this.matrix]
+    });
+  }
+
+  restore() {
+    if (this.stack.length > 0) {
+      Object.assign(this, this.stack.pop());
+    }
+  }
+
+  setLineDash(segments) {
+    this.lineDash = [...segments];
+  }
+
+  getLineDash() {
+    return [...this.lineDash];
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this.matrix;
+    this.matrix = [
+      ma * a + mc * b,
+      mb * a + md * b,
+      ma * c + mc * d,
+      mb * c + md * d,
+      ma * e + mc * f + me,
+      mb * e + md * f + mf
+    ];
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this.matrix = [1, 0, 0, 1, 0, 0];
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  // Map a user-space point to SVG coordinates, formatted for output
+  point(x, y) {
+    const [a, b, c, d, e, f] = this.matrix;
+    return `${this.number(a * x + c * y + e)} ${this.number(b * x + d * y + f)}`;
+  }
+
+  number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  // How much the current transform scales lengths such as line widths
+  getScale() {
+    const [a, b, c, d] = this.matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  // ============================================================================
+  // Paths
+  // ============================================================================
+
+  beginPath() {
+    this.segments = [];
+    this.current = null;
+    this.subpathStart = null;
+  }
+
+  moveTo(x, y) {
+    this.segments.push(`M${this.point(x, y)}`);
+    this.current = { x, y };
+    this.subpathStart = { x, y };
+  }
+
+  lineTo(x, y) {
+    if (!this.current) {
+      this.moveTo(x, y);
+      return;
+    }
+    this.segments.push(`L${this.point(x, y)}`);
+    this.current = { x, y };
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this.current) this.moveTo(cp1x, cp1y);
+    this.segments.push(`C${this.point(cp1x, cp1y)} ${this.point(cp2x, cp2y)} ${this.point(x, y)}`);
+    this.current = { x, y };
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    if (!this.current) this.moveTo(cpx, cpy);
+    this.segments.push(`Q${this.point(cpx, cpy)} ${this.point(x, y)}`);
+    this.current = { x, y };
+  }
+
+  closePath() {
+    if (!this.current) return;
+    this.segments.push('Z');
+    this.current = this.subpathStart;
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+  }
+
+  // Follows the canvas rules for the sweep, then approximates each quarter
+  // turn (or less) with one cubic Bézier
+  ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+    const TAU = Math.PI * 2;
+    let sweep = endAngle - startAngle;
+    if (!counterclockwise) {
+      sweep = sweep >= TAU ? TAU : ((sweep % TAU) + TAU) % TAU;
+    } else {
+      sweep = sweep <= -TAU ? -TAU : -((((startAngle - endAngle) % TAU) + TAU) % TAU);
+    }
+
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const at = (angle) => {
+      const px = radiusX * Math.cos(angle);
+      const py = radiusY * Math.sin(angle);
+      return { x: x + px * cos - py * sin, y: y + px * sin + py * cos };
+    };
+    const tangent = (angle) => {
+      const tx = -radiusX * Math.sin(angle);
+      const ty = radiusY * Math.cos(angle);
+      return { x: tx * cos - ty * sin, y: tx * sin + ty * cos };
+    };
+
+    const start = at(startAngle);
+    this.lineTo(start.x, start.y);
+
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    const step = sweep / steps;
+    const k = (4 / 3) * Math.tan(step / 4);
+
+    for (let i = 0; i < steps; i++) {
+      const a0 = startAngle + step * i;
+      const a1 = a0 + step;
+      const p0 = at(a0);
+      const p1 = at(a1);
+      const t0 = tangent(a0);
+      const t1 = tangent(a1);
+      this.bezierCurveTo(
+        p0.x + t0.x * k, p0.y + t0.y * k,
+        p1.x - t1.x * k, p1.y - t1.y * k,
+        p1.x, p1.y
+      );
+    }
+  }
+
+  arcTo(x1, y1, x2, y2, radius) {
+    if (!this.current) this.moveTo(x1, y1);
+    const p0 = this.current;
+
+    const ux = p0.x - x1, uy = p0.y - y1;
+    const vx = x2 - x1, vy = y2 - y1;
+    const lu = Math.hypot(ux, uy);
+    const lv = Math.hypot(vx, vy);
+    const cross = ux * vy - uy * vx;
+    if (radius === 0 || lu === 0 || lv === 0 || Math.abs(cross) < 1e-9) {
+      this.lineTo(x1, y1);
+      return;
+    }
+
+    // Tangent points along both legs, and the centre on the bisector
+    const angle = Math.acos(Math.max(-1, Math.min(1, (ux * vx + uy * vy) / (lu * lv))));
+    const distance = radius / Math.tan(angle / 2);
+    const t1 = { x: x1 + (ux / lu) * distance, y: y1 + (uy / lu) * distance };
+    const t2 = { x: x1 + (vx / lv) * distance, y: y1 + (vy / lv) * distance };
+    const bx = ux / lu + vx / lv;
+    const by = uy / lu + vy / lv;
+    const lb = Math.hypot(bx, by);
+    const offset = radius / Math.sin(angle / 2);
+    const cx = x1 + (bx / lb) * offset;
+    const cy = y1 + (by / lb) * offset;
+
+    const start = Math.atan2(t1.y - cy, t1.x - cx);
+    const end = Math.atan2(t2.y - cy, t2.x - cx);
+    let delta = end - start;
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    if (delta < -Math.PI) delta += Math.PI * 2;
+    this.arc(cx, cy, radius, start, end, delta < 0);
+  }
+
+  // ============================================================================
+  // Painting
+  // ============================================================================
+
+  fill() {
+    const d = this.segments.join('');
+    if (!d) return;
+
+    const element = { type: 'path', d, fill: this.fillStyle, opacity: this.globalAlpha };
+    this.elements.push(element);
+    this.lastFill = element;
+  }
+
+  stroke() {
+    const d = this.segments.join('');
+    if (!d) return;
+
+    const stroke = {
+      stroke: this.strokeStyle,
+      strokeWidth: this.lineWidth * this.getScale(),
+      lineCap: this.lineCap,
+      lineJoin: this.lineJoin,
+      lineDash: this.lineDash.map(length => length * this.getScale())
+    };
+
+    // Fill followed by stroke of the same path becomes a single element
+    const last = this.elements[this.elements.length - 1];
+    if (last && last === this.lastFill && last.d === d && last.opacity === this.globalAlpha) {
+      Object.assign(last, stroke);
+      this.lastFill = null;
+      return;
+    }
+    this.elements.push({ type: 'path', d, fill: 'none', opacity: this.globalAlpha, ...stroke });
+  }
+
+  // Rectangles painted directly leave the current path alone
+  fillRect(x, y, width, height) {
+    this.withPath(() => this.rect(x, y, width, height), () => this.fill());
+  }
+
+  strokeRect(x, y, width, height) {
+    this.withPath(() => this.rect(x, y, width, height), () => this.stroke());
+  }
+
+  clearRect() {}
+
+  withPath(build, paint) {
+    const saved = { segments: this.segments, current: this.current, subpathStart: this.subpathStart };
+    this.beginPath();
+    build();
+    paint();
+    Object.assign(this, saved);
+  }
+
+  isPointInPath() {
+    return false;
+  }
+
+  // ============================================================================
+  // Text
+  // ============================================================================
+
+  getFontStyle() {
+    const match = /(?:(bold|normal|[1-9]00)\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/.exec(this.font);
+    if (!match) return { weight: 'normal', size: 10, family: 'sans-serif' };
+    return { weight: match[1] || 'normal', size: parseFloat(match[2]), family: match[3] };
+  }
+
+  measureText(text) {
+    const measure = ShapeRegistry.getHitContext();
+    if (measure) {
+      measure.font = this.font;
+      return measure.measureText(text);
+    }
+    return { width: String(text).length * this.getFontStyle().size * 0.6 };
+  }
+
+  fillText(text, x, y) {
+    const font = this.getFontStyle();
+    const anchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+    const baselines = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'ideographic' };
+    const attributes = [
+      `fill="${SVGContext.escape(this.fillStyle)}"`,
+      `font-family="${SVGContext.escape(font.family)}"`,
+      `font-size="${this.number(font.size * this.getScale())}"`,
+      font.weight !== 'normal' ? `font-weight="${font.weight}"` : '',
+      `text-anchor="${anchors[this.textAlign] || 'start'}"`,
+      baselines[this.textBaseline] ? `dominant-baseline="${baselines[this.textBaseline]}"` : '',
+      this.globalAlpha !== 1 ? `opacity="${this.globalAlpha}"` : ''
+    ].filter(Boolean).join(' ');
+    const [px, py] = this.point(x, y).split(' ');
+
+    // The next line of a multi-line block continues the previous <text>
+    const last = this.elements[this.elements.length - 1];
+    if (last && last.type === 'text' && last.attributes === attributes && last.lines[0].x === px) {
+      last.lines.push({ x: px, y: py, text });
+      return;
+    }
+    this.elements.push({ type: 'text', attributes, lines: [{ x: px, y: py, text }] });
+  }
+
+  // ============================================================================
+  // Links & Output
+  // ============================================================================
+
+  // Wrap what is drawn until endLink() in a hyperlink. Script URLs are dropped.
+  beginLink(href) {
+    const safe = !!href && !/^\s*(javascript|vbscript|data):/i.test(href);
+    this.links.push(safe);
+    if (safe) {
+      this.elements.push({ type: 'raw', markup: `<a href="${SVGContext.escape(href)}" target="_blank">` });
+    }
+  }
+
+  endLink() {
+    if (this.links.pop()) {
+      this.elements.push({ type: 'raw', markup: '</a>' });
+    }
+  }
+
+  toMarkup() {
+    return this.elements.map(element => {
+      if (element.type === 'raw') return element.markup;
+
+      if (element.type === 'text') {
+        const spans = element.lines.map(line =>
+          `<tspan x="${line.x}" y="${line.y}">${SVGContext.escape(line.text)}</tspan>`
+        ).join('');
+        return `<text ${element.attributes} xml:space="preserve">${spans}</text>`;
+      }
+
+      const attributes = [
+        `d="${element.d}"`,
+        `fill="${SVGContext.escape(element.fill)}"`
+      ];
+      if (element.stroke) {
+        attributes.push(`stroke="${SVGContext.escape(element.stroke)}"`);
+        attributes.push(`stroke-width="${this.number(element.strokeWidth)}"`);
+        if (element.lineCap !== 'butt') attributes.push(`stroke-linecap="${element.lineCap}"`);
+        if (element.lineJoin !== 'miter') attributes.push(`stroke-linejoin="${element.lineJoin}"`);
+        if (element.lineDash.length > 0) {
+          attributes.push(`stroke-dasharray="${element.lineDash.map(length => this.number(length)).join(' ')}"`);
+        }
+      }
+      if (element.opacity !== 1) attributes.push(`opacity="${element.opacity}"`);
+      return `<path ${attributes.join(' ')}/>`;
+    }).join('\n');
+  }
+}
+
+export default SVGContext;
@@ -0,0 +1,168 @@
+// src/Schema.js
+// Versioned diagram document format: migrations and validation
+//
+// Documents carry a `version`. Files written before versioning have none and
+// count as version 1. Each migration takes a document one version forward, so
+// old files are brought up to date step by step before they are checked.
+
+const SCHEMA_VERSION = 2;
+
+// Migrations by the version they upgrade from. Each returns a new document
+// and must not change the one it is given.
+const SCHEMA_MIGRATIONS = {
+  // 1 -> 2: documents gain `version`; `connections` and `areas` became required
+  1: data => ({
+    ...data,
+    connections: data.connections || [],
+    areas: data.areas || []
+  })
+};
+
+class DiagramSchema {
+  static get version() {
+    return SCHEMA_VERSION;
+  }
+
+  // Bring a parsed document up to the current version
+  static migrate(data) {
+    let version = data.version === undefined ? 1 : data.version;
+    let migrated = data;
+    while (version < SCHEMA_VERSION) {
+      migrated = SCHEMA_MIGRATIONS[version](migrated);
+      version++;
+    }
+    return { ...migrated, version: SCHEMA_VERSION };
+  }
+
+  static validate(json) {
+    const { errors } = DiagramSchema.load(json);
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Parse, migrate and check a document (a JSON string or a parsed object).
+  // Items with errors are left out of `data`, and connections to a node that
+  // was left out are too. `data` is null when the document as a whole cannot
+  // be read. Errors are { path, code, message }, e.g.
+  // { path: 'connections[2].toNodeId', code: 'missing-reference', ... }.
+  static load(json) {
+    const fail = (path, code, message) => ({ data: null, errors: [{ path, code, message }] });
+
+    let data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (e) {
+        return fail('', 'invalid-json', `Not valid JSON: ${e.message}`);
+      }
+    }
+    if (!DiagramSchema.isObject(data)) {
+      return fail('', 'invalid-document', 'The document must be a JSON object');
+    }
+
+    const version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) {
+      return fail('version', 'invalid-version', 'version must be a positive whole number');
+    }
+    if (version > SCHEMA_VERSION) {
+      return fail('version', 'unsupported-version',
+        `Version ${version} is newer than this library supports (up to ${SCHEMA_VERSION})`);
+    }
+
+    data = DiagramSchema.migrate(data);
+    for (const collection of ['nodes', 'connections', 'areas']) {
+      if (!Array.isArray(data[collection])) {
+        return fail(collection, 'invalid-document', `${collection} must be an array`);
+      }
+    }
+
+    const errors = [];
+    const nodeIds = new Set();
+    const nodes = DiagramSchema.checkItems(data.nodes, 'nodes', errors, (node, report) => {
+      DiagramSchema.checkNumbers(node, ['x', 'y'], report);
+      DiagramSchema.checkNumbers(node, ['width', 'height'], report, { optional: true, positive: true });
+      DiagramSchema.checkStrings(node, ['type'], report);
+      DiagramSchema.checkStrings(node, ['text', 'link'], report, { optional: true });
+      if (node.ports !== undefined && node.ports !== null && !Array.isArray(node.ports)) {
+        report('ports', 'invalid-type', 'ports must be an array');
+      }
+    });
+    nodes.forEach(node => nodeIds.add(node.id));
+
+    const connections = DiagramSchema.checkItems(data.connections, 'connections', errors, (conn, report) => {
+      ['fromNodeId', 'toNodeId'].forEach(key => {
+        if (!nodeIds.has(conn[key])) {
+          report(key, 'missing-reference', `${key} "${conn[key]}" does not match any node`);
+        }
+      });
+      DiagramSchema.checkStrings(conn, ['fromPort', 'toPort', 'label'], report, { optional: true });
+      if (conn.waypoints !== undefined) {
+        const valid = Array.isArray(conn.waypoints) && conn.waypoints.every(point =>
+          DiagramSchema.isObject(point) && Number.isFinite(point.x) && Number.isFinite(point.y)
+        );
+        if (!valid) report('waypoints', 'invalid-type', 'waypoints must be an array of { x, y } points');
+      }
+    });
+
+    const areas = DiagramSchema.checkItems(data.areas, 'areas', errors, (area, report) => {
+      DiagramSchema.checkNumbers(area, ['x1', 'y1', 'x2', 'y2'], report);
+      DiagramSchema.checkNumbers(area, ['outlineWidth'], report, { optional: true, positive: true });
+      DiagramSchema.checkStrings(area, ['title'], report, { optional: true });
+    });
+
+    return {
+      data: { ...data, nodes, connections, areas },
+      errors
+    };
+  }
+
+  // Check each item of a collection with `check(item, report)`, plus the id
+  // every item needs. Returns the items that passed.
+  static checkItems(items, collection, errors, check) {
+    const seen = new Set();
+    return items.filter((item, index) => {
+      const before = errors.length;
+      const report = (key, code, message) => {
+        errors.push({ path: key ? `${collection}[${index}].${key}` : `${collection}[${index}]`, code, message });
+      };
+
+      if (!DiagramSchema.isObject(item)) {
+        report('', 'invalid-type', 'Each item must be an object');
+        return false;
+      }
+      if (typeof item.id !== 'string' || item.id === '') {
+        report('id', 'invalid-id', 'id must be a non-empty string');
+      } else if (seen.has(item.id)) {
+        report('id', 'duplicate-id', `id "${item.id}" is used more than once`);
+      } else {
+        seen.add(item.id);
+      }
+
+      check(item, report);
+      return errors.length === before;
+    });
+  }
+
+  static checkNumbers(item, keys, report, { optional = false, positive = false } = {}) {
+    keys.forEach(key => {
+      if (optional && item[key] === undefined) return;
+      if (!Number.isFinite(item[key]) || (positive && item[key] <= 0)) {
+        report(key, 'invalid-number', `${key} must be a ${positive ? 'positive ' : ''}number`);
+      }
+    });
+  }
+
+  static checkStrings(item, keys, report, { optional = false } = {}) {
+    keys.forEach(key => {
+      if (optional && item[key] === undefined) return;
+      if (typeof item[key] !== 'string') {
+        report(key, 'invalid-type', `${key} must be a string`);
+      }
+    });
+  }
+
+  static isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+}
+
+export default DiagramSchema;
@@ -0,0 +1,409 @@
+// src/Shapes.js
+// Registry of node shapes, pre-loaded with the standard ISO 5807 flowchart symbols
+//
+// A shape definition is an object with any of:
+//   outline(ctx, bounds, node)  - trace the shape's path (no fill/stroke); used for
+//                                 drawing and the selection outline
+//   draw(ctx, bounds, node)     - full custom drawing; defaults to outline + fill + stroke
+//   hitTest(x, y, bounds, node) - true when the point is inside; defaults to
+//                                 ctx.isPointInPath() on outline(), then to the bounds
+//   ports(bounds, node)         - [{ x, y, position, side?, direction? }] with position
+//                                 naming the port; defaults to the midpoints of the
+//                                 bounding box named 'top', 'right', 'bottom', 'left'
+// `bounds` is { x, y, width, height } with x/y at the top-left corner.
+
+class ShapeRegistry {
+  static register(name, definition) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Shape name must be a non-empty string');
+    }
+    if (!definition || (typeof definition.outline !== 'function' && typeof definition.draw !== 'function')) {
+      throw new Error(`Shape "${name}" needs an outline() or draw() function`);
+    }
+    ShapeRegistry.shapes[name] = definition;
+    return definition;
+  }
+
+  // Unknown types fall back to a plain rectangle
+  static get(name) {
+    return ShapeRegistry.shapes[name] || ShapeRegistry.shapes.process;
+  }
+
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(ShapeRegistry.shapes, name);
+  }
+
+  static list() {
+    return Object.keys(ShapeRegistry.shapes);
+  }
+
+  // Offscreen context for isPointInPath() tests on shapes without hitTest()
+  static getHitContext() {
+    if (ShapeRegistry.hitContext === undefined) {
+      ShapeRegistry.hitContext = typeof document !== 'undefined'
+        ? document.createElement('canvas').getContext('2d')
+        : null;
+    }
+    return ShapeRegistry.hitContext;
+  }
+
+  // ============================================================================
+  // Geometry Helpers
+  // ============================================================================
+
+  static boxPorts(b) {
+    const cx = b.x + b.width / 2;
+    const cy = b.y + b.height / 2;
+    return [
+      { x: cx, y: b.y, position: 'top' },
+      { x: b.x + b.width, y: cy, position: 'right' },
+      { x: cx, y: b.y + b.height, position: 'bottom' },
+      { x: b.x, y: cy, position: 'left' }
+    ];
+  }
+
+  static inBox(x, y, b) {
+    return x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height;
+  }
+
+  static inEllipse(x, y, cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) return false;
+    const dx = (x - cx) / rx;
+    const dy = (y - cy) / ry;
+    return dx * dx + dy * dy <= 1;
+  }
+
+  // Even-odd ray casting
+  static inPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  static tracePolygon(ctx, points) {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.closePath();
+  }
+
+  static traceRounded(ctx, b, radius) {
+    const r = Math.min(radius, b.width / 2, b.height / 2);
+    ctx.beginPath();
+    ctx.moveTo(b.x + r, b.y);
+    ctx.lineTo(b.x + b.width - r, b.y);
+    ctx.arcTo(b.x + b.width, b.y, b.x + b.width, b.y + r, r);
+    ctx.lineTo(b.x + b.width, b.y + b.height - r);
+    ctx.arcTo(b.x + b.width, b.y + b.height, b.x + b.width - r, b.y + b.height, r);
+    ctx.lineTo(b.x + r, b.y + b.height);
+    ctx.arcTo(b.x, b.y + b.height, b.x, b.y + b.height - r, r);
+    ctx.lineTo(b.x, b.y + r);
+    ctx.arcTo(b.x, b.y, b.x + r, b.y, r);
+    ctx.closePath();
+  }
+
+  static inRounded(x, y, b, radius) {
+    if (!ShapeRegistry.inBox(x, y, b)) return false;
+    const r = Math.min(radius, b.width / 2, b.height / 2);
+    // Distance from the inner rectangle that the corner arcs are centred on
+    const dx = Math.max(b.x + r - x, 0, x - (b.x + b.width - r));
+    const dy = Math.max(b.y + r - y, 0, y - (b.y + b.height - r));
+    return dx * dx + dy * dy <= r * r;
+  }
+
+  // Document symbol: flat top, wavy bottom edge
+  static documentWave(b) {
+    const amplitude = b.height * 0.1;
+    return { baseline: b.y + b.height - amplitude, amplitude };
+  }
+
+  static traceDocument(ctx, b) {
+    const { baseline, amplitude } = ShapeRegistry.documentWave(b);
+    ctx.beginPath();
+    ctx.moveTo(b.x, b.y);
+    ctx.lineTo(b.x + b.width, b.y);
+    ctx.lineTo(b.x + b.width, baseline);
+    ctx.bezierCurveTo(
+      b.x + b.width * 0.7, baseline - amplitude * 3,
+      b.x + b.width * 0.3, baseline + amplitude * 3,
+      b.x, baseline
+    );
+    ctx.closePath();
+  }
+
+  static inDocument(x, y, b) {
+    if (!ShapeRegistry.inBox(x, y, b)) return false;
+    // The bezier above is close to a sine wave with 0.87x its control amplitude
+    const { baseline, amplitude } = ShapeRegistry.documentWave(b);
+    const edge = baseline + amplitude * 0.87 * Math.sin(2 * Math.PI * (x - b.x) / b.width);
+    return y <= edge;
+  }
+
+  // Back-to-front sheets of the multi-document symbol
+  static documentSheets(b) {
+    const offset = Math.min(8, b.width * 0.08, b.height * 0.1);
+    const width = b.width - offset * 2;
+    const height = b.height - offset * 2;
+    return [
+      { x: b.x + offset * 2, y: b.y, width, height },
+      { x: b.x + offset, y: b.y + offset, width, height },
+      { x: b.x, y: b.y + offset * 2, width, height }
+    ];
+  }
+
+  static cylinderCap(b) {
+    return Math.min(b.height * 0.15, b.width * 0.25);
+  }
+
+  static parallelogram(b) {
+    const skew = Math.min(b.width * 0.2, b.height * 0.5);
+    return [
+      { x: b.x + skew, y: b.y },
+      { x: b.x + b.width, y: b.y },
+      { x: b.x + b.width - skew, y: b.y + b.height },
+      { x: b.x, y: b.y + b.height }
+    ];
+  }
+
+  static hexagon(b) {
+    const inset = Math.min(b.width * 0.2, b.height * 0.5);
+    const cy = b.y + b.height / 2;
+    return [
+      { x: b.x + inset, y: b.y },
+      { x: b.x + b.width - inset, y: b.y },
+      { x: b.x + b.width, y: cy },
+      { x: b.x + b.width - inset, y: b.y + b.height },
+      { x: b.x + inset, y: b.y + b.height },
+      { x: b.x, y: cy }
+    ];
+  }
+
+  static manualInput(b) {
+    return [
+      { x: b.x, y: b.y + b.height * 0.3 },
+      { x: b.x + b.width, y: b.y },
+      { x: b.x + b.width, y: b.y + b.height },
+      { x: b.x, y: b.y + b.height }
+    ];
+  }
+
+  static offPage(b) {
+    return [
+      { x: b.x, y: b.y },
+      { x: b.x + b.width, y: b.y },
+      { x: b.x + b.width, y: b.y + b.height * 0.7 },
+      { x: b.x + b.width / 2, y: b.y + b.height },
+      { x: b.x, y: b.y + b.height * 0.7 }
+    ];
+  }
+
+  static diamond(b) {
+    const cx = b.x + b.width / 2;
+    const cy = b.y + b.height / 2;
+    return [
+      { x: cx, y: b.y },
+      { x: b.x + b.width, y: cy },
+      { x: cx, y: b.y + b.height },
+      { x: b.x, y: cy }
+    ];
+  }
+
+  // Shape definition for any closed polygon
+  static polygonShape(pointsFor) {
+    return {
+      outline: (ctx, b) => ShapeRegistry.tracePolygon(ctx, pointsFor(b)),
+      hitTest: (x, y, b) => ShapeRegistry.inPolygon(x, y, pointsFor(b))
+    };
+  }
+}
+
+ShapeRegistry.shapes = {};
+
+// ============================================================================
+// Built-in Shapes
+// ============================================================================
+
+ShapeRegistry.register('process', {
+  outline(ctx, b) {
+    ctx.beginPath();
+    ctx.rect(b.x, b.y, b.width, b.height);
+  },
+  hitTest: (x, y, b) => ShapeRegistry.inBox(x, y, b)
+});
+
+ShapeRegistry.register('terminator', {
+  outline: (ctx, b) => ShapeRegistry.traceRounded(ctx, b, b.height / 2),
+  hitTest: (x, y, b) => ShapeRegistry.inRounded(x, y, b, b.height / 2)
+});
+ShapeRegistry.register('start', ShapeRegistry.get('terminator'));
+ShapeRegistry.register('end', ShapeRegistry.get('terminator'));
+
+ShapeRegistry.register('decision', ShapeRegistry.polygonShape(ShapeRegistry.diamond));
+
+ShapeRegistry.register('ellipse', {
+  outline(ctx, b) {
+    ctx.beginPath();
+    ctx.ellipse(b.x + b.width / 2, b.y + b.height / 2, b.width / 2, b.height / 2, 0, 0, Math.PI * 2);
+    ctx.closePath();
+  },
+  hitTest: (x, y, b) => ShapeRegistry.inEllipse(x, y, b.x + b.width / 2, b.y + b.height / 2, b.width / 2, b.height / 2)
+});
+
+ShapeRegistry.register('inputOutput', {
+  ...ShapeRegistry.polygonShape(ShapeRegistry.parallelogram),
+  ports(b) {
+    // Side ports sit on the slanted edges
+    const skew = ShapeRegistry.parallelogram(b)[0].x - b.x;
+    const ports = ShapeRegistry.boxPorts(b);
+    ports[1].x -= skew / 2;
+    ports[3].x += skew / 2;
+    return ports;
+  }
+});
+
+ShapeRegistry.register('predefinedProcess', {
+  outline(ctx, b) {
+    ctx.beginPath();
+    ctx.rect(b.x, b.y, b.width, b.height);
+  },
+  draw(ctx, b) {
+    const inset = Math.min(12, b.width * 0.1);
+    ctx.beginPath();
+    ctx.rect(b.x, b.y, b.width, b.height);
+    ctx.fill();
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(b.x + inset, b.y);
+    ctx.lineTo(b.x + inset, b.y + b.height);
+    ctx.moveTo(b.x + b.width - inset, b.y);
+    ctx.lineTo(b.x + b.width - inset, b.y + b.height);
+    ctx.stroke();
+  },
+  hitTest: (x, y, b) => ShapeRegistry.inBox(x, y, b)
+});
+
+ShapeRegistry.register('document', {
+  outline: (ctx, b) => ShapeRegistry.traceDocument(ctx, b),
+  hitTest: (x, y, b) => ShapeRegistry.inDocument(x, y, b),
+  ports(b) {
+    const ports = ShapeRegistry.boxPorts(b);
+    ports[2].y = ShapeRegistry.documentWave(b).baseline;
+    return ports;
+  }
+});
+
+ShapeRegistry.register('multiDocument', {
+  outline: (ctx, b) => ShapeRegistry.traceDocument(ctx, b),
+  draw(ctx, b) {
+    ShapeRegistry.documentSheets(b).forEach(sheet => {
+      ShapeRegistry.traceDocument(ctx, sheet);
+      ctx.fill();
+      ctx.stroke();
+    });
+  },
+  hitTest: (x, y, b) => ShapeRegistry.documentSheets(b).some(sheet => ShapeRegistry.inDocument(x, y, sheet)),
+  ports(b) {
+    const front = ShapeRegistry.documentSheets(b)[2];
+    const ports = ShapeRegistry.boxPorts(b);
+    ports[2] = { x: front.x + front.width / 2, y: ShapeRegistry.documentWave(front).baseline, position: 'bottom' };
+    ports[3].y = front.y + front.height / 2;
+    return ports;
+  }
+});
+
+ShapeRegistry.register('manualInput', {
+  ...ShapeRegistry.polygonShape(ShapeRegistry.manualInput),
+  ports(b) {
+    // Top port sits on the sloped edge
+    const ports = ShapeRegistry.boxPorts(b);
+    ports[0].y = b.y + b.height * 0.15;
+    return ports;
+  }
+});
+
+ShapeRegistry.register('database', {
+  outline(ctx, b) {
+    const cap = ShapeRegistry.cylinderCap(b);
+    const cx = b.x + b.width / 2;
+    ctx.beginPath();
+    ctx.moveTo(b.x, b.y + cap);
+    ctx.lineTo(b.x, b.y + b.height - cap);
+    ctx.ellipse(cx, b.y + b.height - cap, b.width / 2, cap, 0, Math.PI, 0, true);
+    ctx.lineTo(b.x + b.width, b.y + cap);
+    ctx.ellipse(cx, b.y + cap, b.width / 2, cap, 0, 0, Math.PI, true);
+    ctx.closePath();
+  },
+  draw(ctx, b) {
+    const cap = ShapeRegistry.cylinderCap(b);
+    ShapeRegistry.shapes.database.outline(ctx, b);
+    ctx.fill();
+    ctx.stroke();
+    // Front rim of the top face
+    ctx.beginPath();
+    ctx.ellipse(b.x + b.width / 2, b.y + cap, b.width / 2, cap, 0, 0, Math.PI, false);
+    ctx.stroke();
+  },
+  hitTest(x, y, b) {
+    if (!ShapeRegistry.inBox(x, y, b)) return false;
+    const cap = ShapeRegistry.cylinderCap(b);
+    const cx = b.x + b.width / 2;
+    if (y >= b.y + cap && y <= b.y + b.height - cap) return true;
+    return ShapeRegistry.inEllipse(x, y, cx, b.y + cap, b.width / 2, cap) ||
+           ShapeRegistry.inEllipse(x, y, cx, b.y + b.height - cap, b.width / 2, cap);
+  }
+});
+
+ShapeRegistry.register('offPageConnector', ShapeRegistry.polygonShape(ShapeRegistry.offPage));
+
+ShapeRegistry.register('delay', {
+  outline(ctx, b) {
+    const rx = Math.min(b.width / 2, b.height / 2);
+    ctx.beginPath();
+    ctx.moveTo(b.x, b.y);
+    ctx.lineTo(b.x + b.width - rx, b.y);
+    ctx.ellipse(b.x + b.width - rx, b.y + b.height / 2, rx, b.height / 2, 0, -Math.PI / 2, Math.PI / 2, false);
+    ctx.lineTo(b.x, b.y + b.height);
+    ctx.closePath();
+  },
+  hitTest(x, y, b) {
+    if (!ShapeRegistry.inBox(x, y, b)) return false;
+    const rx = Math.min(b.width / 2, b.height / 2);
+    if (x <= b.x + b.width - rx) return true;
+    return ShapeRegistry.inEllipse(x, y, b.x + b.width - rx, b.y + b.height / 2, rx, b.height / 2);
+  }
+});
+
+ShapeRegistry.register('preparation', ShapeRegistry.polygonShape(ShapeRegistry.hexagon));
+
+ShapeRegistry.register('connector', {
+  outline(ctx, b) {
+    ctx.beginPath();
+    ctx.arc(b.x + b.width / 2, b.y + b.height / 2, Math.min(b.width, b.height) / 2, 0, Math.PI * 2);
+    ctx.closePath();
+  },
+  hitTest(x, y, b) {
+    const r = Math.min(b.width, b.height) / 2;
+    return ShapeRegistry.inEllipse(x, y, b.x + b.width / 2, b.y + b.height / 2, r, r);
+  },
+  ports(b) {
+    const r = Math.min(b.width, b.height) / 2;
+    const cx = b.x + b.width / 2;
+    const cy = b.y + b.height / 2;
+    return [
+      { x: cx, y: cy - r, position: 'top' },
+      { x: cx + r, y: cy, position: 'right' },
+      { x: cx, y: cy + r, position: 'bottom' },
+      { x: cx - r, y: cy, position: 'left' }
+    ];
+  }
+});
+
+export default ShapeRegistry;
@@ -0,0 +1,173 @@
+// src/SpatialIndex.js
+// Quadtree over world space, for finding the items near a point or inside a
+// rectangle without visiting every item
+//
+// Each item is kept with its box { x, y, width, height } in the smallest
+// quad that holds the whole box, so it is stored once however large it is.
+// The root quad doubles in size when an item lands outside it. Items carry
+// an `order` (their place in the drawing order) and queries return them
+// sorted by it, bottom first.
+
+class SpatialIndex {
+  constructor(capacity = 8, minSize = 16) {
+    this.capacity = capacity; // Items a quad holds before it splits
+    this.minSize = minSize;   // Quads this small never split
+    this.root = null;
+    this.entries = new Map(); // item -> { box, order, quad }
+    this.unplaced = new Set(); // Items whose box is not finite; no query finds them
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(item) {
+    return this.entries.has(item);
+  }
+
+  items() {
+    return [...this.entries.keys()];
+  }
+
+  // Add an item, or move it to a new box. Leave out `order` to keep the
+  // one it has.
+  set(item, box, order) {
+    const entry = this.entries.get(item);
+    if (order === undefined) order = entry ? entry.order : this.entries.size;
+    if (entry && this.sameBox(entry.box, box)) {
+      entry.order = order;
+      return;
+    }
+
+    if (entry) this.unlink(item, entry);
+    const added = { box: { ...box }, order, quad: null };
+    this.entries.set(item, added);
+    if (this.isFinite(added.box)) {
+      this.insert(item, added);
+    } else {
+      this.unplaced.add(item);
+    }
+  }
+
+  delete(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+    this.unlink(item, entry);
+    this.entries.delete(item);
+  }
+
+  clear() {
+    this.root = null;
+    this.entries.clear();
+    this.unplaced.clear();
+  }
+
+  // Items whose box overlaps `rect`, in drawing order
+  query(rect) {
+    const found = [];
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const quad = stack.pop();
+      if (!this.overlaps(this.quadBox(quad), rect)) continue;
+      quad.items.forEach(item => {
+        if (this.overlaps(this.entries.get(item).box, rect)) found.push(item);
+      });
+      if (quad.children) stack.push(...quad.children);
+    }
+
+    return found.sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  insert(item, entry) {
+    const box = entry.box;
+    if (!this.root) {
+      let size = this.minSize;
+      while (size < box.width || size < box.height) size *= 2;
+      this.root = this.createQuad(box.x, box.y, size);
+    }
+    while (!this.contains(this.root, box)) this.grow(box);
+
+    let quad = this.root;
+    while (quad.children) {
+      const child = quad.children.find(c => this.contains(c, box));
+      if (!child) break;
+      quad = child;
+    }
+    quad.items.add(item);
+    entry.quad = quad;
+
+    if (!quad.children && quad.items.size > this.capacity && quad.size > this.minSize) {
+      this.split(quad);
+    }
+  }
+
+  unlink(item, entry) {
+    if (entry.quad) entry.quad.items.delete(item);
+    this.unplaced.delete(item);
+    entry.quad = null;
+  }
+
+  // Put a root twice the size above the current one, extended towards `box`
+  grow(box) {
+    const old = this.root;
+    const size = old.size;
+    const left = box.x < old.x ? 1 : 0;
+    const up = box.y < old.y ? 1 : 0;
+    const root = this.createQuad(old.x - left * size, old.y - up * size, size * 2);
+    root.children = [0, 1, 2, 3].map(i => {
+      const col = i % 2;
+      const row = Math.floor(i / 2);
+      if (col === left && row === up) return old;
+      return this.createQuad(old.x + (col - left) * size, old.y + (row - up) * size, size);
+    });
+    this.root = root;
+  }
+
+  // Give a full quad four children and move down the items that fit in one
+  split(quad) {
+    const half = quad.size / 2;
+    quad.children = [0, 1, 2, 3].map(i =>
+      this.createQuad(quad.x + (i % 2) * half, quad.y + Math.floor(i / 2) * half, half)
+    );
+    quad.items.forEach(item => {
+      const entry = this.entries.get(item);
+      const child = quad.children.find(c => this.contains(c, entry.box));
+      if (!child) return;
+      quad.items.delete(item);
+      child.items.add(item);
+      entry.quad = child;
+    });
+  }
+
+  createQuad(x, y, size) {
+    return { x, y, size, items: new Set(), children: null };
+  }
+
+  quadBox(quad) {
+    return { x: quad.x, y: quad.y, width: quad.size, height: quad.size };
+  }
+
+  contains(quad, box) {
+    return box.x >= quad.x && box.y >= quad.y &&
+      box.x + box.width <= quad.x + quad.size && box.y + box.height <= quad.y + quad.size;
+  }
+
+  isFinite(box) {
+    return [box.x, box.y, box.width, box.height].every(Number.isFinite);
+  }
+
+  overlaps(a, b) {
+    return a.x <= b.x + b.width && a.x + a.width >= b.x &&
+      a.y <= b.y + b.height && a.y + a.height >= b.y;
+  }
+
+  sameBox(a, b) {
+    return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+  }
+}
+
+export default SpatialIndex;
@@ -0,0 +1,204 @@
+// src/Storage.js
+// Storage adapters for saving diagrams: localStorage, IndexedDB and REST
+//
+// Every adapter has the same promise-based interface:
+//   load(id)                  -> { data, revision, updatedAt } or null
+//   save(id, data, options)   -> { revision }
+//   list()                    -> [{ id, revision, updatedAt }]
+//   delete(id)
+// `data` is a diagram document as from serializeState(). Revisions are
+// opaque values. When save() is given options.revision it only writes if the
+// stored copy still has that revision (null: only if there is none yet), and
+// otherwise rejects with an Error whose code is 'conflict'.
+
+function storageConflict(id, revision) {
+  const error = new Error(`Diagram "${id}" was changed elsewhere; load it again or save with force`);
+  error.code = 'conflict';
+  error.revision = revision;
+  return error;
+}
+
+class LocalStorageAdapter {
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'flowchart:';
+    this.storage = options.storage || window.localStorage;
+  }
+
+  async load(id) {
+    const stored = this.storage.getItem(this.prefix + id);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async save(id, data, options = {}) {
+    const current = await this.load(id);
+    const revision = current ? current.revision : null;
+    if (options.revision !== undefined && options.revision !== revision) {
+      throw storageConflict(id, revision);
+    }
+
+    const record = { data, revision: (revision || 0) + 1, updatedAt: new Date().toISOString() };
+    this.storage.setItem(this.prefix + id, JSON.stringify(record));
+    return { revision: record.revision };
+  }
+
+  async list() {
+    const items = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (!key.startsWith(this.prefix)) continue;
+      const { revision, updatedAt } = JSON.parse(this.storage.getItem(key));
+      items.push({ id: key.slice(this.prefix.length), revision, updatedAt });
+    }
+    return items;
+  }
+
+  async delete(id) {
+    this.storage.removeItem(this.prefix + id);
+  }
+}
+
+class IndexedDBAdapter {
+  constructor(options = {}) {
+    this.databaseName = options.databaseName || 'flowchart-lib';
+    this.storeName = options.storeName || 'diagrams';
+    this.database = null;
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  // Run `work(store)` in one transaction and resolve with its result once committed
+  async transaction(mode, work) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      let result;
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+      work(transaction.objectStore(this.storeName), value => { result = value; }, transaction);
+    });
+  }
+
+  load(id) {
+    return this.transaction('readonly', (store, done) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const record = request.result;
+        done(record ? { data: record.data, revision: record.revision, updatedAt: record.updatedAt } : null);
+      };
+    });
+  }
+
+  // The revision check and the write share a transaction, so two tabs
+  // saving at once cannot both pass the check
+  save(id, data, options = {}) {
+    let conflict = null;
+    return this.transaction('readwrite', (store, done, transaction) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const revision = request.result ? request.result.revision : null;
+        if (options.revision !== undefined && options.revision !== revision) {
+          conflict = storageConflict(id, revision);
+          transaction.abort();
+          return;
+        }
+        const record = { id, data, revision: (revision || 0) + 1, updatedAt: new Date().toISOString() };
+        store.put(record);
+        done({ revision: record.revision });
+      };
+    }).catch(error => {
+      throw conflict || error;
+    });
+  }
+
+  list() {
+    return this.transaction('readonly', (store, done) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        done(request.result.map(({ id, revision, updatedAt }) => ({ id, revision, updatedAt })));
+      };
+    });
+  }
+
+  delete(id) {
+    return this.transaction('readwrite', store => {
+      store.delete(id);
+    });
+  }
+}
+
+// Talks to a REST backend: GET/PUT/DELETE {baseUrl}/{id} and GET {baseUrl}
+// for the list. Revisions are ETags; saves send If-Match (or If-None-Match: *
+// for a new diagram) and a 409 or 412 response is reported as a conflict.
+class RestStorageAdapter {
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('RestStorageAdapter needs a baseUrl');
+    }
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  url(id) {
+    return `${this.baseUrl}/${encodeURIComponent(id)}`;
+  }
+
+  async request(url, init = {}) {
+    const headers = typeof this.headers === 'function' ? await this.headers() : this.headers;
+    const response = await this.fetch(url, { ...init, headers: { ...headers, ...init.headers } });
+    if (!response.ok && response.status !== 404 && response.status !== 409 && response.status !== 412) {
+      throw new Error(`Storage request failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  async load(id) {
+    const response = await this.request(this.url(id), { headers: { Accept: 'application/json' } });
+    if (response.status === 404) return null;
+    return {
+      data: await response.json(),
+      revision: response.headers.get('ETag'),
+      updatedAt: response.headers.get('Last-Modified')
+    };
+  }
+
+  async save(id, data, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.revision === null) headers['If-None-Match'] = '*';
+    else if (options.revision !== undefined) headers['If-Match'] = options.revision;
+
+    const response = await this.request(this.url(id), { method: 'PUT', headers, body: JSON.stringify(data) });
+    if (response.status === 409 || response.status === 412) {
+      throw storageConflict(id, response.headers.get('ETag'));
+    }
+    if (response.status === 404) {
+      throw new Error(`Storage request failed: 404 ${response.statusText}`);
+    }
+    return { revision: response.headers.get('ETag') };
+  }
+
+  // The list endpoint returns an array of { id, revision, updatedAt }
+  async list() {
+    const response = await this.request(this.baseUrl, { headers: { Accept: 'application/json' } });
+    return response.status === 404 ? [] : response.json();
+  }
+
+  async delete(id) {
+    await this.request(this.url(id), { method: 'DELETE' });
+  }
+}
+
+export { LocalStorageAdapter, IndexedDBAdapter, RestStorageAdapter };
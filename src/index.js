@@ -3,12 +3,52 @@
 import Node from './Node.js';
 import Connection from './Connection.js';
 import NodeSettingsDialog from './NodeSettingsDialog.js';
+import ConnectionSettingsDialog from './ConnectionSettingsDialog.js';
 import Area from './Area.js';
 import AreaSettingsDialog from './AreaSettingsDialog.js';
+import EventEmitter from './EventEmitter.js';
+import OrthogonalRouter from './Router.js';
+import ShapeRegistry from './Shapes.js';
+import HierarchicalLayout from './Layout.js';
+import SVGContext from './SVGContext.js';
+import MermaidFormat from './Mermaid.js';
+import DrawioFormat from './Drawio.js';
+import DiagramSchema from './Schema.js';
+import CommandHistory from './History.js';
+import Minimap from './Minimap.js';
+import SpatialIndex from './SpatialIndex.js';
+import AccessibilityLayer from './Accessibility.js';
+import { LocalStorageAdapter, IndexedDBAdapter, RestStorageAdapter } from './Storage.js';
+import { CollaborationSession, InMemoryProvider } from './Collaboration.js';
 import JSZip from 'jszip';
 
-class FlowchartCanvas {
+// Marks clipboard payloads produced by this library
+const CLIPBOARD_FORMAT = 'flowchart-lib/clipboard';
+
+// Touch input: how long a press opens settings, how far (CSS pixels) a finger
+// may drift during it, and how much larger ports and handles are to hit
+const LONG_PRESS_DELAY = 500;
+const LONG_PRESS_TOLERANCE = 10;
+const POINTER_HIT_SCALE = { touch: 2.5, pen: 1.5 };
+
+// Keyboard: arrow keys as unit vectors for nudging and spatial navigation
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+// Rendering: below this zoom connection points are too small to aim at and
+// are left out; items are culled when their box plus this margin (world
+// units, for strokes, markers, ports and handles) is outside the view
+const PORT_MIN_ZOOM = 0.4;
+const CULL_MARGIN = 20;
+
+class FlowchartCanvas extends EventEmitter {
   constructor(containerId, options = {}) {
+    super();
+
     this.container = document.getElementById(containerId);
     if (!this.container) {
       throw new Error(`Container with id "${containerId}" not found`);
@@ -17,6 +57,13 @@ class FlowchartCanvas {
     this.options = {
       mode: options.mode || 'edit',
       pixelRatio: options.pixelRatio || window.devicePixelRatio || 1,
+      routing: options.routing || 'orthogonal', // 'orthogonal' avoids nodes, 'simple' is the basic elbow path
+      gridSize: options.gridSize || 20,
+      snapToGrid: !!options.snapToGrid,
+      minZoom: options.minZoom || 0.1,
+      maxZoom: options.maxZoom || 5,
+      guides: options.guides !== false, // alignment and spacing guides while dragging
+      ariaLabel: options.ariaLabel || 'Flowchart', // name screen readers give the canvas
       ...options
     };
 
@@ -27,9 +74,16 @@ class FlowchartCanvas {
     this.nodes = [];
     this.connections = [];
     this.areas = [];
-    this.selectedNode = null;
-    this.selectedConnection = null;
-    this.selectedArea = null;
+    this.selection = new Set();
+    this.marquee = null;
+    this.guides = null;
+    this.collaboration = null;
+    this.minimap = null;
+    this.layers = null;        // cached offscreen drawing, see renderFrame()
+    this.sceneChanged = true;
+    this.frameRequest = null;
+    this.spatialIndex = new SpatialIndex();
+    this.indexStale = true;    // rebuild before the next query, see updateIndex()
     this.draggingNode = null;
     this.draggingArea = null;
     this.resizingNode = null;
@@ -45,29 +99,41 @@ class FlowchartCanvas {
     this.panStart = { x: 0, y: 0 };
     this.spacePressed = false;
     this.zoom = 1;
-    this.history = [];
-    this.historyIndex = -1;
+    this.history = new CommandHistory(this, { limit: this.options.historySize });
     this.nodeIdCounter = 1;
     this.connectionIdCounter = 1;
     this.areaIdCounter = 1;
+    this.router = new OrthogonalRouter(this.options.routerOptions || {});
 
     // Double-click tracking
     this.lastClickTime = 0;
     this.lastClickNode = null;
     this.lastClickArea = null;
+    this.lastClickWaypoint = null;
+    this.lastClickConnection = null;
     this.doubleClickDelay = 300; // milliseconds
 
     this.nodeSettingsDialog = new NodeSettingsDialog(this);
-    this.nodeSettingsDialog.onSave = () => {
-      this.saveState();
+    this.nodeSettingsDialog.onSave = (node, settings) => {
+      this.emit('node:updated', { node, props: settings });
+      this.saveState('Edit node', [node]);
+      this.render();
+    };
+
+    this.connectionSettingsDialog = new ConnectionSettingsDialog(this);
+    this.connectionSettingsDialog.onSave = (connection, settings) => {
+      this.emit('connection:updated', { connection, props: settings });
+      this.saveState('Edit connection', [connection]);
       this.render();
     };
 
     this.areaSettingsDialog = new AreaSettingsDialog(
       (settings) => {
-        if (this.selectedArea) {
-          this.selectedArea.updateSettings(settings);
-          this.saveState();
+        const area = this.areaSettingsDialog.area;
+        if (area) {
+          area.updateSettings(settings);
+          this.emit('area:updated', { area, props: settings });
+          this.saveState('Edit area', [area]);
           this.render();
         }
       },
@@ -77,11 +143,29 @@ class FlowchartCanvas {
     );
 
     this.setupCanvas();
+    this.accessibility = new AccessibilityLayer(this, { label: this.options.ariaLabel });
     this.setupEventListeners();
-    this.saveState(); // Save initial empty state
+    this.setupStorage();
+    if (this.options.minimap) {
+      this.showMinimap(this.options.minimap === true ? {} : this.options.minimap);
+    }
     this.render();
   }
 
+  // ============================================================================
+  // Shapes
+  // ============================================================================
+
+  // Make a custom node type available to every canvas, e.g.
+  // FlowchartCanvas.registerShape('cloud', { outline(ctx, bounds) { ... } })
+  static registerShape(name, definition) {
+    return ShapeRegistry.register(name, definition);
+  }
+
+  static getShapeNames() {
+    return ShapeRegistry.list();
+  }
+
   setupCanvas() {
     const resizeCanvas = () => {
       const rect = this.container.getBoundingClientRect();
@@ -101,39 +185,270 @@ class FlowchartCanvas {
   }
 
   setupEventListeners() {
-    this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-    this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    // Pointer events cover mouse, touch and pen alike
+    this.pointers = new Map(); // pointerId -> { clientX, clientY } of pointers that are down
+    this.activePointer = null;
+    this.pinch = null;
+    this.longPress = null;
+    this.pointerSuppressed = false;
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    this.canvas.addEventListener('pointercancel', this.handlePointerCancel.bind(this));
     this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
+    this.canvas.addEventListener('pointerleave', () => { this.pointerPos = null; });
     this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
-    document.addEventListener('keydown', this.handleKeyDown.bind(this));
-    document.addEventListener('keyup', this.handleKeyUp.bind(this));
+
+    // Keys only reach the canvas while it has focus; clicking it focuses it
+    this.canvas.addEventListener('keydown', this.handleKeyDown.bind(this));
+    this.canvas.addEventListener('keyup', this.handleKeyUp.bind(this));
+    this.canvas.addEventListener('focus', () => { this.isActive = true; });
+    this.canvas.addEventListener('blur', () => {
+      this.isActive = false;
+      this.spacePressed = false;
+    });
+
+    // Native clipboard events give synchronous access to the system clipboard.
+    // Only the focused canvas reacts to them.
+    this.boundClipboardHandler = this.handleClipboardEvent.bind(this);
+    ['copy', 'cut', 'paste'].forEach(type => {
+      document.addEventListener(type, this.boundClipboardHandler);
+    });
   }
 
-  getMousePos(e) {
+  // A point on the page in canvas pixels, before pan and zoom
+  getCanvasPoint(clientX, clientY) {
     const rect = this.canvas.getBoundingClientRect();
     const scaleX = this.canvas.width / this.options.pixelRatio / rect.width;
     const scaleY = this.canvas.height / this.options.pixelRatio / rect.height;
-    
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
-    
+    return {
+      x: (clientX - rect.left) * scaleX,
+      y: (clientY - rect.top) * scaleY
+    };
+  }
+
+  // The page position of a diagram point; the inverse of getMousePos
+  getClientPoint(x, y) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scaleX = rect.width / (this.canvas.width / this.options.pixelRatio);
+    const scaleY = rect.height / (this.canvas.height / this.options.pixelRatio);
+    return {
+      x: rect.left + (x * this.zoom + this.panOffset.x) * scaleX,
+      y: rect.top + (y * this.zoom + this.panOffset.y) * scaleY
+    };
+  }
+
+  getMousePos(e) {
+    const { x, y } = this.getCanvasPoint(e.clientX, e.clientY);
     return {
       x: (x - this.panOffset.x) / this.zoom,
       y: (y - this.panOffset.y) / this.zoom
     };
   }
 
+  // Hit tests keep ports and handles a constant size on screen by dividing
+  // by the zoom; fingers and pens get a proportionally larger target
+  getHitZoom(e) {
+    return this.zoom / (POINTER_HIT_SCALE[e.pointerType] || 1);
+  }
+
+  // ============================================================================
+  // Pointer Input
+  // ============================================================================
+
+  // One pointer drives the mouse handlers below; a second finger turns the
+  // gesture into pinch zoom and two-finger pan
+  handlePointerDown(e) {
+    this.stopViewportAnimation();
+    if (document.activeElement !== this.canvas) this.canvas.focus({ preventScroll: true });
+    this.pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+    if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+
+    if (this.pointers.size === 2 && e.pointerType !== 'mouse') {
+      this.cancelPointerInteraction();
+      this.startPinch();
+      return;
+    }
+    if (this.pointers.size > 1 || this.pointerSuppressed) return;
+
+    this.activePointer = e.pointerId;
+    this.handleMouseDown(e);
+
+    // Long-press on an item opens its settings, like a double-click
+    const target = e.pointerType !== 'mouse' && this.getPressTarget();
+    if (target) {
+      this.longPress = {
+        target,
+        clientX: e.clientX,
+        clientY: e.clientY,
+        timer: setTimeout(() => this.finishLongPress(), LONG_PRESS_DELAY)
+      };
+    }
+  }
+
+  handlePointerMove(e) {
+    if (this.pointers.has(e.pointerId)) {
+      this.pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+    }
+
+    if (this.pinch) {
+      this.updatePinch();
+      return;
+    }
+    if (this.pointerSuppressed) return;
+    // Hovering mice move with no pointer down
+    if (this.activePointer !== null && e.pointerId !== this.activePointer) return;
+
+    if (this.longPress &&
+        Math.hypot(e.clientX - this.longPress.clientX, e.clientY - this.longPress.clientY) > LONG_PRESS_TOLERANCE) {
+      this.cancelLongPress();
+    }
+    this.handleMouseMove(e);
+  }
+
+  handlePointerUp(e) {
+    this.pointers.delete(e.pointerId);
+    if (this.canvas.releasePointerCapture) this.canvas.releasePointerCapture(e.pointerId);
+
+    if (this.pinch || this.pointerSuppressed || e.pointerId !== this.activePointer) {
+      this.endPointerGesture();
+      return;
+    }
+
+    this.cancelLongPress();
+    this.activePointer = null;
+    this.handleMouseUp(e);
+  }
+
+  // The browser took the pointer away (e.g. for a system gesture)
+  handlePointerCancel(e) {
+    this.pointers.delete(e.pointerId);
+    if (e.pointerId === this.activePointer) this.cancelPointerInteraction();
+    this.endPointerGesture();
+  }
+
+  // After a pinch or long-press, fingers still down are ignored until all lift
+  endPointerGesture() {
+    if (this.pointers.size < 2) this.pinch = null;
+    else if (this.pinch) this.startPinch(); // Carry on with the fingers left
+    if (this.pointers.size === 0) {
+      this.pointerSuppressed = false;
+      this.activePointer = null;
+    } else {
+      this.pointerSuppressed = true;
+    }
+  }
+
+  startPinch() {
+    const [a, b] = [...this.pointers.values()];
+    this.pinch = {
+      centroid: this.getCanvasPoint((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2),
+      distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY) || 1
+    };
+  }
+
+  updatePinch() {
+    const [a, b] = [...this.pointers.values()];
+    const centroid = this.getCanvasPoint((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2);
+    const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY) || 1;
+
+    // Pan with the centroid, then zoom around where it is now
+    this.panOffset.x += centroid.x - this.pinch.centroid.x;
+    this.panOffset.y += centroid.y - this.pinch.centroid.y;
+    this.zoomAround(centroid, this.zoom * distance / this.pinch.distance);
+    this.pinch = { centroid, distance };
+
+    this.emitViewportChanged();
+    this.render();
+  }
+
+  // The item a press landed on, as set up by handleMouseDown
+  getPressTarget() {
+    if (this.draggingNode) return this.draggingNode;
+    if (this.draggingArea) return this.draggingArea;
+    if (this.draggingLabel) return this.draggingLabel.connection;
+    if (this.bendingConnection) return this.bendingConnection.connection;
+    return null;
+  }
+
+  finishLongPress() {
+    const { target, clientX, clientY } = this.longPress;
+    this.longPress = null;
+    this.cancelPointerInteraction();
+    this.pointerSuppressed = true;
+
+    this.select(target);
+    if (target instanceof Node) this.openNodeSettings(target, clientX, clientY);
+    else if (target instanceof Area) this.openAreaSettings(target, clientX, clientY);
+    else this.openConnectionSettings(target, clientX, clientY);
+    this.render();
+  }
+
+  cancelLongPress() {
+    if (!this.longPress) return;
+    clearTimeout(this.longPress.timer);
+    this.longPress = null;
+  }
+
+  // Abandon whatever the active pointer was doing and put back what it moved
+  cancelPointerInteraction() {
+    this.cancelLongPress();
+    this.activePointer = null;
+
+    if (this.draggingNode || this.draggingArea) {
+      this.dragItems.forEach(({ item, origin }) => this.moveItemTo(item, origin.x, origin.y));
+      this.dragWaypoints.forEach(({ connection, origin }) => {
+        connection.waypoints = origin.map(point => ({ ...point }));
+      });
+    }
+    if (this.resizingNode) {
+      this.resizingNode.width = this.resizeStart.width;
+      this.resizingNode.height = this.resizeStart.height;
+    }
+    if (this.resizingArea) {
+      const { x1, y1, x2, y2 } = this.resizeStart;
+      Object.assign(this.resizingArea, { x1, y1, x2, y2 });
+    }
+    if (this.draggingLabel) {
+      this.draggingLabel.connection.labelPosition = this.draggingLabel.origin;
+    }
+    if (this.draggingWaypoint) {
+      this.draggingWaypoint.connection.waypoints = this.draggingWaypoint.origin;
+    }
+
+    this.draggingNode = null;
+    this.draggingArea = null;
+    this.dragItems = [];
+    this.dragWaypoints = [];
+    this.dragBounds = null;
+    this.pendingSelect = null;
+    this.guides = null;
+    this.resizingNode = null;
+    this.resizingArea = null;
+    this.resizeHandle = null;
+    this.draggingLabel = null;
+    this.draggingWaypoint = null;
+    this.bendingConnection = null;
+    this.connectingFrom = null;
+    this.connectingTo = null;
+    this.marquee = null;
+    this.areaStart = null;
+    this.areaEnd = null;
+    this.isPanning = false;
+    this.render();
+  }
+
   handleMouseDown(e) {
     if (this.options.mode !== 'edit') return;
+    if (this.layoutAnimation) this.layoutAnimation.complete();
 
     const pos = this.getMousePos(e);
+    const toggleKey = e.shiftKey || e.ctrlKey || e.metaKey;
+    const hitZoom = this.getHitZoom(e);
 
-    // Panning with middle mouse, right-click, Ctrl+click, or Space+click (higher priority)
-    if (e.button === 1 || e.button === 2 || (e.button === 0 && (e.ctrlKey || this.spacePressed))) {
-      this.isPanning = true;
-      this.panStart = { x: e.clientX - this.panOffset.x, y: e.clientY - this.panOffset.y };
-      this.canvas.style.cursor = 'grabbing';
+    // Panning with middle mouse, right-click, or Space+click (higher priority)
+    if (e.button === 1 || e.button === 2 || (e.button === 0 && this.spacePressed)) {
+      this.startPanning(e);
       return;
     }
 
@@ -143,167 +458,301 @@ class FlowchartCanvas {
       return;
     }
 
-    // Check area resize handles first
-    for (let area of [...this.areas].reverse()) {
-      const resizeHandle = area.isOnResizeHandle(pos.x, pos.y, this.zoom);
-      if (resizeHandle && area === this.selectedArea) {
-        this.resizingArea = area;
-        this.resizeHandle = resizeHandle;
-        this.resizeStart = { 
-          x: pos.x, y: pos.y, 
-          x1: area.x1, y1: area.y1, 
-          x2: area.x2, y2: area.y2 
-        };
-        return;
-      }
+    const hit = this.getPointerHit(pos, hitZoom, toggleKey);
+    const type = hit ? hit.type : null;
+
+    // Resize handles of the selected node or area
+    if (type === 'handle' && hit.item instanceof Area) {
+      const area = hit.item;
+      this.resizingArea = area;
+      this.resizeHandle = hit.handle;
+      this.resizeStart = { 
+        x: pos.x, y: pos.y, 
+        x1: area.x1, y1: area.y1, 
+        x2: area.x2, y2: area.y2 
+      };
+      return;
     }
 
-    // Check area title bars for dragging
-    for (let area of [...this.areas].reverse()) {
-      if (area.isOnTitleBar(pos.x, pos.y)) {
-        const currentTime = Date.now();
-        const timeDiff = currentTime - this.lastClickTime;
-
-        // Check for double-click on area
-        if (this.lastClickArea === area && timeDiff < this.doubleClickDelay) {
-          // Double-click detected - open settings dialog
-          this.openAreaSettings(area, e.clientX, e.clientY);
-          this.lastClickTime = 0;
-          this.lastClickArea = null;
-          return;
-        }
+    if (type === 'handle') {
+      const node = hit.item;
+      this.resizingNode = node;
+      this.resizeHandle = hit.handle;
+      this.resizeStart = { x: pos.x, y: pos.y, width: node.width, height: node.height };
+      return;
+    }
 
-        // Single click - select and prepare for drag
-        this.lastClickTime = currentTime;
-        this.lastClickArea = area;
-        this.selectedArea = area;
-        this.selectedNode = null;
-        this.selectedConnection = null;
-        this.draggingArea = area;
-        this.dragStart = { 
-          x: pos.x - area.x1, 
-          y: pos.y - area.y1,
-          width: area.width,
-          height: area.height
-        };
+    // Waypoint handles of the selected connection
+    if (type === 'waypoint') {
+      const routedConnection = hit.item;
+      const index = hit.index;
+      const currentTime = Date.now();
+      const last = this.lastClickWaypoint;
+
+      // Double-click removes the bend
+      if (last && last.connection === routedConnection && last.index === index &&
+          currentTime - this.lastClickTime < this.doubleClickDelay) {
+        routedConnection.removeWaypoint(index);
+        this.emit('connection:updated', { connection: routedConnection, props: { waypoints: routedConnection.waypoints } });
+        this.saveState('Remove bend', [routedConnection]);
+        this.lastClickTime = 0;
+        this.lastClickWaypoint = null;
         this.render();
         return;
       }
+
+      this.lastClickTime = currentTime;
+      this.lastClickWaypoint = { connection: routedConnection, index };
+      this.draggingWaypoint = {
+        connection: routedConnection,
+        index,
+        moved: false,
+        origin: routedConnection.waypoints.map(point => ({ ...point }))
+      };
+      return;
+    }
+
+    if (type === 'port') {
+      this.connectingFrom = { node: hit.item, point: hit.port };
+      this.select(null);
+      this.render();
+      return;
     }
 
-    for (let node of this.nodes) {
-      const connectionPoint = node.isOnConnectionPoint(pos.x, pos.y, this.zoom);
-      if (connectionPoint) {
-        this.connectingFrom = { node, point: connectionPoint };
-        this.selectedNode = null;
-        this.selectedConnection = null;
-        this.selectedArea = null;
+    if (type === 'node') {
+      const node = hit.item;
+
+      // Shift/Ctrl+click toggles the node in the selection
+      if (toggleKey) {
+        this.toggleSelection(node);
         this.render();
         return;
       }
 
-      const resizeHandle = node.isOnResizeHandle(pos.x, pos.y, this.zoom);
-      if (resizeHandle && node === this.selectedNode) {
-        this.resizingNode = node;
-        this.resizeHandle = resizeHandle;
-        this.resizeStart = { x: pos.x, y: pos.y, width: node.width, height: node.height };
+      const currentTime = Date.now();
+      const timeDiff = currentTime - this.lastClickTime;
+
+      // Check for double-click
+      if (this.lastClickNode === node && timeDiff < this.doubleClickDelay) {
+        // Double-click detected - open settings dialog
+        this.select(node);
+        this.openNodeSettings(node, e.clientX, e.clientY);
+        this.lastClickTime = 0;
+        this.lastClickNode = null;
         return;
       }
 
-      if (node.containsPoint(pos.x, pos.y)) {
+      // Single click - select and prepare for drag
+      this.lastClickTime = currentTime;
+      this.lastClickNode = node;
+      this.beginDrag(node, pos);
+      this.draggingNode = node;
+      this.render();
+      return;
+    }
+
+    if (type === 'label' || type === 'connection') {
+      const connection = hit.item;
+      const onLabel = type === 'label';
+      if (toggleKey) {
+        this.toggleSelection(connection);
+      } else {
         const currentTime = Date.now();
         const timeDiff = currentTime - this.lastClickTime;
 
-        // Check for double-click
-        if (this.lastClickNode === node && timeDiff < this.doubleClickDelay) {
-          // Double-click detected - open settings dialog
-          const rect = this.canvas.getBoundingClientRect();
-          this.openNodeSettings(node, e.clientX, e.clientY);
+        // Double-click - open connection settings
+        if (this.lastClickConnection === connection && timeDiff < this.doubleClickDelay) {
+          this.select(connection);
+          this.openConnectionSettings(connection, e.clientX, e.clientY);
           this.lastClickTime = 0;
-          this.lastClickNode = null;
+          this.lastClickConnection = null;
+          this.render();
           return;
         }
 
-        // Single click - just select and prepare for drag
         this.lastClickTime = currentTime;
-        this.lastClickNode = node;
-        this.selectedNode = node;
-        this.selectedConnection = null;
-        this.selectedArea = null;
-        this.draggingNode = node;
-        this.dragStart = { x: pos.x - node.x, y: pos.y - node.y };
-        this.render();
-        return;
+        this.lastClickConnection = connection;
+        this.select(connection);
+        if (onLabel) {
+          // Dragging a label slides it along the path
+          this.draggingLabel = { connection, origin: connection.labelPosition };
+        } else {
+          // Dragging a segment bends the line (the waypoint is created on first move)
+          this.bendingConnection = { connection, segment: hit.segment };
+        }
       }
+      this.render();
+      return;
     }
 
-    for (let connection of this.connections) {
-      if (connection.isNearPoint(pos.x, pos.y, this.zoom)) {
-        this.selectedConnection = connection;
-        this.selectedNode = null;
-        this.selectedArea = null;
+    // Area title bars drag the area
+    if (type === 'title') {
+      const area = hit.item;
+
+      // Shift/Ctrl+click toggles the area in the selection
+      if (toggleKey) {
+        this.toggleSelection(area);
         this.render();
         return;
       }
-    }
 
-    // Check if clicking inside an area
-    for (let area of [...this.areas].reverse()) {
-      if (area.containsPoint(pos.x, pos.y)) {
-        this.selectedArea = area;
-        this.selectedNode = null;
-        this.selectedConnection = null;
-        this.render();
+      const currentTime = Date.now();
+      const timeDiff = currentTime - this.lastClickTime;
+
+      // Check for double-click on area
+      if (this.lastClickArea === area && timeDiff < this.doubleClickDelay) {
+        // Double-click detected - open settings dialog
+        this.select(area);
+        this.openAreaSettings(area, e.clientX, e.clientY);
+        this.lastClickTime = 0;
+        this.lastClickArea = null;
         return;
       }
+
+      // Single click - select and prepare for drag
+      this.lastClickTime = currentTime;
+      this.lastClickArea = area;
+      this.beginDrag(area, pos);
+      this.draggingArea = area;
+      this.render();
+      return;
+    }
+
+    // Clicking inside an area selects it
+    if (type === 'area') {
+      if (toggleKey) {
+        this.toggleSelection(hit.item);
+      } else {
+        this.select(hit.item);
+      }
+      this.render();
+      return;
+    }
+
+    // Shift+drag on empty space draws a selection marquee (Ctrl+Shift adds to the selection)
+    if (e.shiftKey) {
+      this.marquee = {
+        start: { x: pos.x, y: pos.y },
+        end: { x: pos.x, y: pos.y },
+        additive: e.ctrlKey || e.metaKey
+      };
+      return;
     }
 
     // Clicked on empty space - deselect and start panning
-    this.selectedNode = null;
-    this.selectedConnection = null;
-    this.selectedArea = null;
+    this.select(null);
     
     // If not in area marking mode, clicking empty space starts panning
     if (!this.markingArea) {
-      this.isPanning = true;
-      this.panStart = { x: e.clientX - this.panOffset.x, y: e.clientY - this.panOffset.y };
-      this.canvas.style.cursor = 'grabbing';
+      this.startPanning(e);
     }
     
     this.render();
   }
 
+  startPanning(e) {
+    this.isPanning = true;
+    this.panStart = { x: e.clientX - this.panOffset.x, y: e.clientY - this.panOffset.y };
+    this.canvas.style.cursor = 'grabbing';
+  }
+
+  // Prepare to drag the clicked item together with the rest of the selection
+  beginDrag(item, pos) {
+    if (this.isSelected(item)) {
+      // Collapse the selection to this item on mouseup if the mouse never moves
+      this.pendingSelect = item;
+    } else {
+      this.select(item);
+    }
+
+    this.dragStart = { x: pos.x, y: pos.y };
+    this.dragItems = this.getSelection()
+      .filter(selected => selected instanceof Node || selected instanceof Area)
+      .map(selected => ({ item: selected, origin: this.getItemPosition(selected) }));
+    this.dragBounds = this.getDragBounds();
+
+    // Bends travel with connections whose both ends are being moved
+    const movingNodes = this.getSelectedNodes();
+    this.dragWaypoints = this.connections
+      .filter(conn => conn.waypoints.length > 0 &&
+        movingNodes.includes(conn.fromNode) && movingNodes.includes(conn.toNode))
+      .map(conn => ({ connection: conn, origin: conn.waypoints.map(point => ({ ...point })) }));
+  }
+
+  // Bounding box of everything being dragged, at the drag origin
+  getDragBounds() {
+    if (this.dragItems.length === 0) return null;
+
+    const boxes = this.dragItems.map(({ item, origin }) => item instanceof Area
+      ? { x: origin.x, y: origin.y, width: item.width, height: item.height }
+      : { x: origin.x - item.width / 2, y: origin.y - item.height / 2, width: item.width, height: item.height });
+    const x = Math.min(...boxes.map(box => box.x));
+    const y = Math.min(...boxes.map(box => box.y));
+    return {
+      x,
+      y,
+      width: Math.max(...boxes.map(box => box.x + box.width)) - x,
+      height: Math.max(...boxes.map(box => box.y + box.height)) - y
+    };
+  }
+
+  getItemPosition(item) {
+    return item instanceof Area ? { x: item.x1, y: item.y1 } : { x: item.x, y: item.y };
+  }
+
+  moveItemTo(item, x, y) {
+    if (item instanceof Area) {
+      const width = item.width;
+      const height = item.height;
+      item.x1 = x;
+      item.y1 = y;
+      item.x2 = x + width;
+      item.y2 = y + height;
+    } else {
+      item.x = x;
+      item.y = y;
+    }
+  }
+
   handleMouseMove(e) {
     if (this.options.mode !== 'edit') return;
 
     const pos = this.getMousePos(e);
+    this.pointerPos = pos;
+    // Hold Alt to move and resize freely
+    this.snapSuspended = e.altKey;
 
     // Area marking mode
     if (this.markingArea && this.areaStart) {
       this.areaEnd = { x: pos.x, y: pos.y };
-      this.render();
+      this.renderInteraction();
+      return;
+    }
+
+    if (this.marquee) {
+      this.marquee.end = { x: pos.x, y: pos.y };
+      this.renderInteraction();
       return;
     }
 
     if (this.isPanning) {
       this.panOffset.x = e.clientX - this.panStart.x;
       this.panOffset.y = e.clientY - this.panStart.y;
-      this.render();
+      this.emitViewportChanged();
+      this.renderInteraction();
       return;
     }
 
     if (this.connectingFrom) {
+      const hitZoom = this.getHitZoom(e);
       this.connectingTo = pos;
-      this.render();
+      this.renderInteraction();
 
-      for (let node of this.nodes) {
-        if (node !== this.connectingFrom.node) {
-          const connectionPoint = node.isOnConnectionPoint(pos.x, pos.y, this.zoom);
-          if (connectionPoint) {
-            this.connectingTo = { node, point: connectionPoint };
-            break;
-          }
-        }
+      const target = this.hitTest(pos, { zoom: hitZoom }).find(hit =>
+        hit.type === 'port' && hit.item !== this.connectingFrom.node && hit.port.direction !== 'out'
+      );
+      if (target) {
+        this.connectingTo = { node: target.item, point: target.port };
       }
       return;
     }
@@ -314,81 +763,91 @@ class FlowchartCanvas {
 
       switch (this.resizeHandle.position) {
         case 'top-left':
-          this.resizingArea.x1 = Math.min(this.resizeStart.x1 + dx, this.resizeStart.x2 - 50);
-          this.resizingArea.y1 = Math.min(this.resizeStart.y1 + dy, this.resizeStart.y2 - 50);
+          this.resizingArea.x1 = Math.min(this.snapValue(this.resizeStart.x1 + dx), this.resizeStart.x2 - 50);
+          this.resizingArea.y1 = Math.min(this.snapValue(this.resizeStart.y1 + dy), this.resizeStart.y2 - 50);
           break;
         case 'top-right':
-          this.resizingArea.x2 = Math.max(this.resizeStart.x2 + dx, this.resizeStart.x1 + 50);
-          this.resizingArea.y1 = Math.min(this.resizeStart.y1 + dy, this.resizeStart.y2 - 50);
+          this.resizingArea.x2 = Math.max(this.snapValue(this.resizeStart.x2 + dx), this.resizeStart.x1 + 50);
+          this.resizingArea.y1 = Math.min(this.snapValue(this.resizeStart.y1 + dy), this.resizeStart.y2 - 50);
           break;
         case 'bottom-right':
-          this.resizingArea.x2 = Math.max(this.resizeStart.x2 + dx, this.resizeStart.x1 + 50);
-          this.resizingArea.y2 = Math.max(this.resizeStart.y2 + dy, this.resizeStart.y1 + 50);
+          this.resizingArea.x2 = Math.max(this.snapValue(this.resizeStart.x2 + dx), this.resizeStart.x1 + 50);
+          this.resizingArea.y2 = Math.max(this.snapValue(this.resizeStart.y2 + dy), this.resizeStart.y1 + 50);
           break;
         case 'bottom-left':
-          this.resizingArea.x1 = Math.min(this.resizeStart.x1 + dx, this.resizeStart.x2 - 50);
-          this.resizingArea.y2 = Math.max(this.resizeStart.y2 + dy, this.resizeStart.y1 + 50);
+          this.resizingArea.x1 = Math.min(this.snapValue(this.resizeStart.x1 + dx), this.resizeStart.x2 - 50);
+          this.resizingArea.y2 = Math.max(this.snapValue(this.resizeStart.y2 + dy), this.resizeStart.y1 + 50);
           break;
         case 'top':
-          this.resizingArea.y1 = Math.min(this.resizeStart.y1 + dy, this.resizeStart.y2 - 50);
+          this.resizingArea.y1 = Math.min(this.snapValue(this.resizeStart.y1 + dy), this.resizeStart.y2 - 50);
           break;
         case 'right':
-          this.resizingArea.x2 = Math.max(this.resizeStart.x2 + dx, this.resizeStart.x1 + 50);
+          this.resizingArea.x2 = Math.max(this.snapValue(this.resizeStart.x2 + dx), this.resizeStart.x1 + 50);
           break;
         case 'bottom':
-          this.resizingArea.y2 = Math.max(this.resizeStart.y2 + dy, this.resizeStart.y1 + 50);
+          this.resizingArea.y2 = Math.max(this.snapValue(this.resizeStart.y2 + dy), this.resizeStart.y1 + 50);
           break;
         case 'left':
-          this.resizingArea.x1 = Math.min(this.resizeStart.x1 + dx, this.resizeStart.x2 - 50);
+          this.resizingArea.x1 = Math.min(this.snapValue(this.resizeStart.x1 + dx), this.resizeStart.x2 - 50);
           break;
       }
 
-      this.render();
+      this.renderInteraction();
       return;
     }
 
-    if (this.draggingArea) {
-      const newX1 = pos.x - this.dragStart.x;
-      const newY1 = pos.y - this.dragStart.y;
-      this.draggingArea.x1 = newX1;
-      this.draggingArea.y1 = newY1;
-      this.draggingArea.x2 = newX1 + this.dragStart.width;
-      this.draggingArea.y2 = newY1 + this.dragStart.height;
-      this.render();
+    if (this.resizingNode) {
+      const node = this.resizingNode;
+      const handle = this.resizeHandle.position;
+
+      // Nodes grow symmetrically around their centre; snap the dragged edge
+      const signX = handle.endsWith('right') ? 1 : -1;
+      const signY = handle.startsWith('bottom') ? 1 : -1;
+      const edgeX = this.snapValue(node.x + signX * this.resizeStart.width / 2 + pos.x - this.resizeStart.x);
+      const edgeY = this.snapValue(node.y + signY * this.resizeStart.height / 2 + pos.y - this.resizeStart.y);
+      node.width = Math.max(60, (edgeX - node.x) * signX * 2);
+      node.height = Math.max(40, (edgeY - node.y) * signY * 2);
+
+      this.renderInteraction();
       return;
     }
 
-    if (this.resizingNode) {
-      const dx = pos.x - this.resizeStart.x;
-      const dy = pos.y - this.resizeStart.y;
+    if (this.bendingConnection) {
+      const { connection, segment } = this.bendingConnection;
+      const origin = connection.waypoints.map(point => ({ ...point }));
+      const index = connection.insertWaypoint(segment, pos.x, pos.y);
+      this.bendingConnection = null;
+      this.draggingWaypoint = { connection, index, moved: true, origin };
+      this.renderInteraction();
+      return;
+    }
 
-      switch (this.resizeHandle.position) {
-        case 'top-left':
-          this.resizingNode.width = Math.max(60, this.resizeStart.width - dx * 2);
-          this.resizingNode.height = Math.max(40, this.resizeStart.height - dy * 2);
-          break;
-        case 'top-right':
-          this.resizingNode.width = Math.max(60, this.resizeStart.width + dx * 2);
-          this.resizingNode.height = Math.max(40, this.resizeStart.height - dy * 2);
-          break;
-        case 'bottom-right':
-          this.resizingNode.width = Math.max(60, this.resizeStart.width + dx * 2);
-          this.resizingNode.height = Math.max(40, this.resizeStart.height + dy * 2);
-          break;
-        case 'bottom-left':
-          this.resizingNode.width = Math.max(60, this.resizeStart.width - dx * 2);
-          this.resizingNode.height = Math.max(40, this.resizeStart.height + dy * 2);
-          break;
-      }
+    if (this.draggingLabel) {
+      const { connection } = this.draggingLabel;
+      connection.labelPosition = connection.getFractionAtPoint(pos.x, pos.y);
+      this.renderInteraction();
+      return;
+    }
 
-      this.render();
+    if (this.draggingWaypoint) {
+      this.draggingWaypoint.connection.moveWaypoint(this.draggingWaypoint.index, pos.x, pos.y);
+      this.draggingWaypoint.moved = true;
+      this.renderInteraction();
       return;
     }
 
-    if (this.draggingNode) {
-      this.draggingNode.x = pos.x - this.dragStart.x;
-      this.draggingNode.y = pos.y - this.dragStart.y;
-      this.render();
+    if (this.draggingNode || this.draggingArea) {
+      const { dx, dy } = this.snapDragOffset(pos.x - this.dragStart.x, pos.y - this.dragStart.y);
+
+      // Move the whole selection by the same offset
+      this.dragItems.forEach(({ item, origin }) => {
+        this.moveItemTo(item, origin.x + dx, origin.y + dy);
+      });
+      this.dragWaypoints.forEach(({ connection, origin }) => {
+        connection.waypoints = origin.map(point => ({ x: point.x + dx, y: point.y + dy }));
+      });
+      this.pendingSelect = null;
+      this.renderInteraction();
       return;
     }
 
@@ -400,47 +859,18 @@ class FlowchartCanvas {
     } else if (this.markingArea) {
       cursor = 'crosshair';
     } else {
-      for (let area of this.areas) {
-        if (area === this.selectedArea && area.isOnResizeHandle(pos.x, pos.y, this.zoom)) {
-          cursor = 'nwse-resize';
-          break;
-        }
-        if (area.isOnTitleBar(pos.x, pos.y)) {
-          cursor = 'move';
-          break;
-        }
-      }
-
-      if (cursor === 'default') {
-        for (let node of this.nodes) {
-          if (node.isOnConnectionPoint(pos.x, pos.y, this.zoom)) {
-            cursor = 'crosshair';
-            break;
-          }
-          if (node === this.selectedNode && node.isOnResizeHandle(pos.x, pos.y, this.zoom)) {
-            cursor = 'nwse-resize';
-            break;
-          }
-          if (node.containsPoint(pos.x, pos.y)) {
-            cursor = 'move';
-            break;
-          }
-        }
-      }
-
-      if (cursor === 'default') {
-        for (let connection of this.connections) {
-          if (connection.isNearPoint(pos.x, pos.y, this.zoom)) {
-            cursor = 'pointer';
-            break;
-          }
-        }
-      }
-      
-      // If still default and not in marking mode, show grab cursor for empty space
-      if (cursor === 'default' && !this.markingArea) {
-        cursor = 'grab';
-      }
+      const hit = this.getPointerHit(pos, this.zoom, false);
+      const cursors = {
+        handle: 'nwse-resize',
+        waypoint: 'move',
+        port: 'crosshair',
+        node: 'move',
+        label: 'move',
+        connection: 'pointer',
+        title: 'move'
+      };
+      // Empty space and area interiors pan
+      cursor = (hit && cursors[hit.type]) || 'grab';
     }
 
     this.canvas.style.cursor = cursor;
@@ -452,7 +882,7 @@ class FlowchartCanvas {
     // Area marking complete
     if (this.markingArea && this.areaStart && this.areaEnd) {
       const area = new Area(
-        `area_${this.areaIdCounter++}`,
+        this.createId('area'),
         this.areaStart.x,
         this.areaStart.y,
         this.areaEnd.x,
@@ -460,25 +890,58 @@ class FlowchartCanvas {
       );
       
       this.areas.push(area);
-      this.selectedArea = area;
+      this.select(area);
       this.markingArea = false;
       this.areaStart = null;
       this.areaEnd = null;
+      this.emit('area:added', { area });
       
       // Trigger callback to update button state
       if (this.onAreaMarkingComplete) {
         this.onAreaMarkingComplete();
       }
+      this.emit('area:markingEnded', { area });
       
       // Open settings dialog
       const rect = this.canvas.getBoundingClientRect();
       this.areaSettingsDialog.show(area, e.clientX, e.clientY);
       
-      this.saveState();
+      this.saveState('Add area', [area]);
       this.render();
       return;
     }
 
+    if (this.marquee) {
+      this.finishMarquee();
+      return;
+    }
+
+    if (this.bendingConnection) {
+      // Plain click on a segment - nothing was bent
+      this.bendingConnection = null;
+      return;
+    }
+
+    if (this.draggingLabel) {
+      const { connection, origin } = this.draggingLabel;
+      this.draggingLabel = null;
+      if (connection.labelPosition !== origin) {
+        this.emit('connection:updated', { connection, props: { labelPosition: connection.labelPosition } });
+        this.saveState('Move label', [connection]);
+      }
+      return;
+    }
+
+    if (this.draggingWaypoint) {
+      const { connection, moved } = this.draggingWaypoint;
+      this.draggingWaypoint = null;
+      if (moved) {
+        this.emit('connection:updated', { connection, props: { waypoints: connection.waypoints } });
+        this.saveState('Bend connection', [connection]);
+      }
+      return;
+    }
+
     if (this.isPanning) {
       this.isPanning = false;
       this.canvas.style.cursor = 'default';
@@ -487,27 +950,12 @@ class FlowchartCanvas {
 
     if (this.connectingFrom && this.connectingTo) {
       if (this.connectingTo.node) {
-        const fromPort = this.connectingFrom.point.position;
-        const toPort = this.connectingTo.point.position;
-        
-        const existingConnection = this.connections.find(conn => 
-          conn.fromNode === this.connectingFrom.node &&
-          conn.toNode === this.connectingTo.node &&
-          conn.fromPort === fromPort &&
-          conn.toPort === toPort
+        this.addConnection(
+          this.connectingFrom.node,
+          this.connectingFrom.point.position,
+          this.connectingTo.node,
+          this.connectingTo.point.position
         );
-
-        if (!existingConnection) {
-          const connection = new Connection(
-            `conn_${this.connectionIdCounter++}`,
-            this.connectingFrom.node,
-            fromPort,
-            this.connectingTo.node,
-            toPort
-          );
-          this.connections.push(connection);
-          this.saveState();
-        }
       }
       
       this.connectingFrom = null;
@@ -516,24 +964,53 @@ class FlowchartCanvas {
       return;
     }
 
-    if (this.draggingArea) {
-      this.saveState();
+    if (this.draggingNode || this.draggingArea) {
+      const moved = this.dragItems.filter(({ item, origin }) => {
+        const position = this.getItemPosition(item);
+        return position.x !== origin.x || position.y !== origin.y;
+      });
+
+      moved.forEach(({ item, origin }) => {
+        const to = this.getItemPosition(item);
+        if (item instanceof Area) {
+          this.emit('area:moved', { area: item, from: origin, to });
+        } else {
+          this.emit('node:moved', { node: item, from: origin, to });
+        }
+      });
+
+      if (moved.length > 0) {
+        this.saveState('Move', [
+          ...moved.map(({ item }) => item),
+          ...this.dragWaypoints.map(({ connection }) => connection)
+        ]);
+      } else if (this.pendingSelect) {
+        this.select(this.pendingSelect);
+        this.render();
+      }
+
+      this.draggingNode = null;
       this.draggingArea = null;
+      this.dragItems = [];
+      this.dragWaypoints = [];
+      this.dragBounds = null;
+      this.pendingSelect = null;
+      if (this.guides) {
+        this.guides = null;
+        this.render();
+      }
     }
 
     if (this.resizingArea) {
-      this.saveState();
+      this.emit('area:resized', { area: this.resizingArea, handle: this.resizeHandle.position });
+      this.saveState('Resize area', [this.resizingArea]);
       this.resizingArea = null;
       this.resizeHandle = null;
     }
 
-    if (this.draggingNode) {
-      this.saveState();
-      this.draggingNode = null;
-    }
-
     if (this.resizingNode) {
-      this.saveState();
+      this.emit('node:resized', { node: this.resizingNode, handle: this.resizeHandle.position });
+      this.saveState('Resize node', [this.resizingNode]);
       this.resizingNode = null;
       this.resizeHandle = null;
     }
@@ -541,59 +1018,303 @@ class FlowchartCanvas {
 
   handleWheel(e) {
     e.preventDefault();
-    
-    const rect = this.canvas.getBoundingClientRect();
-    const mouseX = (e.clientX - rect.left) * (this.canvas.width / this.options.pixelRatio / rect.width);
-    const mouseY = (e.clientY - rect.top) * (this.canvas.height / this.options.pixelRatio / rect.height);
-
-    const worldX = (mouseX - this.panOffset.x) / this.zoom;
-    const worldY = (mouseY - this.panOffset.y) / this.zoom;
+    this.stopViewportAnimation();
 
     const zoomFactor = e.deltaY < 0 ? 1.1 : 0.9;
-    const newZoom = Math.max(0.1, Math.min(5, this.zoom * zoomFactor));
-
-    this.panOffset.x = mouseX - worldX * newZoom;
-    this.panOffset.y = mouseY - worldY * newZoom;
-    this.zoom = newZoom;
+    this.zoomAround(this.getCanvasPoint(e.clientX, e.clientY), this.zoom * zoomFactor);
 
+    this.emitViewportChanged();
     this.render();
   }
 
-  handleKeyDown(e) {
-    if (this.options.mode !== 'edit') return;
+  // Zoom, keeping the diagram point under `point` (canvas pixels) in place
+  zoomAround(point, zoom) {
+    const worldX = (point.x - this.panOffset.x) / this.zoom;
+    const worldY = (point.y - this.panOffset.y) / this.zoom;
+    const newZoom = this.clampZoom(zoom);
 
-    // Space key for panning
-    if (e.code === 'Space' && !this.spacePressed) {
-      e.preventDefault();
-      this.spacePressed = true;
-      if (!this.draggingNode && !this.draggingArea && !this.resizingNode && !this.resizingArea) {
-        this.canvas.style.cursor = 'grab';
-      }
-      return;
-    }
+    this.panOffset.x = point.x - worldX * newZoom;
+    this.panOffset.y = point.y - worldY * newZoom;
+    this.zoom = newZoom;
+  }
 
-    if (e.key === 'Delete' || e.key === 'Backspace') {
-      if (this.selectedNode) {
-        this.connections = this.connections.filter(conn => 
-          conn.fromNode !== this.selectedNode && conn.toNode !== this.selectedNode
-        );
-        this.nodes = this.nodes.filter(node => node !== this.selectedNode);
-        this.selectedNode = null;
-        this.saveState();
-        this.render();
-      } else if (this.selectedConnection) {
-        this.connections = this.connections.filter(conn => conn !== this.selectedConnection);
-        this.selectedConnection = null;
-        this.saveState();
-        this.render();
-      } else if (this.selectedArea) {
-        this.areas = this.areas.filter(area => area !== this.selectedArea);
-        this.selectedArea = null;
-        this.saveState();
-        this.render();
+  // ============================================================================
+  // Viewport
+  // ============================================================================
+
+  // Methods that move the view ease there over `options.duration` ms (default
+  // 300) unless `options.animate` is false, and return a promise that
+  // resolves when they arrive. User input stops a transition where it is.
+
+  clampZoom(zoom) {
+    return Math.max(this.options.minZoom, Math.min(this.options.maxZoom, zoom));
+  }
+
+  // Size of the visible canvas in CSS pixels
+  getViewSize() {
+    return {
+      width: this.canvas.width / this.options.pixelRatio,
+      height: this.canvas.height / this.options.pixelRatio
+    };
+  }
+
+  // { zoom, panOffset, bounds }; `bounds` is the visible part of the diagram
+  getViewport() {
+    const { width, height } = this.getViewSize();
+    return {
+      zoom: this.zoom,
+      panOffset: { x: this.panOffset.x, y: this.panOffset.y },
+      bounds: {
+        x: -this.panOffset.x / this.zoom,
+        y: -this.panOffset.y / this.zoom,
+        width: width / this.zoom,
+        height: height / this.zoom
+      }
+    };
+  }
+
+  // Restore a view from getViewport(); either field may be left out
+  setViewport({ zoom = this.zoom, panOffset = this.panOffset } = {}, options = {}) {
+    return this.moveViewport(this.clampZoom(zoom), { x: panOffset.x, y: panOffset.y }, options);
+  }
+
+  // Zoom to `level`, keeping `anchor` (a diagram point; default: the middle
+  // of the view) where it is on screen
+  setZoom(level, anchor = null, options = {}) {
+    const zoom = this.clampZoom(level);
+    const { width, height } = this.getViewSize();
+    const point = anchor
+      ? { x: anchor.x * this.zoom + this.panOffset.x, y: anchor.y * this.zoom + this.panOffset.y }
+      : { x: width / 2, y: height / 2 };
+    const worldX = (point.x - this.panOffset.x) / this.zoom;
+    const worldY = (point.y - this.panOffset.y) / this.zoom;
+    return this.moveViewport(zoom, { x: point.x - worldX * zoom, y: point.y - worldY * zoom }, options);
+  }
+
+  zoomIn(options = {}) {
+    return this.setZoom(this.zoom * 1.2, null, options);
+  }
+
+  zoomOut(options = {}) {
+    return this.setZoom(this.zoom / 1.2, null, options);
+  }
+
+  // Fit the whole diagram in view with `padding` screen pixels around it.
+  // Small diagrams are not blown up past options.maxZoom (default 1).
+  zoomToFit(padding = 40, options = {}) {
+    return this.fitBounds(this.getItemsBounds([...this.nodes, ...this.connections, ...this.areas]), padding, options);
+  }
+
+  // Like zoomToFit() for the selected items; fits everything when nothing is selected
+  zoomToSelection(padding = 40, options = {}) {
+    if (this.selection.size === 0) return this.zoomToFit(padding, options);
+    return this.fitBounds(this.getItemsBounds(this.getSelection()), padding, options);
+  }
+
+  // Put an item (a node, connection or area, or its id) or a diagram point in
+  // the middle of the view, keeping the zoom
+  centerOn(target, options = {}) {
+    const bounds = this.resolveViewTarget(target);
+    if (!bounds) return Promise.resolve();
+    const { width, height } = this.getViewSize();
+    return this.moveViewport(this.zoom, {
+      x: width / 2 - (bounds.x + bounds.width / 2) * this.zoom,
+      y: height / 2 - (bounds.y + bounds.height / 2) * this.zoom
+    }, options);
+  }
+
+  // Pan just enough to bring an item (or its id) fully into view, with
+  // options.margin screen pixels (default 20) to spare. Items larger than the
+  // view are centred.
+  scrollIntoView(target, options = {}) {
+    const bounds = this.resolveViewTarget(target);
+    if (!bounds) return Promise.resolve();
+
+    const margin = options.margin !== undefined ? options.margin : 20;
+    const view = this.getViewSize();
+    const shift = (start, size, pan, length) => {
+      const low = start * this.zoom + pan;
+      const high = low + size * this.zoom;
+      if (high - low > length - margin * 2) return pan + length / 2 - (low + high) / 2;
+      if (low < margin) return pan + margin - low;
+      if (high > length - margin) return pan + length - margin - high;
+      return pan;
+    };
+    return this.moveViewport(this.zoom, {
+      x: shift(bounds.x, bounds.width, this.panOffset.x, view.width),
+      y: shift(bounds.y, bounds.height, this.panOffset.y, view.height)
+    }, options);
+  }
+
+  resolveViewTarget(target) {
+    if (target && typeof target === 'object' && !(target instanceof Node || target instanceof Connection || target instanceof Area)) {
+      return { x: target.x, y: target.y, width: 0, height: 0 };
+    }
+    const item = typeof target === 'string'
+      ? this.getNodeById(target) || this.getAreaById(target) || this.getConnectionById(target)
+      : target;
+    return item ? this.getItemsBounds([item]) : null;
+  }
+
+  fitBounds(bounds, padding, options) {
+    const { width, height } = this.getViewSize();
+    if (!bounds) return this.moveViewport(this.clampZoom(1), { x: 0, y: 0 }, options);
+
+    const limit = options.maxZoom !== undefined ? options.maxZoom : 1;
+    const fit = Math.min(
+      (width - padding * 2) / Math.max(bounds.width, 1),
+      (height - padding * 2) / Math.max(bounds.height, 1)
+    );
+    const zoom = this.clampZoom(Math.min(fit, limit));
+    return this.moveViewport(zoom, {
+      x: width / 2 - (bounds.x + bounds.width / 2) * zoom,
+      y: height / 2 - (bounds.y + bounds.height / 2) * zoom
+    }, options);
+  }
+
+  // Go to a zoom and pan offset, easing there unless options.animate is false.
+  // The view centre travels in a straight line while the zoom changes at an
+  // even rate, so the motion looks the same at every scale.
+  moveViewport(zoom, panOffset, options = {}) {
+    this.stopViewportAnimation();
+    const duration = options.animate === false ? 0 : (options.duration !== undefined ? options.duration : 300);
+
+    const jump = (nextZoom, nextPan) => {
+      this.zoom = nextZoom;
+      this.panOffset = { x: nextPan.x, y: nextPan.y };
+      this.emitViewportChanged();
+      this.render();
+    };
+    if (!duration || typeof requestAnimationFrame === 'undefined') {
+      jump(zoom, panOffset);
+      return Promise.resolve();
+    }
+
+    const { width, height } = this.getViewSize();
+    const centreOf = (z, pan) => ({ x: (width / 2 - pan.x) / z, y: (height / 2 - pan.y) / z });
+    const from = { zoom: this.zoom, centre: centreOf(this.zoom, this.panOffset) };
+    const to = { zoom, centre: centreOf(zoom, panOffset) };
+    const start = Date.now();
+
+    return new Promise(resolve => {
+      const animation = { frame: null, resolve };
+      const step = () => {
+        const progress = Math.min(1, (Date.now() - start) / duration);
+        if (progress >= 1) {
+          this.viewportAnimation = null;
+          jump(zoom, panOffset);
+          resolve();
+          return;
+        }
+        const t = 1 - Math.pow(1 - progress, 3);
+        const z = from.zoom * Math.pow(to.zoom / from.zoom, t);
+        const centre = {
+          x: from.centre.x + (to.centre.x - from.centre.x) * t,
+          y: from.centre.y + (to.centre.y - from.centre.y) * t
+        };
+        jump(z, { x: width / 2 - centre.x * z, y: height / 2 - centre.y * z });
+        animation.frame = requestAnimationFrame(step);
+      };
+
+      this.viewportAnimation = animation;
+      step();
+    });
+  }
+
+  // Leave a running transition where it is; its promise still resolves
+  stopViewportAnimation() {
+    if (!this.viewportAnimation) return;
+    cancelAnimationFrame(this.viewportAnimation.frame);
+    this.viewportAnimation.resolve();
+    this.viewportAnimation = null;
+  }
+
+  // Overview of the whole diagram in a corner of the canvas. Options: width
+  // and height in pixels (200 x 150), position ('bottom-right', 'top-left', ...)
+  showMinimap(options = {}) {
+    this.hideMinimap();
+    this.minimap = new Minimap(this, options);
+    return this.minimap;
+  }
+
+  hideMinimap() {
+    if (!this.minimap) return;
+    this.minimap.destroy();
+    this.minimap = null;
+  }
+
+  handleKeyDown(e) {
+    // Ctrl+0 fits the diagram, Ctrl+= and Ctrl+- zoom. Keys only arrive while
+    // the canvas has focus, so the browser's own page zoom works elsewhere.
+    if ((e.ctrlKey || e.metaKey) && !this.isTextInput(e.target)) {
+      const zoomAction = { '0': 'zoomToFit', '=': 'zoomIn', '+': 'zoomIn', '-': 'zoomOut' }[e.key];
+      if (zoomAction) {
+        e.preventDefault();
+        this[zoomAction]();
+        return;
+      }
+    }
+
+    // Moving between nodes works in every mode
+    if (this.handleNavigationKey(e)) return;
+
+    if (this.options.mode !== 'edit') return;
+
+    // Space key for panning
+    if (e.code === 'Space' && !this.spacePressed) {
+      e.preventDefault();
+      this.spacePressed = true;
+      if (!this.draggingNode && !this.draggingArea && !this.resizingNode && !this.resizingArea) {
+        this.canvas.style.cursor = 'grab';
+      }
+      return;
+    }
+
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      const items = this.getSelection();
+      if (this.deleteSelection()) {
+        // Listeners may have kept some of them
+        const count = items.filter(item => !this.getItems(CommandHistory.kindOf(item)).includes(item)).length;
+        this.accessibility.announce(count === 1 ? 'Deleted' : `Deleted ${count} items`);
       }
     }
 
+    // Arrow keys nudge the selected nodes and areas (Shift for bigger steps)
+    const direction = ARROW_DIRECTIONS[e.key];
+    if (direction && !e.altKey && !e.ctrlKey && !e.metaKey) {
+      const step = (this.options.snapToGrid ? this.options.gridSize : 1) * (e.shiftKey ? 10 : 1);
+      const moved = this.nudgeSelection(direction.x * step, direction.y * step);
+      if (moved.length > 0) {
+        e.preventDefault();
+        const position = this.getItemPosition(moved[0]);
+        this.accessibility.announce(moved.length === 1
+          ? `Moved to ${Math.round(position.x)}, ${Math.round(position.y)}`
+          : `Moved ${moved.length} items`);
+      }
+    }
+
+    // Enter edits the selected item
+    if (e.key === 'Enter' && !this.isTextInput(e.target)) {
+      const item = this.getSelection().length === 1 ? this.getSelection()[0] : null;
+      if (item) {
+        e.preventDefault();
+        this.openSettingsFromKeyboard(item);
+      }
+    }
+
+    // Ctrl+D or Cmd+D to duplicate the selection
+    if ((e.ctrlKey || e.metaKey) && e.key === 'd' && !this.isTextInput(e.target)) {
+      e.preventDefault();
+      this.duplicateSelection();
+    }
+
+    // Ctrl+A or Cmd+A to select everything (leave text fields alone)
+    if ((e.ctrlKey || e.metaKey) && e.key === 'a' && !this.isTextInput(e.target)) {
+      e.preventDefault();
+      this.selectAll();
+      this.render();
+    }
+
     // Ctrl+Z or Cmd+Z for undo
     if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
       e.preventDefault();
@@ -623,12 +1344,52 @@ class FlowchartCanvas {
         if (this.onAreaMarkingComplete) {
           this.onAreaMarkingComplete();
         }
+        this.emit('area:markingEnded', { area: null });
         
+        this.render();
+      } else if (this.selection.size > 0) {
+        this.select(null);
         this.render();
       }
     }
   }
 
+  handleClipboardEvent(e) {
+    if (this.options.mode !== 'edit' || !this.isActive) return;
+    if (this.isTextInput(e.target) || this.hasTextSelection()) return;
+
+    if (e.type === 'paste') {
+      const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+      // Foreign text on the system clipboard means something newer was copied elsewhere
+      const data = text ? this.parseClipboardData(text) : this.clipboard;
+      if (!data) return;
+
+      e.preventDefault();
+      this.paste(data, this.pointerPos ? { position: this.pointerPos } : {});
+      return;
+    }
+
+    if (this.selection.size === 0) return;
+
+    const data = e.type === 'cut' ? this.cutSelection({ system: false }) : this.copySelection({ system: false });
+    if (data && e.clipboardData) {
+      e.clipboardData.setData('text/plain', JSON.stringify(data));
+      e.preventDefault();
+    }
+  }
+
+  hasTextSelection() {
+    if (typeof window.getSelection !== 'function') return false;
+    const selection = window.getSelection();
+    return !!selection && !selection.isCollapsed;
+  }
+
+  isTextInput(target) {
+    if (!target) return false;
+    const tag = (target.tagName || '').toLowerCase();
+    return tag === 'input' || tag === 'textarea' || target.isContentEditable === true;
+  }
+
   handleKeyUp(e) {
     // Release Space key
     if (e.code === 'Space') {
@@ -639,21 +1400,1174 @@ class FlowchartCanvas {
     }
   }
 
-  addNode(type, text, x, y) {
-    const node = new Node(`node_${this.nodeIdCounter++}`, type, x, y, text);
-    this.nodes.push(node);
-    this.saveState();
+  // ============================================================================
+  // Keyboard Navigation
+  // ============================================================================
+
+  // Tab, Alt+arrows and the bracket keys move the selection between nodes and
+  // along connections. Returns whether the key was used.
+  handleNavigationKey(e) {
+    if (e.ctrlKey || e.metaKey || this.isTextInput(e.target)) return false;
+
+    let target;
+    if (e.key === 'Tab' && !e.altKey) {
+      target = this.getTabTarget(e.shiftKey ? -1 : 1);
+      // Past the first or last node, Tab moves focus on out of the canvas
+      if (!target) return false;
+    } else if (e.altKey && ARROW_DIRECTIONS[e.key]) {
+      target = this.getArrowTarget(ARROW_DIRECTIONS[e.key]);
+    } else if ((e.key === ']' || e.key === '[') && !e.altKey) {
+      target = this.getFollowTarget(e.key === ']');
+    } else {
+      return false;
+    }
+
+    e.preventDefault();
+    if (target) this.focusItem(target);
+    return true;
+  }
+
+  // Top to bottom, then left to right
+  getNodesInReadingOrder() {
+    return [...this.nodes].sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
+  getTabTarget(step) {
+    const nodes = this.getNodesInReadingOrder();
+    const index = nodes.indexOf(this.selectedNode);
+    if (index === -1) return step > 0 ? nodes[0] : nodes[nodes.length - 1];
+    return nodes[index + step] || null;
+  }
+
+  // From a node, the closest node roughly in `direction`. From a connection,
+  // the next or previous connection leaving the same node.
+  getArrowTarget(direction) {
+    const connection = this.selectedConnection;
+    if (connection) {
+      const siblings = this.connections.filter(conn => conn.fromNode === connection.fromNode);
+      const step = direction.x + direction.y;
+      const index = siblings.indexOf(connection);
+      return siblings[(index + step + siblings.length) % siblings.length];
+    }
+
+    const from = this.selectedNode;
+    if (!from) return this.getNodesInReadingOrder()[0] || null;
+
+    let best = null;
+    let bestScore = Infinity;
+    this.nodes.forEach(node => {
+      const dx = node.x - from.x;
+      const dy = node.y - from.y;
+      const along = dx * direction.x + dy * direction.y;
+      if (node === from || along <= 0) return;
+      // Prefer nodes straight ahead over closer ones off to the side
+      const across = Math.abs(dx * direction.y - dy * direction.x);
+      const score = along + across * 2;
+      if (score < bestScore) {
+        bestScore = score;
+        best = node;
+      }
+    });
+    return best;
+  }
+
+  // Forward (]) goes from a node to its first outgoing connection and from a
+  // connection to the node it ends at; backward ([) the other way round
+  getFollowTarget(forward) {
+    const connection = this.selectedConnection;
+    if (connection) return forward ? connection.toNode : connection.fromNode;
+
+    const node = this.selectedNode;
+    if (!node) return null;
+    return this.connections.find(conn => (forward ? conn.fromNode : conn.toNode) === node) || null;
+  }
+
+  focusItem(item) {
+    this.select(item);
+    this.scrollIntoView(item);
+    this.render();
+  }
+
+  // Open the settings dialog of an item beside it on screen
+  openSettingsFromKeyboard(item) {
+    const bounds = this.getItemsBounds([item]);
+    const { x, y } = this.getClientPoint(bounds.x + bounds.width, bounds.y);
+
+    if (item instanceof Node) this.openNodeSettings(item, x, y);
+    else if (item instanceof Connection) this.openConnectionSettings(item, x, y);
+    else this.openAreaSettings(item, x, y);
+  }
+
+  // ============================================================================
+  // Model API - Nodes
+  // ============================================================================
+
+  addNode(type, text, x, y, settings = {}) {
+    const node = new Node(this.createId('node'), type, x, y, text);
+    if (settings.width !== undefined) node.width = settings.width;
+    if (settings.height !== undefined) node.height = settings.height;
+    node.updateSettings(settings);
+    this.nodes.push(node);
+    this.emit('node:added', { node });
+    this.saveState('Add node', [node]);
+    this.render();
+    return node;
+  }
+
+  getNodeById(id) {
+    return this.nodes.find(node => node.id === id) || null;
+  }
+
+  updateNode(nodeOrId, props = {}) {
+    const node = this.resolveNode(nodeOrId);
+    if (!node) return null;
+
+    ['type', 'x', 'y', 'width', 'height'].forEach(key => {
+      if (props[key] !== undefined) node[key] = props[key];
+    });
+    node.updateSettings(props);
+
+    this.emit('node:updated', { node, props });
+    this.saveState('Edit node', [node]);
+    this.render();
+    return node;
+  }
+
+  deleteNode(nodeOrId) {
+    const node = this.resolveNode(nodeOrId);
+    if (!node) return false;
+
+    const attached = this.getConnectionsForNode(node);
+    if (this.emit('node:beforeDelete', { node, connections: attached }).defaultPrevented) {
+      return false;
+    }
+
+    // Cascade: a connection cannot outlive either of its endpoints
+    this.connections = this.connections.filter(conn => !attached.includes(conn));
+    this.nodes = this.nodes.filter(n => n !== node);
+    this.removeFromSelection(node, ...attached);
+    if (this.lastClickNode === node) this.lastClickNode = null;
+
+    attached.forEach(connection => this.emit('connection:deleted', { connection }));
+    this.emit('node:deleted', { node });
+    this.saveState('Delete node', [node, ...attached]);
+    this.render();
+    return true;
+  }
+
+  // ============================================================================
+  // Model API - Connections
+  // ============================================================================
+
+  addConnection(fromNode, fromPort, toNode, toPort, settings = {}) {
+    const from = this.resolveNode(fromNode);
+    const to = this.resolveNode(toNode);
+    if (!from || !to) return null;
+    if (!this.canConnect(from, fromPort, to, toPort)) return null;
+
+    const request = { fromNode: from, fromPort, toNode: to, toPort };
+    if (this.emit('connection:beforeCreate', request).defaultPrevented) return null;
+
+    const connection = new Connection(
+      this.createId('conn'),
+      from,
+      fromPort,
+      to,
+      toPort
+    );
+    connection.updateSettings(settings);
+    this.connections.push(connection);
+    this.emit('connection:created', { connection });
+    this.saveState('Add connection', [connection]);
+    this.render();
+    return connection;
+  }
+
+  // Ports must exist and allow the flow direction, and no other connection
+  // may already join the same ports; `ignore` is a connection being rewired
+  canConnect(from, fromPort, to, toPort, ignore = null) {
+    const fromPoint = from.getPort(fromPort);
+    const toPoint = to.getPort(toPort);
+    if (!fromPoint || !toPoint || fromPoint.direction === 'in' || toPoint.direction === 'out') return false;
+
+    return !this.connections.some(conn =>
+      conn !== ignore &&
+      conn.fromNode === from &&
+      conn.toNode === to &&
+      conn.fromPort === fromPort &&
+      conn.toPort === toPort
+    );
+  }
+
+  getConnectionById(id) {
+    return this.connections.find(conn => conn.id === id) || null;
+  }
+
+  getConnectionsForNode(nodeOrId) {
+    const node = this.resolveNode(nodeOrId);
+    if (!node) return [];
+    return this.connections.filter(conn => conn.fromNode === node || conn.toNode === node);
+  }
+
+  updateConnection(connectionOrId, props = {}) {
+    const connection = this.resolveConnection(connectionOrId);
+    if (!connection) return null;
+
+    const fromNode = props.fromNode !== undefined ? this.resolveNode(props.fromNode) : connection.fromNode;
+    const toNode = props.toNode !== undefined ? this.resolveNode(props.toNode) : connection.toNode;
+    if (!fromNode || !toNode) return null;
+    const fromPort = props.fromPort !== undefined ? props.fromPort : connection.fromPort;
+    const toPort = props.toPort !== undefined ? props.toPort : connection.toPort;
+    const rewired = fromNode !== connection.fromNode || toNode !== connection.toNode ||
+      fromPort !== connection.fromPort || toPort !== connection.toPort;
+    if (rewired && !this.canConnect(fromNode, fromPort, toNode, toPort, connection)) return null;
+
+    connection.fromNode = fromNode;
+    connection.toNode = toNode;
+    connection.fromPort = fromPort;
+    connection.toPort = toPort;
+    if (props.waypoints !== undefined) {
+      connection.waypoints = props.waypoints.map(point => ({ x: point.x, y: point.y }));
+    }
+    connection.updateSettings(props);
+
+    this.emit('connection:updated', { connection, props });
+    this.saveState('Edit connection', [connection]);
+    this.render();
+    return connection;
+  }
+
+  // Drop all manual bends and go back to automatic routing
+  resetConnectionRoute(connectionOrId) {
+    return this.updateConnection(connectionOrId, { waypoints: [] });
+  }
+
+  deleteConnection(connectionOrId) {
+    const connection = this.resolveConnection(connectionOrId);
+    if (!connection) return false;
+
+    if (this.emit('connection:beforeDelete', { connection }).defaultPrevented) return false;
+
+    this.connections = this.connections.filter(conn => conn !== connection);
+    this.removeFromSelection(connection);
+    if (this.lastClickConnection === connection) this.lastClickConnection = null;
+
+    this.emit('connection:deleted', { connection });
+    this.saveState('Delete connection', [connection]);
+    this.render();
+    return true;
+  }
+
+  // ============================================================================
+  // Model API - Areas
+  // ============================================================================
+
+  addArea(x1, y1, x2, y2, title = 'Section', settings = {}) {
+    const area = new Area(this.createId('area'), x1, y1, x2, y2, title);
+    area.updateSettings(settings);
+    this.areas.push(area);
+    this.emit('area:added', { area });
+    this.saveState('Add area', [area]);
+    this.render();
+    return area;
+  }
+
+  getAreaById(id) {
+    return this.areas.find(area => area.id === id) || null;
+  }
+
+  updateArea(areaOrId, props = {}) {
+    const area = this.resolveArea(areaOrId);
+    if (!area) return null;
+
+    ['x1', 'y1', 'x2', 'y2'].forEach(key => {
+      if (props[key] !== undefined) area[key] = props[key];
+    });
+    area.updateSettings(props);
+
+    this.emit('area:updated', { area, props });
+    this.saveState('Edit area', [area]);
+    this.render();
+    return area;
+  }
+
+  deleteArea(areaOrId) {
+    const area = this.resolveArea(areaOrId);
+    if (!area) return false;
+
+    if (this.emit('area:beforeDelete', { area }).defaultPrevented) return false;
+
+    this.areas = this.areas.filter(a => a !== area);
+    this.removeFromSelection(area);
+    if (this.lastClickArea === area) this.lastClickArea = null;
+
+    this.emit('area:deleted', { area });
+    this.saveState('Delete area', [area]);
+    this.render();
+    return true;
+  }
+
+  // Accept either a model object or its id in the public API
+  resolveNode(nodeOrId) {
+    if (typeof nodeOrId === 'string') return this.getNodeById(nodeOrId);
+    return this.nodes.includes(nodeOrId) ? nodeOrId : null;
+  }
+
+  resolveConnection(connectionOrId) {
+    if (typeof connectionOrId === 'string') return this.getConnectionById(connectionOrId);
+    return this.connections.includes(connectionOrId) ? connectionOrId : null;
+  }
+
+  resolveArea(areaOrId) {
+    if (typeof areaOrId === 'string') return this.getAreaById(areaOrId);
+    return this.areas.includes(areaOrId) ? areaOrId : null;
+  }
+
+  // ============================================================================
+  // Spatial Queries
+  // ============================================================================
+
+  // Items whose box overlaps a world rect { x, y, width, height }, in drawing
+  // order: areas, then connections, then nodes
+  queryRect(rect) {
+    this.updateIndex();
+    return this.spatialIndex.query(rect);
+  }
+
+  // Everything under a world point, topmost first. `zoom` sets how far from
+  // handles, ports and lines a point may be, as in getHitZoom (default: the
+  // current zoom). Each hit is { type, item } plus details by type:
+  //   'handle'     - resize handle of the selected node or area: { handle }
+  //   'waypoint'   - bend of the selected connection: { index }
+  //   'port'       - connection point of a node: { port }
+  //   'node'
+  //   'label'      - connection label
+  //   'connection' - line: { segment }, an index into getControlPoints()
+  //   'title'      - area title bar
+  //   'area'
+  // Handles of the selection come first; they are drawn over everything.
+  hitTest(point, options = {}) {
+    const { x, y } = point;
+    const zoom = options.zoom || this.zoom;
+    const tolerance = 15 / zoom;
+    const items = this.queryRect({
+      x: x - tolerance,
+      y: y - tolerance,
+      width: tolerance * 2,
+      height: tolerance * 2
+    }).reverse();
+    const nodes = items.filter(item => item instanceof Node);
+    const connections = items.filter(item => item instanceof Connection);
+    const areas = items.filter(item => item instanceof Area);
+    const hits = [];
+
+    [this.selectedNode, this.selectedArea].forEach(selected => {
+      const handle = selected && items.includes(selected) && selected.isOnResizeHandle(x, y, zoom);
+      if (handle) hits.push({ type: 'handle', item: selected, handle });
+    });
+    const routed = this.selectedConnection;
+    if (routed && items.includes(routed)) {
+      const index = routed.getWaypointAt(x, y, zoom);
+      if (index !== -1) hits.push({ type: 'waypoint', item: routed, index });
+    }
+
+    nodes.forEach(node => {
+      const port = this.showsPorts() && node.isOnConnectionPoint(x, y, zoom);
+      if (port) hits.push({ type: 'port', item: node, port });
+      if (node.containsPoint(x, y)) hits.push({ type: 'node', item: node });
+    });
+
+    // Labels are drawn over the lines
+    connections.forEach(connection => {
+      if (connection.isOnLabel(x, y)) hits.push({ type: 'label', item: connection });
+    });
+    connections.forEach(connection => {
+      const segment = connection.getControlSegmentAt(x, y, zoom);
+      if (segment !== -1) hits.push({ type: 'connection', item: connection, segment });
+    });
+
+    areas.forEach(area => {
+      if (area.isOnTitleBar(x, y)) hits.push({ type: 'title', item: area });
+      else if (area.containsPoint(x, y)) hits.push({ type: 'area', item: area });
+    });
+    return hits;
+  }
+
+  // The hit a press acts on: ports that only take incoming connections are
+  // passed over, and so are bends while toggling the selection
+  getPointerHit(pos, zoom, toggleKey) {
+    return this.hitTest(pos, { zoom }).find(hit =>
+      !(hit.type === 'port' && hit.port.direction === 'in') &&
+      !(hit.type === 'waypoint' && toggleKey)
+    ) || null;
+  }
+
+  // Bring the spatial index up to date. After render() every item is checked;
+  // otherwise only the items the current gesture moves, as render() is how
+  // every other change announces itself.
+  updateIndex() {
+    if (!this.indexStale) {
+      this.getLiveItems().forEach(item => this.spatialIndex.set(item, this.getItemBox(item)));
+      return;
+    }
+
+    const present = new Set();
+    [...this.areas, ...this.connections, ...this.nodes].forEach((item, order) => {
+      present.add(item);
+      this.spatialIndex.set(item, this.getItemBox(item), order);
+    });
+    this.spatialIndex.items().forEach(item => {
+      if (!present.has(item)) this.spatialIndex.delete(item);
+    });
+    this.indexStale = false;
+  }
+
+  getItemBox(item) {
+    return item instanceof Connection ? item.getBounds() : this.getItemsBounds([item]);
+  }
+
+  // ============================================================================
+  // Selection & Events
+  // ============================================================================
+
+  select(item) {
+    this.setSelection(item ? [item] : []);
+  }
+
+  setSelection(items) {
+    const previous = this.getSelection();
+    this.selection = new Set(items.filter(Boolean));
+
+    const changed = previous.length !== this.selection.size ||
+      previous.some(item => !this.selection.has(item));
+    if (changed) {
+      this.emit('selection:changed', { selection: this.getSelection(), previous });
+    }
+  }
+
+  getSelection() {
+    return [...this.selection];
+  }
+
+  isSelected(item) {
+    return this.selection.has(item);
+  }
+
+  addToSelection(...items) {
+    this.setSelection([...this.selection, ...items]);
+  }
+
+  removeFromSelection(...items) {
+    this.setSelection(this.getSelection().filter(item => !items.includes(item)));
+  }
+
+  toggleSelection(item) {
+    if (this.isSelected(item)) {
+      this.removeFromSelection(item);
+    } else {
+      this.addToSelection(item);
+    }
+  }
+
+  selectAll() {
+    this.setSelection([...this.nodes, ...this.connections, ...this.areas]);
+  }
+
+  clearSelection() {
+    this.setSelection([]);
+  }
+
+  // The single selected item of a given kind, used for resize handles and dialogs
+  getSoleSelection(type) {
+    if (this.selection.size !== 1) return null;
+    const [item] = this.selection;
+    return item instanceof type ? item : null;
+  }
+
+  get selectedNode() {
+    return this.getSoleSelection(Node);
+  }
+
+  get selectedConnection() {
+    return this.getSoleSelection(Connection);
+  }
+
+  get selectedArea() {
+    return this.getSoleSelection(Area);
+  }
+
+  getSelectedNodes() {
+    return this.getSelection().filter(item => item instanceof Node);
+  }
+
+  deleteSelection() {
+    const items = this.getSelection();
+    if (items.length === 0) return false;
+
+    // One undo step for the whole selection. Returns false when
+    // beforeDelete listeners kept every item.
+    let deleted = false;
+    this.transaction(() => {
+      items.forEach(item => {
+        if (item instanceof Node) deleted = this.deleteNode(item) || deleted;
+        else if (item instanceof Connection) deleted = this.deleteConnection(item) || deleted;
+        else if (item instanceof Area) deleted = this.deleteArea(item) || deleted;
+      });
+    }, 'Delete');
+    return deleted;
+  }
+
+  finishMarquee() {
+    const { start, end, additive } = this.marquee;
+    const x1 = Math.min(start.x, end.x);
+    const y1 = Math.min(start.y, end.y);
+    const x2 = Math.max(start.x, end.x);
+    const y2 = Math.max(start.y, end.y);
+    const inside = (left, top, right, bottom) =>
+      left >= x1 && right <= x2 && top >= y1 && bottom <= y2;
+
+    const candidates = this.queryRect({ x: x1, y: y1, width: x2 - x1, height: y2 - y1 });
+
+    const nodes = candidates.filter(item => item instanceof Node).filter(node => inside(
+      node.x - node.width / 2, node.y - node.height / 2,
+      node.x + node.width / 2, node.y + node.height / 2
+    ));
+    // Include the title bar, which sits above y1
+    const areas = candidates.filter(item => item instanceof Area)
+      .filter(area => inside(area.x1, area.y1 - 30, area.x2, area.y2));
+    const connections = this.connections.filter(conn =>
+      nodes.includes(conn.fromNode) && nodes.includes(conn.toNode)
+    );
+
+    const items = [...nodes, ...connections, ...areas];
+    this.setSelection(additive ? [...this.selection, ...items] : items);
+    this.marquee = null;
+    this.render();
+  }
+
+  emitViewportChanged() {
+    this.emit('viewport:changed', {
+      zoom: this.zoom,
+      panOffset: { x: this.panOffset.x, y: this.panOffset.y }
+    });
+  }
+
+  // ============================================================================
+  // Grid & Alignment
+  // ============================================================================
+
+  setSnapToGrid(enabled) {
+    this.options.snapToGrid = !!enabled;
+  }
+
+  setGuidesEnabled(enabled) {
+    this.options.guides = !!enabled;
+  }
+
+  snapValue(value) {
+    if (!this.options.snapToGrid || this.snapSuspended) return value;
+    const gridSize = this.options.gridSize;
+    return Math.round(value / gridSize) * gridSize;
+  }
+
+  // Correct a drag offset so the moving items line up with other nodes, or
+  // otherwise land on the grid. Remembers the matched guides for render().
+  snapDragOffset(dx, dy) {
+    this.guides = null;
+    if (!this.dragBounds || this.snapSuspended) return { dx, dy };
+
+    const box = { ...this.dragBounds, x: this.dragBounds.x + dx, y: this.dragBounds.y + dy };
+    const moving = new Set(this.dragItems.map(({ item }) => item));
+    const others = this.options.guides
+      ? this.nodes.filter(node => !moving.has(node)).map(node => node.getBounds())
+      : [];
+    const threshold = 6 / this.zoom;
+    const matches = [];
+
+    ['x', 'y'].forEach(axis => {
+      const snap = others.length > 0 ? this.findAxisSnap(axis, box, others, threshold) : null;
+      const delta = snap ? snap.delta : this.snapValue(box[axis]) - box[axis];
+      box[axis] += delta;
+      if (snap) matches.push(...snap.guides);
+    });
+
+    if (matches.length > 0) {
+      this.guides = { box, matches };
+    }
+    return { dx: box.x - this.dragBounds.x, dy: box.y - this.dragBounds.y };
+  }
+
+  // Smallest correction along one axis that lines the box up with an edge or
+  // centre of another node, or spaces it evenly with its neighbours
+  findAxisSnap(axis, box, others, threshold) {
+    const cross = axis === 'x' ? 'y' : 'x';
+    const size = axis === 'x' ? 'width' : 'height';
+    const crossSize = axis === 'x' ? 'height' : 'width';
+    const end = rect => rect[axis] + rect[size];
+    let best = null;
+
+    const consider = (delta, guide) => {
+      if (Math.abs(delta) > threshold) return;
+      if (!best || Math.abs(delta) < Math.abs(best.delta) - 0.5) {
+        best = { delta, guides: [guide] };
+      } else if (Math.abs(delta - best.delta) < 0.5) {
+        best.guides.push(guide);
+      }
+    };
+
+    // Edges snap to edges, centres to centres
+    const anchors = rect => [rect[axis], rect[axis] + rect[size] / 2, end(rect)];
+    const own = anchors(box);
+    others.forEach(other => {
+      anchors(other).forEach((target, i) => {
+        own.forEach((value, j) => {
+          if ((i === 1) === (j === 1)) {
+            consider(target - value, { type: 'line', axis, value: target, other });
+          }
+        });
+      });
+    });
+
+    // Equal gaps with the nearest neighbours in the same row (or column);
+    // `null` in a gap stands for the moving box
+    const row = others.filter(other =>
+      other[cross] < box[cross] + box[crossSize] && box[cross] < other[cross] + other[crossSize]);
+    const before = row.filter(other => end(other) <= box[axis] + threshold)
+      .sort((a, b) => end(b) - end(a));
+    const after = row.filter(other => other[axis] >= end(box) - threshold)
+      .sort((a, b) => a[axis] - b[axis]);
+
+    if (before.length > 0 && after.length > 0) {
+      const target = (end(before[0]) + after[0][axis] - box[size]) / 2;
+      if (target >= end(before[0])) {
+        consider(target - box[axis], { type: 'gap', axis, gaps: [[before[0], null], [null, after[0]]] });
+      }
+    }
+    if (before.length > 1 && end(before[1]) <= before[0][axis]) {
+      const gap = before[0][axis] - end(before[1]);
+      consider(end(before[0]) + gap - box[axis], { type: 'gap', axis, gaps: [[before[1], before[0]], [before[0], null]] });
+    }
+    if (after.length > 1 && after[1][axis] >= end(after[0])) {
+      const gap = after[1][axis] - end(after[0]);
+      consider(after[0][axis] - gap - end(box), { type: 'gap', axis, gaps: [[null, after[0]], [after[0], after[1]]] });
+    }
+
+    return best;
+  }
+
+  drawGuides() {
+    const { box, matches } = this.guides;
+    const tick = 4 / this.zoom;
+
+    this.ctx.save();
+    this.ctx.strokeStyle = '#E91E63';
+    this.ctx.lineWidth = 1 / this.zoom;
+    this.ctx.beginPath();
+
+    matches.forEach(guide => {
+      const { axis } = guide;
+      const cross = axis === 'x' ? 'y' : 'x';
+      const size = axis === 'x' ? 'width' : 'height';
+      const crossSize = axis === 'x' ? 'height' : 'width';
+      // A line across the axis at `along`, running from `from` to `to`
+      const line = (along, from, to) => {
+        if (axis === 'x') {
+          this.ctx.moveTo(along, from);
+          this.ctx.lineTo(along, to);
+        } else {
+          this.ctx.moveTo(from, along);
+          this.ctx.lineTo(to, along);
+        }
+      };
+
+      if (guide.type === 'line') {
+        const { other, value } = guide;
+        line(value,
+          Math.min(box[cross], other[cross]),
+          Math.max(box[cross] + box[crossSize], other[cross] + other[crossSize]));
+        return;
+      }
+
+      // Spacing hint: a bar across each equal gap, with end ticks
+      guide.gaps.forEach(([first, second]) => {
+        const a = first || box;
+        const b = second || box;
+        const at = (Math.max(a[cross], b[cross]) + Math.min(a[cross] + a[crossSize], b[cross] + b[crossSize])) / 2;
+        const from = a[axis] + a[size];
+        const to = b[axis];
+        if (axis === 'x') {
+          this.ctx.moveTo(from, at);
+          this.ctx.lineTo(to, at);
+        } else {
+          this.ctx.moveTo(at, from);
+          this.ctx.lineTo(at, to);
+        }
+        line(from, at - tick, at + tick);
+        line(to, at - tick, at + tick);
+      });
+    });
+
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  // Line up nodes (default: the selected ones) along an edge or centre of
+  // their common bounding box: 'left', 'center', 'right', 'top', 'middle', 'bottom'
+  alignNodes(alignment, nodes = this.getSelectedNodes()) {
+    nodes = nodes.map(node => this.resolveNode(node)).filter(Boolean);
+    if (nodes.length < 2) return [];
+
+    const boxes = nodes.map(node => node.getBounds());
+    const left = Math.min(...boxes.map(box => box.x));
+    const right = Math.max(...boxes.map(box => box.x + box.width));
+    const top = Math.min(...boxes.map(box => box.y));
+    const bottom = Math.max(...boxes.map(box => box.y + box.height));
+
+    const positions = nodes.map(node => {
+      switch (alignment) {
+        case 'left': return { x: left + node.width / 2, y: node.y };
+        case 'center': return { x: (left + right) / 2, y: node.y };
+        case 'right': return { x: right - node.width / 2, y: node.y };
+        case 'top': return { x: node.x, y: top + node.height / 2 };
+        case 'middle': return { x: node.x, y: (top + bottom) / 2 };
+        case 'bottom': return { x: node.x, y: bottom - node.height / 2 };
+        default: throw new Error(`Unknown alignment "${alignment}"`);
+      }
+    });
+
+    return this.moveNodes(nodes, positions, 'Align');
+  }
+
+  // Spread nodes (default: the selected ones) so the gaps between them are
+  // equal. The outermost nodes stay where they are.
+  distributeNodes(direction, nodes = this.getSelectedNodes()) {
+    if (direction !== 'horizontal' && direction !== 'vertical') {
+      throw new Error(`Unknown distribution "${direction}"`);
+    }
+    nodes = nodes.map(node => this.resolveNode(node)).filter(Boolean);
+    if (nodes.length < 3) return [];
+
+    const axis = direction === 'horizontal' ? 'x' : 'y';
+    const size = direction === 'horizontal' ? 'width' : 'height';
+    const sorted = [...nodes].sort((a, b) => (a[axis] - a[size] / 2) - (b[axis] - b[size] / 2));
+    const first = sorted[0][axis] - sorted[0][size] / 2;
+    const last = Math.max(...sorted.map(node => node[axis] + node[size] / 2));
+    const occupied = sorted.reduce((sum, node) => sum + node[size], 0);
+    const gap = (last - first - occupied) / (sorted.length - 1);
+
+    let cursor = first;
+    const positions = sorted.map(node => {
+      const position = { x: node.x, y: node.y };
+      position[axis] = Math.round(cursor + node[size] / 2);
+      cursor += node[size] + gap;
+      return position;
+    });
+
+    return this.moveNodes(sorted, positions, 'Distribute');
+  }
+
+  // Move the selected nodes and areas by (dx, dy) as one history entry, with
+  // the bends of connections between them; returns what moved
+  nudgeSelection(dx, dy) {
+    const items = this.getSelection().filter(item => item instanceof Node || item instanceof Area);
+    if (items.length === 0 || (dx === 0 && dy === 0)) return [];
+
+    const bent = this.connections.filter(conn => conn.waypoints.length > 0 &&
+      items.includes(conn.fromNode) && items.includes(conn.toNode));
+    items.forEach(item => {
+      const from = this.getItemPosition(item);
+      const to = { x: from.x + dx, y: from.y + dy };
+      this.moveItemTo(item, to.x, to.y);
+      if (item instanceof Area) {
+        this.emit('area:moved', { area: item, from, to });
+      } else {
+        this.emit('node:moved', { node: item, from, to });
+      }
+    });
+    bent.forEach(conn => {
+      conn.waypoints = conn.waypoints.map(point => ({ x: point.x + dx, y: point.y + dy }));
+    });
+
+    this.saveState('Move', [...items, ...bent]);
+    this.render();
+    return items;
+  }
+
+  // Move nodes to new centres as one history entry; returns the nodes that moved
+  moveNodes(nodes, positions, label = 'Move') {
+    const moved = [];
+    nodes.forEach((node, i) => {
+      const from = { x: node.x, y: node.y };
+      const to = positions[i];
+      if (to.x === from.x && to.y === from.y) return;
+      this.moveItemTo(node, to.x, to.y);
+      moved.push(node);
+      this.emit('node:moved', { node, from, to: { x: to.x, y: to.y } });
+    });
+
+    if (moved.length > 0) {
+      this.saveState(label, moved);
+      this.render();
+    }
+    return moved;
+  }
+
+  // ============================================================================
+  // Layout
+  // ============================================================================
+
+  // Arrange nodes in layers following the connections. Recorded as a single
+  // history entry; the returned promise resolves once the animation ends.
+  autoLayout(options = {}) {
+    if (this.layoutAnimation) this.layoutAnimation.complete();
+
+    const nodes = options.nodes
+      ? options.nodes.map(node => this.resolveNode(node)).filter(Boolean)
+      : [...this.nodes];
+    if (nodes.length === 0) return Promise.resolve();
+
+    const direction = options.direction === 'LR' ? 'LR' : 'TB';
+
+    // Nodes keep the area their centre is in
+    const groups = new Map();
+    if (options.respectAreas) {
+      nodes.forEach(node => {
+        const area = [...this.areas].reverse().find(a => a.containsPoint(node.x, node.y));
+        if (area) groups.set(node, area);
+      });
+    }
+
+    const targets = this.arrangeNodes(nodes, groups, options);
+    this.emit('layout:applied', { nodes, direction });
+    const included = new Set(nodes);
+    const rerouted = this.connections.filter(conn => included.has(conn.fromNode) && included.has(conn.toNode));
+    this.saveState('Auto layout', [...targets.map(({ item }) => item), ...rerouted]);
+
+    const duration = options.animate === false ? 0 : (options.duration !== undefined ? options.duration : 300);
+    return this.animateItems(targets, duration);
+  }
+
+  // Lay out the nodes and apply the final positions right away, keeping the
+  // chart's top-left corner in place. `groups` maps nodes to the Area they stay
+  // together in; those areas are refitted. Returns { item, from, to } for animating.
+  arrangeNodes(nodes, groups, options = {}) {
+    const included = new Set(nodes);
+    const connections = this.connections.filter(conn => included.has(conn.fromNode) && included.has(conn.toNode));
+    const direction = options.direction === 'LR' ? 'LR' : 'TB';
+
+    const members = new Map();
+    groups.forEach((area, node) => {
+      if (!members.has(area)) members.set(area, []);
+      members.get(area).push(node);
+    });
+
+    const layout = new HierarchicalLayout({ ...options, direction });
+    const { positions, reversed } = layout.run(nodes, connections, groups);
+
+    // Keep the chart anchored where its top-left corner was
+    const bounds = (getBox) => {
+      const boxes = nodes.map(getBox);
+      return {
+        x: Math.min(...boxes.map(box => box.x)),
+        y: Math.min(...boxes.map(box => box.y))
+      };
+    };
+    const before = bounds(node => ({ x: node.x - node.width / 2, y: node.y - node.height / 2 }));
+    const after = bounds(node => {
+      const point = positions.get(node);
+      return { x: point.x - node.width / 2, y: point.y - node.height / 2 };
+    });
+    const dx = before.x - after.x;
+    const dy = before.y - after.y;
+
+    const targets = nodes.map(node => ({
+      item: node,
+      from: { x: node.x, y: node.y },
+      to: { x: Math.round(positions.get(node).x + dx), y: Math.round(positions.get(node).y + dy) }
+    }));
+
+    // Areas shrink or grow to wrap their nodes again
+    const padding = 20;
+    members.forEach((areaNodes, area) => {
+      const boxes = areaNodes.map(node => {
+        const point = positions.get(node);
+        return {
+          x1: Math.round(point.x + dx) - node.width / 2,
+          y1: Math.round(point.y + dy) - node.height / 2,
+          x2: Math.round(point.x + dx) + node.width / 2,
+          y2: Math.round(point.y + dy) + node.height / 2
+        };
+      });
+      targets.push({
+        item: area,
+        from: { x1: area.x1, y1: area.y1, x2: area.x2, y2: area.y2 },
+        to: {
+          x1: Math.min(...boxes.map(box => box.x1)) - padding,
+          y1: Math.min(...boxes.map(box => box.y1)) - padding,
+          x2: Math.max(...boxes.map(box => box.x2)) + padding,
+          y2: Math.max(...boxes.map(box => box.y2)) + padding
+        }
+      });
+    });
+
+    // Commit the final state first so history holds one entry for the layout
+    targets.forEach(({ item, to }) => Object.assign(item, to));
+    connections.forEach(conn => {
+      conn.waypoints = [];
+      if (options.assignPorts !== false) {
+        this.assignLayoutPorts(conn, direction, reversed.has(conn));
+      }
+    });
+    return targets;
+  }
+
+  // Point connections along the flow; connections reversed to break a cycle
+  // loop back around the side. Nodes with custom ports keep theirs.
+  assignLayoutPorts(connection, direction, isReversed) {
+    const from = connection.fromNode;
+    const to = connection.toNode;
+    let fromPort;
+    let toPort;
+
+    if (direction === 'TB') {
+      const offset = to.x - from.x;
+      if (isReversed) {
+        fromPort = 'right';
+        toPort = 'right';
+      } else {
+        fromPort = Math.abs(offset) > from.width / 2 ? (offset > 0 ? 'right' : 'left') : 'bottom';
+        toPort = 'top';
+      }
+    } else {
+      const offset = to.y - from.y;
+      if (isReversed) {
+        fromPort = 'bottom';
+        toPort = 'bottom';
+      } else {
+        fromPort = Math.abs(offset) > from.height / 2 ? (offset > 0 ? 'bottom' : 'top') : 'right';
+        toPort = 'left';
+      }
+    }
+
+    if (!from.ports) connection.fromPort = fromPort;
+    if (!to.ports) connection.toPort = toPort;
+  }
+
+  // Tween items from `from` to `to` values (already applied) with ease-out
+  animateItems(targets, duration) {
+    if (!duration || typeof requestAnimationFrame === 'undefined') {
+      this.render();
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const start = Date.now();
+      const apply = (t) => {
+        targets.forEach(({ item, from, to }) => {
+          Object.keys(to).forEach(key => {
+            item[key] = t >= 1 ? to[key] : from[key] + (to[key] - from[key]) * t;
+          });
+        });
+      };
+
+      const animation = {
+        frame: null,
+        complete: () => {
+          cancelAnimationFrame(animation.frame);
+          apply(1);
+          this.layoutAnimation = null;
+          this.render();
+          resolve();
+        }
+      };
+
+      const step = () => {
+        const progress = Math.min(1, (Date.now() - start) / duration);
+        if (progress >= 1) {
+          animation.complete();
+          return;
+        }
+        apply(1 - Math.pow(1 - progress, 3));
+        this.render();
+        animation.frame = requestAnimationFrame(step);
+      };
+
+      this.layoutAnimation = animation;
+      step();
+    });
+  }
+
+  // ============================================================================
+  // Clipboard
+  // ============================================================================
+
+  // Serialize the selected nodes, the connections between them and the selected
+  // areas, using the same shape as exportToJSON()
+  serializeSelection() {
+    const nodes = this.getSelectedNodes();
+    const areas = this.getSelection().filter(item => item instanceof Area);
+    const connections = this.connections.filter(conn =>
+      nodes.includes(conn.fromNode) && nodes.includes(conn.toNode)
+    );
+
+    return {
+      format: CLIPBOARD_FORMAT,
+      nodes: nodes.map(node => node.toJSON()),
+      connections: connections.map(conn => conn.toJSON()),
+      areas: areas.map(area => area.toJSON())
+    };
+  }
+
+  parseClipboardData(text) {
+    try {
+      const data = JSON.parse(text);
+      if (data && data.format === CLIPBOARD_FORMAT && Array.isArray(data.nodes)) {
+        return data;
+      }
+    } catch (e) {
+      // Not ours
+    }
+    return null;
+  }
+
+  copySelection(options = {}) {
+    const data = this.serializeSelection();
+    if (data.nodes.length === 0 && data.areas.length === 0) return null;
+
+    this.clipboard = data;
+    this.pasteCount = 0;
+
+    // Mirror to the system clipboard so other canvases and tabs can paste it
+    if (options.system !== false && typeof navigator !== 'undefined' &&
+        navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(JSON.stringify(data)).catch(() => {
+        // Permission denied or insecure context - the internal clipboard still works
+      });
+    }
+
+    this.emit('clipboard:copy', { data });
+    return data;
+  }
+
+  cutSelection(options = {}) {
+    const data = this.copySelection(options);
+    if (data) {
+      this.deleteSelection();
+      this.emit('clipboard:cut', { data });
+    }
+    return data;
+  }
+
+  async pasteFromSystemClipboard(options = {}) {
+    let data = null;
+    if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.readText) {
+      try {
+        data = this.parseClipboardData(await navigator.clipboard.readText());
+      } catch (e) {
+        // Reading requires permission - fall back to the internal clipboard
+      }
+    }
+    return this.paste(data || this.clipboard, options);
+  }
+
+  // Paste clipboard data with fresh ids. Items are dropped centred on
+  // options.position, shifted by options.offset, or stepped 20px per paste.
+  paste(data = this.clipboard, options = {}) {
+    if (typeof data === 'string') data = this.parseClipboardData(data);
+    if (!data || this.options.mode !== 'edit') return [];
+
+    const offset = this.getPasteOffset(data, options);
+    const nodeMap = {};
+
+    const nodes = data.nodes.map(nodeData => {
+      const node = Node.fromJSON({
+        ...nodeData,
+        id: this.createId('node'),
+        x: nodeData.x + offset.x,
+        y: nodeData.y + offset.y
+      });
+      nodeMap[nodeData.id] = node;
+      return node;
+    });
+
+    const connections = (data.connections || [])
+      .filter(connData => nodeMap[connData.fromNodeId] && nodeMap[connData.toNodeId])
+      .map(connData => Connection.fromJSON(
+        {
+          ...connData,
+          id: this.createId('conn'),
+          waypoints: (connData.waypoints || []).map(point => ({
+            x: point.x + offset.x,
+            y: point.y + offset.y
+          }))
+        },
+        nodeMap[connData.fromNodeId],
+        nodeMap[connData.toNodeId]
+      ));
+
+    const areas = (data.areas || []).map(areaData => Area.fromJSON({
+      ...areaData,
+      id: this.createId('area'),
+      x1: areaData.x1 + offset.x,
+      y1: areaData.y1 + offset.y,
+      x2: areaData.x2 + offset.x,
+      y2: areaData.y2 + offset.y
+    }));
+
+    this.nodes.push(...nodes);
+    this.connections.push(...connections);
+    this.areas.push(...areas);
+
+    nodes.forEach(node => this.emit('node:added', { node }));
+    connections.forEach(connection => this.emit('connection:created', { connection }));
+    areas.forEach(area => this.emit('area:added', { area }));
+
+    const items = [...nodes, ...connections, ...areas];
+    this.setSelection(items);
+    this.emit('clipboard:paste', { items });
+    this.saveState('Paste', items);
     this.render();
-    return node;
+    return items;
+  }
+
+  duplicateSelection() {
+    const data = this.serializeSelection();
+    if (data.nodes.length === 0 && data.areas.length === 0) return [];
+    return this.paste(data, { offset: { x: 20, y: 20 } });
+  }
+
+  getPasteOffset(data, options) {
+    if (options.offset) return options.offset;
+
+    if (options.position) {
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      data.nodes.forEach(node => {
+        minX = Math.min(minX, node.x - node.width / 2);
+        minY = Math.min(minY, node.y - node.height / 2);
+        maxX = Math.max(maxX, node.x + node.width / 2);
+        maxY = Math.max(maxY, node.y + node.height / 2);
+      });
+      (data.areas || []).forEach(area => {
+        minX = Math.min(minX, area.x1);
+        minY = Math.min(minY, area.y1);
+        maxX = Math.max(maxX, area.x2);
+        maxY = Math.max(maxY, area.y2);
+      });
+      return {
+        x: options.position.x - (minX + maxX) / 2,
+        y: options.position.y - (minY + maxY) / 2
+      };
+    }
+
+    this.pasteCount = (this.pasteCount || 0) + 1;
+    return { x: 20 * this.pasteCount, y: 20 * this.pasteCount };
   }
 
   startAreaMarking() {
     this.markingArea = true;
     this.areaStart = null;
     this.areaEnd = null;
-    this.selectedNode = null;
-    this.selectedConnection = null;
-    this.selectedArea = null;
+    this.select(null);
     this.canvas.style.cursor = 'crosshair';
     this.render();
   }
@@ -666,120 +2580,139 @@ class FlowchartCanvas {
     this.nodeSettingsDialog.show(node, cursorX, cursorY);
   }
 
-  saveState() {
-    const state = {
-      nodes: this.nodes.map(node => ({
-        id: node.id,
-        type: node.type,
-        x: node.x,
-        y: node.y,
-        text: node.text,
-        width: node.width,
-        height: node.height,
-        link: node.link,
-        fillColor: node.fillColor,
-        fontColor: node.fontColor,
-        fontSize: node.fontSize,
-        outlineColor: node.outlineColor,
-        outlineWidth: node.outlineWidth
-      })),
-      connections: this.connections.map(conn => ({
-        id: conn.id,
-        fromNodeId: conn.fromNode.id,
-        fromPort: conn.fromPort,
-        toNodeId: conn.toNode.id,
-        toPort: conn.toPort
-      })),
-      areas: this.areas.map(area => ({
-        id: area.id,
-        x1: area.x1,
-        y1: area.y1,
-        x2: area.x2,
-        y2: area.y2,
-        title: area.title,
-        fillColor: area.fillColor,
-        outlineColor: area.outlineColor,
-        titleBgColor: area.titleBgColor
-      }))
-    };
+  openConnectionSettings(connection, cursorX, cursorY) {
+    this.connectionSettingsDialog.show(connection, cursorX, cursorY);
+  }
 
-    this.history = this.history.slice(0, this.historyIndex + 1);
-    this.history.push(JSON.stringify(state));
-    this.historyIndex++;
+  // Record an edit in the undo history. `items` are the nodes, connections
+  // and areas it added, changed or removed; without them the whole diagram is
+  // compared, which is O(n) and only meant for callers outside the library.
+  saveState(label, items) {
+    this.commitHistory(this.history.record(label, items));
+  }
 
-    if (this.history.length > 50) {
-      this.history.shift();
-      this.historyIndex--;
+  // Run several edits and record them as a single undo step. Returns what
+  // `fn` returns; `fn` must make its changes synchronously.
+  transaction(fn, label) {
+    this.history.begin(label);
+    try {
+      return fn();
+    } finally {
+      this.commitHistory(this.history.end());
     }
   }
 
+  commitHistory(command) {
+    if (!command) return;
+    this.emit('history:changed', this.getHistory());
+    this.emitChange('edit', command.changes);
+  }
+
+  // Tell listeners the diagram changed; autosave and drafts follow from here.
+  // `changes` ({ kind, id } each) narrows down what collaborators are sent.
+  emitChange(source, changes) {
+    this.emit('change', { source });
+    this.markDirty();
+    if (this.collaboration) this.collaboration.captureLocalChanges(changes);
+  }
+
   undo() {
-    if (this.historyIndex > 0) {
-      this.historyIndex--;
-      this.restoreState(this.history[this.historyIndex]);
-    }
+    const command = this.history.undo();
+    if (command) this.afterHistoryStep(command, 'undo');
   }
 
   redo() {
-    if (this.historyIndex < this.history.length - 1) {
-      this.historyIndex++;
-      this.restoreState(this.history[this.historyIndex]);
-    }
+    const command = this.history.redo();
+    if (command) this.afterHistoryStep(command, 'redo');
   }
 
-  restoreState(stateStr) {
-    const state = JSON.parse(stateStr);
-    
-    this.nodes = state.nodes.map(nodeData => {
-      const node = new Node(nodeData.id, nodeData.type, nodeData.x, nodeData.y, nodeData.text);
-      node.width = nodeData.width;
-      node.height = nodeData.height;
-      node.link = nodeData.link || '';
-      node.fillColor = nodeData.fillColor || '#FFFFFF';
-      node.fontColor = nodeData.fontColor || '#000000';
-      node.fontSize = nodeData.fontSize || 14;
-      node.outlineColor = nodeData.outlineColor || '#000000';
-      node.outlineWidth = nodeData.outlineWidth || 2;
-      return node;
-    });
+  // Select what the step touched, so the user sees what changed
+  afterHistoryStep(command, source) {
+    this.setSelection(command.changes.map(({ kind, id }) => this.findItem(kind, id)).filter(Boolean));
+    this.emit(`history:${source}`, { index: this.history.index, label: command.label });
+    this.emit('history:changed', this.getHistory());
+    this.emitChange(source, command.changes);
+    this.render();
+  }
 
-    this.connections = state.connections.map(connData => {
-      const fromNode = this.nodes.find(n => n.id === connData.fromNodeId);
-      const toNode = this.nodes.find(n => n.id === connData.toNodeId);
-      return new Connection(connData.id, fromNode, connData.fromPort, toNode, connData.toPort);
-    });
+  canUndo() {
+    return this.history.canUndo();
+  }
 
-    this.areas = (state.areas || []).map(areaData => {
-      const area = new Area(areaData.id, areaData.x1, areaData.y1, areaData.x2, areaData.y2, areaData.title);
-      area.fillColor = areaData.fillColor || 'rgba(33, 150, 243, 0.1)';
-      area.outlineColor = areaData.outlineColor || '#2196F3';
-      area.titleBgColor = areaData.titleBgColor || '#2196F3';
-      return area;
-    });
+  canRedo() {
+    return this.history.canRedo();
+  }
 
-    this.selectedNode = null;
-    this.selectedConnection = null;
-    this.selectedArea = null;
-    this.render();
+  // The undo stack for a history panel: { index, entries: [{ label, time, changes }] },
+  // oldest first; `index` is the last entry applied, -1 when all are undone
+  getHistory() {
+    return this.history.list();
+  }
+
+  // Keep at most `size` undo steps (Infinity: no limit)
+  setHistorySize(size) {
+    this.options.historySize = size;
+    this.history.setLimit(size);
+    this.emit('history:changed', this.getHistory());
+  }
+
+  getItems(kind) {
+    if (kind === 'node') return this.nodes;
+    if (kind === 'connection') return this.connections;
+    return this.areas;
+  }
+
+  findItem(kind, id) {
+    return this.getItems(kind).find(item => item.id === id) || null;
+  }
+
+  // Create, update or (with null) remove one item from its toJSON() form.
+  // Existing items are updated in place, so the selection and any drag in
+  // progress keep their object. A connection missing an end is removed.
+  applyItemState(kind, id, data) {
+    const collection = this.getItems(kind);
+    const index = collection.findIndex(item => item.id === id);
+    const existing = index === -1 ? null : collection[index];
+
+    let fresh = null;
+    if (data && kind === 'node') fresh = Node.fromJSON(data);
+    else if (data && kind === 'area') fresh = Area.fromJSON(data);
+    else if (data) {
+      const fromNode = this.getNodeById(data.fromNodeId);
+      const toNode = this.getNodeById(data.toNodeId);
+      if (fromNode && toNode) fresh = Connection.fromJSON(data, fromNode, toNode);
+    }
+
+    if (!fresh) {
+      if (existing) {
+        collection.splice(index, 1);
+        this.removeFromSelection(existing);
+      }
+    } else if (!existing) {
+      collection.push(fresh);
+    } else {
+      Object.keys(fresh).forEach(name => {
+        existing[name] = fresh[name];
+      });
+    }
   }
 
   clear() {
     this.nodes = [];
     this.connections = [];
     this.areas = [];
-    this.selectedNode = null;
-    this.selectedConnection = null;
-    this.selectedArea = null;
-    this.history = [];
-    this.historyIndex = -1;
+    this.select(null);
+    this.history.reset();
     this.nodeIdCounter = 1;
     this.connectionIdCounter = 1;
     this.areaIdCounter = 1;
+    this.emit('diagram:cleared');
+    this.emitChange('clear');
     this.render();
   }
 
-  drawGrid() {
-    const gridSize = 20; // Grid spacing
+  drawGrid(ctx) {
+    const gridSize = this.options.gridSize;
     const width = this.canvas.width / this.options.pixelRatio / this.zoom;
     const height = this.canvas.height / this.options.pixelRatio / this.zoom;
     
@@ -789,44 +2722,104 @@ class FlowchartCanvas {
     const endX = startX + width + gridSize;
     const endY = startY + height + gridSize;
 
-    this.ctx.strokeStyle = '#e0e0e0';
-    this.ctx.lineWidth = 0.5;
-    this.ctx.beginPath();
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.lineWidth = 0.5;
+    ctx.beginPath();
 
     // Draw vertical lines
     for (let x = startX; x < endX; x += gridSize) {
-      this.ctx.moveTo(x, startY);
-      this.ctx.lineTo(x, endY);
+      ctx.moveTo(x, startY);
+      ctx.lineTo(x, endY);
     }
 
     // Draw horizontal lines
     for (let y = startY; y < endY; y += gridSize) {
-      this.ctx.moveTo(startX, y);
-      this.ctx.lineTo(endX, y);
+      ctx.moveTo(startX, y);
+      ctx.lineTo(endX, y);
     }
 
-    this.ctx.stroke();
+    ctx.stroke();
   }
 
+  // Redraw everything on the next animation frame. Calls made in between are
+  // merged into one redraw, so handlers can call this freely.
   render() {
+    this.sceneChanged = true;
+    this.indexStale = true;
+    this.requestFrame();
+  }
+
+  // Redraw after a pointer move that only changed the items being dragged,
+  // resized or edited, or an overlay; everything else comes from the cache
+  renderInteraction() {
+    this.requestFrame();
+  }
+
+  requestFrame() {
+    if (this.frameRequest) return;
+    if (typeof requestAnimationFrame === 'undefined') {
+      this.renderFrame();
+      return;
+    }
+    this.frameRequest = requestAnimationFrame(() => {
+      this.frameRequest = null;
+      this.renderFrame();
+    });
+  }
+
+  // The frame is composed of cached layers, each the size of the canvas:
+  //   grid  - redrawn when the view changes
+  //   below - areas
+  //   above - connections and nodes
+  // Items that change with every move of the current gesture (see
+  // getLiveItems) are left out of the layers and drawn fresh on top of them,
+  // so dragging a few nodes does not redraw the rest of a large diagram.
+  // Items outside the view are skipped.
+  renderFrame() {
     const width = this.canvas.width / this.options.pixelRatio;
     const height = this.canvas.height / this.options.pixelRatio;
+    const view = this.getViewport().bounds;
+    const viewKey = [this.zoom, this.panOffset.x, this.panOffset.y, this.canvas.width, this.canvas.height].join(',');
+
+    this.updateRoutes();
+    const live = this.getLiveItems();
+
+    if (!this.layers) {
+      this.layers = { grid: this.createLayer(), below: this.createLayer(), above: this.createLayer() };
+    }
+    const { grid, below, above } = this.layers;
+
+    if (grid.key !== viewKey) {
+      this.paintLayer(grid, ctx => this.drawGrid(ctx));
+      grid.key = viewKey;
+    }
+
+    const sameLive = below.live && below.live.size === live.size && [...live].every(item => below.live.has(item));
+    if (this.sceneChanged || below.key !== viewKey || !sameLive) {
+      const cached = this.queryRect({
+        x: view.x - CULL_MARGIN,
+        y: view.y - CULL_MARGIN,
+        width: view.width + CULL_MARGIN * 2,
+        height: view.height + CULL_MARGIN * 2
+      }).filter(item => !live.has(item));
+      this.paintLayer(below, ctx => this.drawItems(ctx, cached.filter(item => item instanceof Area)));
+      this.paintLayer(above, ctx => this.drawItems(ctx, cached.filter(item => !(item instanceof Area))));
+      below.key = viewKey;
+      below.live = live;
+      this.sceneChanged = false;
+    }
 
     this.ctx.clearRect(0, 0, width, height);
     this.ctx.fillStyle = '#ffffff';
     this.ctx.fillRect(0, 0, width, height);
+    this.ctx.drawImage(grid.canvas, 0, 0, width, height);
+    this.ctx.drawImage(below.canvas, 0, 0, width, height);
 
     this.ctx.save();
     this.ctx.translate(this.panOffset.x, this.panOffset.y);
     this.ctx.scale(this.zoom, this.zoom);
 
-    // Draw grid lines
-    this.drawGrid();
-
-    // Draw areas first (behind everything)
-    this.areas.forEach(area => {
-      area.draw(this.ctx, area === this.selectedArea);
-    });
+    this.drawItems(this.ctx, this.areas.filter(area => live.has(area)));
 
     // Draw area marking preview
     if (this.markingArea && this.areaStart && this.areaEnd) {
@@ -845,13 +2838,36 @@ class FlowchartCanvas {
       this.ctx.setLineDash([]);
     }
 
-    this.connections.forEach(conn => {
-      conn.draw(this.ctx, conn === this.selectedConnection);
-    });
+    this.ctx.restore();
+    this.ctx.drawImage(above.canvas, 0, 0, width, height);
 
-    this.nodes.forEach(node => {
-      node.draw(this.ctx, node === this.selectedNode);
-    });
+    this.ctx.save();
+    this.ctx.translate(this.panOffset.x, this.panOffset.y);
+    this.ctx.scale(this.zoom, this.zoom);
+
+    this.drawItems(this.ctx, [
+      ...this.connections.filter(conn => live.has(conn)),
+      ...this.nodes.filter(node => live.has(node))
+    ]);
+
+    if (this.guides) {
+      this.drawGuides();
+    }
+
+    if (this.collaboration) {
+      this.collaboration.draw(this.ctx);
+    }
+
+    if (this.marquee) {
+      const { start, end } = this.marquee;
+      this.ctx.fillStyle = 'rgba(33, 150, 243, 0.08)';
+      this.ctx.fillRect(start.x, start.y, end.x - start.x, end.y - start.y);
+      this.ctx.strokeStyle = '#2196F3';
+      this.ctx.lineWidth = 1 / this.zoom;
+      this.ctx.setLineDash([4 / this.zoom, 4 / this.zoom]);
+      this.ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+      this.ctx.setLineDash([]);
+    }
 
     if (this.connectingFrom && this.connectingTo) {
       this.ctx.strokeStyle = '#2196F3';
@@ -871,116 +2887,643 @@ class FlowchartCanvas {
     }
 
     this.ctx.restore();
+
+    if (this.minimap) this.minimap.scheduleDraw();
   }
 
-  exportToJSON() {
-    const data = {
-      nodes: this.nodes.map(node => ({
-        id: node.id,
-        type: node.type,
-        x: node.x,
-        y: node.y,
-        text: node.text,
-        width: node.width,
-        height: node.height,
-        link: node.link,
-        fillColor: node.fillColor,
-        fontColor: node.fontColor,
-        fontSize: node.fontSize,
-        outlineColor: node.outlineColor,
-        outlineWidth: node.outlineWidth
-      })),
-      connections: this.connections.map(conn => ({
-        id: conn.id,
-        fromNodeId: conn.fromNode.id,
-        fromPort: conn.fromPort,
-        toNodeId: conn.toNode.id,
-        toPort: conn.toPort
-      })),
-      areas: this.areas.map(area => ({
-        id: area.id,
-        x1: area.x1,
-        y1: area.y1,
-        x2: area.x2,
-        y2: area.y2,
-        title: area.title,
-        fillColor: area.fillColor,
-        outlineColor: area.outlineColor,
-        titleBgColor: area.titleBgColor
-      }))
-    };
-    return JSON.stringify(data, null, 2);
+  createLayer() {
+    const canvas = document.createElement('canvas');
+    return { canvas, ctx: canvas.getContext('2d'), key: null, live: null };
   }
 
-  importFromJSON(jsonStr) {
-    const data = JSON.parse(jsonStr);
-    
-    this.nodes = data.nodes.map(nodeData => {
-      const node = new Node(nodeData.id, nodeData.type, nodeData.x, nodeData.y, nodeData.text);
-      node.width = nodeData.width;
-      node.height = nodeData.height;
-      node.link = nodeData.link || '';
-      node.fillColor = nodeData.fillColor || '#FFFFFF';
-      node.fontColor = nodeData.fontColor || '#000000';
-      node.fontSize = nodeData.fontSize || 14;
-      node.outlineColor = nodeData.outlineColor || '#000000';
-      node.outlineWidth = nodeData.outlineWidth || 2;
-      return node;
+  // Clear a layer and draw into it in world coordinates
+  paintLayer(layer, draw) {
+    const { canvas, ctx } = layer;
+    if (canvas.width !== this.canvas.width || canvas.height !== this.canvas.height) {
+      canvas.width = this.canvas.width;
+      canvas.height = this.canvas.height;
+    }
+    const scale = this.options.pixelRatio * this.zoom;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(scale, 0, 0, scale,
+      this.panOffset.x * this.options.pixelRatio, this.panOffset.y * this.options.pixelRatio);
+    draw(ctx);
+  }
+
+  drawItems(ctx, items) {
+    const showPorts = this.showsPorts();
+    items.forEach(item => {
+      if (item instanceof Area) {
+        item.draw(ctx, this.isSelected(item), item === this.selectedArea);
+      } else if (item instanceof Node) {
+        item.draw(ctx, this.isSelected(item), item === this.selectedNode, showPorts);
+      } else {
+        item.draw(ctx, this.isSelected(item));
+        // Label size is only known once drawn
+        if (item.label && this.spatialIndex.has(item)) {
+          this.spatialIndex.set(item, item.getBounds());
+        }
+      }
     });
+  }
+
+  // Items the current gesture changes on every pointer move: what is being
+  // dragged or resized, a connection whose bend or label is being moved, and
+  // the connections of moving nodes
+  getLiveItems() {
+    const live = new Set();
+    if (this.draggingNode || this.draggingArea) {
+      this.dragItems.forEach(({ item }) => live.add(item));
+      this.dragWaypoints.forEach(({ connection }) => live.add(connection));
+    } else if (this.resizingNode) {
+      live.add(this.resizingNode);
+    } else if (this.resizingArea) {
+      live.add(this.resizingArea);
+    } else if (this.draggingWaypoint) {
+      live.add(this.draggingWaypoint.connection);
+    } else if (this.draggingLabel) {
+      live.add(this.draggingLabel.connection);
+    }
+
+    if (live.size > 0) {
+      this.connections.forEach(conn => {
+        if (live.has(conn.fromNode) || live.has(conn.toNode)) live.add(conn);
+      });
+    }
+    return live;
+  }
+
+  // Connection points are hidden, and cannot be grabbed, when zoomed out too
+  // far to aim at them
+  showsPorts() {
+    return this.zoom >= PORT_MIN_ZOOM;
+  }
+
+  // ============================================================================
+  // Serialization
+  // ============================================================================
+
+  serializeState() {
+    return {
+      version: DiagramSchema.version,
+      nodes: this.nodes.map(node => node.toJSON()),
+      connections: this.connections.map(conn => conn.toJSON()),
+      areas: this.areas.map(area => area.toJSON())
+    };
+  }
 
+  loadState(data) {
+    this.nodes = data.nodes.map(nodeData => Node.fromJSON(nodeData));
+
+    // A connection without both of its nodes cannot be drawn
     this.connections = data.connections.map(connData => {
       const fromNode = this.nodes.find(n => n.id === connData.fromNodeId);
       const toNode = this.nodes.find(n => n.id === connData.toNodeId);
-      return new Connection(connData.id, fromNode, connData.fromPort, toNode, connData.toPort);
+      return fromNode && toNode ? Connection.fromJSON(connData, fromNode, toNode) : null;
+    }).filter(Boolean);
+
+    this.areas = (data.areas || []).map(areaData => Area.fromJSON(areaData));
+  }
+
+  // Re-route connections that need it. The router caches results and only
+  // recomputes paths near nodes that moved, so this is cheap while dragging.
+  // A route that changes outside the current gesture invalidates the cached
+  // layers and the spatial index.
+  updateRoutes() {
+    if (this.options.routing !== 'orthogonal') {
+      this.connections.forEach(conn => { conn.route = null; });
+      return;
+    }
+    const unfinished = this.router.update(
+      this.nodes,
+      this.areas,
+      this.connections.filter(conn =>
+        conn.pathStyle === 'orthogonal' && conn.waypoints.length === 0 && conn.fromNode && conn.toNode
+      )
+    );
+
+    if (this.router.changed.size > 0) {
+      const live = this.getLiveItems();
+      if ([...this.router.changed].some(conn => !live.has(conn))) {
+        this.sceneChanged = true;
+        this.indexStale = true;
+      }
+    }
+
+    // Finish deferred re-routing over the next frames
+    if (unfinished && !this.routeRefreshScheduled) {
+      if (typeof requestAnimationFrame === 'undefined') {
+        // No frames to spread it over: finish it now
+        this.updateRoutes();
+        return;
+      }
+      this.routeRefreshScheduled = true;
+      requestAnimationFrame(() => {
+        this.routeRefreshScheduled = false;
+        this.requestFrame();
+      });
+    }
+  }
+
+  exportToJSON() {
+    return JSON.stringify(this.serializeState(), null, 2);
+  }
+
+  // Check a document (JSON string or parsed object) against the current
+  // schema, after migrating it from older versions.
+  // Returns { valid, errors: [{ path, code, message }] }.
+  static validate(json) {
+    return DiagramSchema.validate(json);
+  }
+
+  // Replace the diagram with an exported JSON document (string or parsed
+  // object). Older versions are migrated first. Invalid items and connections
+  // to missing nodes are skipped and returned as errors, as from validate();
+  // with options.strict any error throws instead. Throws when the document as
+  // a whole cannot be read.
+  importFromJSON(json, options = {}) {
+    const { data, errors } = DiagramSchema.load(json);
+    if (!data || (options.strict && errors.length > 0)) {
+      const [first] = errors;
+      const error = new Error(`Cannot import diagram: ${first.path ? `${first.path}: ` : ''}${first.message}`);
+      error.errors = errors;
+      throw error;
+    }
+    const replaced = [...this.nodes, ...this.connections, ...this.areas];
+    this.loadState(data);
+    this.resetIdCounters();
+
+    this.select(null);
+    this.emit('diagram:loaded', { nodes: this.nodes, connections: this.connections, areas: this.areas });
+    // The items replaced and the ones loaded are all the import touched
+    this.saveState('Import', [...replaced, ...this.nodes, ...this.connections, ...this.areas]);
+    this.render();
+    return errors;
+  }
+
+  // Continue numbering new items after the highest id loaded. Only ids in
+  // our own `node_12` (or collaborative `node_12_client`) form count; others
+  // (e.g. `node-0`) cannot clash.
+  resetIdCounters() {
+    const highest = (items, prefix) => Math.max(0, ...items.map(item => {
+      const match = new RegExp(`^${prefix}_(\\d+)(?:_\\w+)?$`).exec(item.id);
+      return match ? parseInt(match[1], 10) : 0;
+    }));
+    this.nodeIdCounter = highest(this.nodes, 'node') + 1;
+    this.connectionIdCounter = highest(this.connections, 'conn') + 1;
+    this.areaIdCounter = highest(this.areas, 'area') + 1;
+  }
+
+  // Mermaid flowchart text for the diagram. Areas become subgraphs; the
+  // direction is guessed from the connections unless given ('TB' or 'LR').
+  exportToMermaid(options = {}) {
+    return MermaidFormat.stringify(this, options);
+  }
+
+  // Replace the diagram with a Mermaid flowchart. Mermaid has no coordinates,
+  // so nodes are placed with the automatic layout and subgraphs become areas
+  // around their nodes. Throws an Error naming the line on bad syntax.
+  importFromMermaid(text, options = {}) {
+    const diagram = MermaidFormat.parse(text);
+    const direction = options.direction || diagram.direction;
+
+    const replaced = [...this.nodes, ...this.connections, ...this.areas];
+    this.nodes = [];
+    this.connections = [];
+    this.areas = [];
+    this.connectionIdCounter = 1;
+
+    const incoming = new Set(diagram.edges.map(edge => edge.to));
+    const outgoing = new Set(diagram.edges.map(edge => edge.from));
+    const nodeById = new Map();
+    diagram.nodes.forEach(spec => {
+      // Terminators at the ends of the flow read as start and end
+      let type = spec.type;
+      if (type === 'terminator' && !incoming.has(spec.id) && outgoing.has(spec.id)) type = 'start';
+      else if (type === 'terminator' && incoming.has(spec.id) && !outgoing.has(spec.id)) type = 'end';
+
+      const node = new Node(spec.id, type, 0, 0, spec.text);
+      const { style } = spec;
+      node.updateSettings({
+        link: spec.link || undefined,
+        fillColor: style.fill,
+        outlineColor: style.stroke,
+        outlineWidth: style['stroke-width'] ? parseInt(style['stroke-width'], 10) : undefined,
+        fontColor: style.color
+      });
+      this.fitNodeToText(node);
+      nodeById.set(spec.id, node);
+      this.nodes.push(node);
+    });
+
+    diagram.edges.forEach(edge => {
+      const connection = new Connection(
+        this.createId('conn'),
+        nodeById.get(edge.from), 'bottom',
+        nodeById.get(edge.to), 'top'
+      );
+      connection.updateSettings({
+        label: edge.label,
+        lineStyle: edge.lineStyle,
+        strokeWidth: edge.style['stroke-width'] ? parseInt(edge.style['stroke-width'], 10) : (edge.thick ? 4 : undefined),
+        strokeColor: edge.style.stroke,
+        startMarker: edge.startMarker,
+        endMarker: edge.endMarker
+      });
+      this.connections.push(connection);
+    });
+
+    // Each node is grouped with its innermost subgraph
+    const areaById = new Map();
+    const groups = new Map();
+    diagram.subgraphs.forEach(subgraph => {
+      const area = new Area(subgraph.id, 0, 0, 200, 100, subgraph.title);
+      areaById.set(subgraph.id, area);
+      this.areas.push(area);
+      subgraph.nodes.forEach(id => groups.set(nodeById.get(id), area));
     });
 
-    this.areas = (data.areas || []).map(areaData => {
-      const area = new Area(areaData.id, areaData.x1, areaData.y1, areaData.x2, areaData.y2, areaData.title);
-      area.fillColor = areaData.fillColor || 'rgba(33, 150, 243, 0.1)';
-      area.outlineColor = areaData.outlineColor || '#2196F3';
-      area.titleBgColor = areaData.titleBgColor || '#2196F3';
-      return area;
+    // Start from a common top-left corner, which the layout keeps
+    this.nodes.forEach(node => {
+      node.x = 100 + node.width / 2;
+      node.y = 100 + node.height / 2;
+    });
+    this.arrangeNodes(this.nodes, groups, {
+      rankSpacing: this.areas.length > 0 ? 100 : 60,
+      groupSpacing: 60,
+      ...options,
+      direction
     });
 
-    this.nodeIdCounter = Math.max(...this.nodes.map(n => parseInt(n.id.split('_')[1]) || 0), 0) + 1;
-    this.connectionIdCounter = Math.max(...this.connections.map(c => parseInt(c.id.split('_')[1]) || 0), 0) + 1;
-    this.areaIdCounter = Math.max(...this.areas.map(a => parseInt(a.id.split('_')[1]) || 0), 0) + 1;
+    // Wrap outer subgraphs around their children, innermost first
+    const padding = 20;
+    [...diagram.subgraphs].reverse().forEach(subgraph => {
+      const area = areaById.get(subgraph.id);
+      const boxes = subgraph.nodes.map(id => nodeById.get(id).getBounds());
+      diagram.subgraphs.filter(child => child.parent === subgraph.id).forEach(child => {
+        const inner = areaById.get(child.id);
+        boxes.push({ x: inner.x1, y: inner.y1 - 30, width: inner.width, height: inner.height + 30 });
+      });
+      if (boxes.length === 0) return;
+      area.x1 = Math.min(...boxes.map(box => box.x)) - padding;
+      area.y1 = Math.min(...boxes.map(box => box.y)) - padding;
+      area.x2 = Math.max(...boxes.map(box => box.x + box.width)) + padding;
+      area.y2 = Math.max(...boxes.map(box => box.y + box.height)) + padding;
+    });
 
-    this.saveState();
+    this.resetIdCounters();
+    this.select(null);
+    this.emit('diagram:loaded', { nodes: this.nodes, connections: this.connections, areas: this.areas });
+    this.saveState('Import', [...replaced, ...this.nodes, ...this.connections, ...this.areas]);
     this.render();
   }
 
-  exportToPNG() {
-    const tempCanvas = document.createElement('canvas');
-    const tempCtx = tempCanvas.getContext('2d');
+  // Uncompressed draw.io (.drawio) file for the diagram. Areas become
+  // swimlanes; nodes and connections keep their ids, styles and waypoints.
+  exportToDrawio() {
+    return DrawioFormat.stringify(this);
+  }
 
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  // Replace the diagram with a draw.io / diagrams.net file, plain or
+  // compressed. Resolves once loaded; rejects on files it cannot read.
+  // `options.page` picks a page of a multi-page file by index or name.
+  async importFromDrawio(xml, options = {}) {
+    const { errors, ...data } = await DrawioFormat.parse(xml, options);
+    const replaced = [...this.nodes, ...this.connections, ...this.areas];
+    this.loadState(data);
+    this.resetIdCounters();
+
+    this.select(null);
+    this.emit('diagram:loaded', { nodes: this.nodes, connections: this.connections, areas: this.areas });
+    this.saveState('Import', [...replaced, ...this.nodes, ...this.connections, ...this.areas]);
+    this.render();
+    return errors;
+  }
+
+  // Grow a node so its text fits, in steps of 10px
+  fitNodeToText(node) {
+    const lines = node.text.split('\n');
+    this.ctx.font = `${node.fontSize}px Arial`;
+    const textWidth = Math.max(...lines.map(line => this.ctx.measureText(line).width));
+    const textHeight = lines.length * node.fontSize * 1.2;
+    // Diamonds and other slanted shapes only have room in the middle
+    const room = node.type === 'decision' || node.type === 'preparation' ? 1.6 : 1;
+    node.width = Math.max(node.width, Math.ceil((textWidth * room + 30) / 10) * 10);
+    node.height = Math.max(node.height, Math.ceil((textHeight * room + 20) / 10) * 10);
+  }
+
+  // ============================================================================
+  // Storage
+  // ============================================================================
+
+  setupStorage() {
+    this.storage = this.options.storage || null;
+    this.documentId = this.options.documentId || null; // Set by options.documentId or load(id)
+    this.revision = null; // Revision of the stored copy we last loaded or saved; null: none yet
+    this.dirty = false;
+    this.changeCount = 0;
+    this.saving = null;
+    this.autosaveTimer = null;
+    this.draftTimer = null;
+
+    // Unsaved changes are kept as a draft in localStorage so they survive a
+    // crash. On with a storage adapter unless drafts: false, otherwise only
+    // with drafts: true.
+    this.draftStorage = null;
+    if (this.options.drafts === true || (this.storage && this.options.drafts !== false)) {
+      try {
+        this.draftStorage = this.options.draftStorage || new LocalStorageAdapter({ prefix: 'flowchart-draft:' });
+      } catch (e) {
+        // localStorage is blocked (e.g. sandboxed iframe) - no drafts
+      }
+    }
+    this.boundPageHideHandler = () => {
+      if (this.draftTimer) this.writeDraft();
+    };
+    window.addEventListener('pagehide', this.boundPageHideHandler);
+
+    this.setAutosave(this.options.autosave);
+  }
+
+  // Save automatically this many milliseconds after the last change
+  // (true: 1000); 0 or false turns autosave off
+  setAutosave(delay) {
+    this.autosaveDelay = delay === true ? 1000 : Math.max(0, Number(delay) || 0);
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    if (this.dirty) this.scheduleAutosave();
+  }
+
+  // True when there are changes that have not been saved to storage
+  isDirty() {
+    return this.dirty;
+  }
+
+  setDirty(dirty) {
+    if (this.dirty === dirty) return;
+    this.dirty = dirty;
+    this.emit('storage:dirty', { dirty });
+  }
+
+  markDirty() {
+    this.changeCount++;
+    this.setDirty(true);
+
+    if (this.draftStorage && this.documentId) {
+      clearTimeout(this.draftTimer);
+      this.draftTimer = setTimeout(() => this.writeDraft(), this.options.draftDelay || 500);
+    }
+    this.scheduleAutosave();
+  }
+
+  // The diagram matches the stored copy: drop pending drafts and autosaves
+  markClean() {
+    clearTimeout(this.draftTimer);
+    clearTimeout(this.autosaveTimer);
+    this.draftTimer = null;
+    this.autosaveTimer = null;
+    this.setDirty(false);
+  }
+
+  scheduleAutosave() {
+    if (!this.storage || !this.autosaveDelay) return;
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => {
+      this.autosaveTimer = null;
+      // Failures are reported through storage:error and storage:conflict
+      this.save().catch(() => {});
+    }, this.autosaveDelay);
+  }
+
+  // Save to the storage adapter. Refuses, with an Error whose code is
+  // 'conflict', when the stored copy changed since we loaded or last saved it;
+  // options.force overwrites it anyway. Resolves with the new revision.
+  save(options = {}) {
+    if (!this.storage) {
+      return Promise.reject(new Error('No storage adapter: pass options.storage to the canvas'));
+    }
+    if (!this.documentId) {
+      return Promise.reject(new Error('No document id: pass options.documentId or load(id) first'));
+    }
+    // Saves run one after another so each one builds on the last revision
+    const run = Promise.resolve(this.saving)
+      .catch(() => {})
+      .then(() => this.writeToStorage(options));
+    this.saving = run;
+    return run;
+  }
+
+  async writeToStorage(options) {
+    const id = this.documentId;
+    const changeCount = this.changeCount;
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+
+    try {
+      const { revision } = await this.storage.save(id, this.serializeState(), {
+        revision: options.force ? undefined : this.revision
+      });
+      this.revision = revision;
+      // Changes made while saving still need saving
+      if (this.changeCount === changeCount) {
+        this.markClean();
+        this.discardDraft(id).catch(() => {});
+      }
+      this.emit('storage:saved', { id, revision });
+      return revision;
+    } catch (error) {
+      this.emit(error.code === 'conflict' ? 'storage:conflict' : 'storage:error', { id, error });
+      throw error;
+    }
+  }
+
+  // Load a diagram from the storage adapter, replacing the canvas content.
+  // Resolves to false, leaving the canvas as it is, when there is no stored
+  // copy yet; the next save creates it.
+  async load(id = this.documentId) {
+    if (!this.storage) {
+      throw new Error('No storage adapter: pass options.storage to the canvas');
+    }
+    if (!id) {
+      throw new Error('No document id: pass options.documentId or load(id)');
+    }
+
+    let record;
+    try {
+      record = await this.storage.load(id);
+    } catch (error) {
+      this.emit('storage:error', { id, error });
+      throw error;
+    }
+
+    this.documentId = id;
+    if (!record) {
+      this.revision = null;
+      return false;
+    }
 
-    this.areas.forEach(area => {
-      minX = Math.min(minX, area.x1);
-      minY = Math.min(minY, area.y1 - 30);
-      maxX = Math.max(maxX, area.x2);
-      maxY = Math.max(maxY, area.y2);
+    const problems = this.importFromJSON(record.data);
+    this.revision = record.revision;
+    this.markClean();
+    this.emit('storage:loaded', { id, revision: record.revision, problems });
+    return true;
+  }
+
+  listDocuments() {
+    return this.storage ? this.storage.list() : Promise.resolve([]);
+  }
+
+  deleteDocument(id = this.documentId) {
+    return this.storage ? this.storage.delete(id) : Promise.resolve();
+  }
+
+  writeDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+    if (!this.draftStorage || !this.documentId) return;
+
+    this.draftStorage.save(this.documentId, { document: this.serializeState(), revision: this.revision })
+      .catch(error => this.emit('storage:error', { id: this.documentId, error }));
+  }
+
+  // Unsaved changes left behind by an earlier session (e.g. after a crash),
+  // as { data, revision, savedAt }, or null
+  async getDraft(id = this.documentId) {
+    if (!this.draftStorage || !id) return null;
+    const record = await this.draftStorage.load(id);
+    if (!record) return null;
+    return { data: record.data.document, revision: record.data.revision, savedAt: record.updatedAt };
+  }
+
+  // Put a draft back on the canvas. It stays unsaved, and saving it still
+  // checks against the revision the draft was based on.
+  async restoreDraft(id = this.documentId) {
+    const draft = await this.getDraft(id);
+    if (!draft) return false;
+
+    this.documentId = id;
+    this.importFromJSON(draft.data);
+    this.revision = draft.revision;
+    return true;
+  }
+
+  discardDraft(id = this.documentId) {
+    if (id === this.documentId) {
+      clearTimeout(this.draftTimer);
+      this.draftTimer = null;
+    }
+    return this.draftStorage && id ? this.draftStorage.delete(id) : Promise.resolve();
+  }
+
+  // ============================================================================
+  // Collaboration
+  // ============================================================================
+
+  // New item id. While collaborating the client id is appended, so items
+  // added by different people at the same time never share an id.
+  createId(prefix) {
+    const counter = { node: 'nodeIdCounter', conn: 'connectionIdCounter', area: 'areaIdCounter' }[prefix];
+    const suffix = this.collaboration ? `_${this.collaboration.clientId}` : '';
+    return `${prefix}_${this[counter]++}${suffix}`;
+  }
+
+  // Items made before joining have ids like `node_3`, which another client
+  // may have made too. Give them this client's suffix before they are shared,
+  // so they cannot overwrite someone else's item.
+  claimLocalIds(clientId) {
+    const renamed = new Map();
+    [['node', 'node'], ['connection', 'conn'], ['area', 'area']].forEach(([kind, prefix]) => {
+      const local = new RegExp(`^${prefix}_\\d+$`);
+      this.getItems(kind).forEach(item => {
+        if (!local.test(item.id)) return;
+        const id = `${item.id}_${clientId}`;
+        renamed.set(`${kind}:${item.id}`, id);
+        item.id = id;
+      });
     });
+    if (renamed.size === 0) return;
 
-    this.nodes.forEach(node => {
-      minX = Math.min(minX, node.x - node.width / 2);
-      minY = Math.min(minY, node.y - node.height / 2);
-      maxX = Math.max(maxX, node.x + node.width / 2);
-      maxY = Math.max(maxY, node.y + node.height / 2);
+    this.history.renameIds(renamed);
+    this.markDirty();
+  }
+
+  // Edit this diagram together with everyone else on the provider. What is
+  // already on the canvas is shared; what others have is merged in. Options:
+  // user ({ name, color }) for the cursor tag, clientId to reuse an identity.
+  collaborate(provider, options = {}) {
+    if (this.collaboration) this.disconnectCollaboration();
+    this.collaboration = new CollaborationSession(this, provider, options);
+    this.collaboration.start();
+    return this.collaboration;
+  }
+
+  disconnectCollaboration() {
+    if (!this.collaboration) return;
+    this.collaboration.disconnect();
+    this.collaboration = null;
+    this.render();
+  }
+
+  // Other people in the session: [{ clientId, user, cursor, selection }]
+  getCollaborators() {
+    return this.collaboration ? this.collaboration.getPeers() : [];
+  }
+
+  // ============================================================================
+  // Export
+  // ============================================================================
+
+  // Extent of everything drawn, in world coordinates, plus a margin
+  getExportBounds(padding = 50) {
+    const bounds = this.getItemsBounds([...this.areas, ...this.nodes, ...this.connections]) ||
+      { x: 0, y: 0, width: 0, height: 0 };
+    return {
+      x: bounds.x - padding,
+      y: bounds.y - padding,
+      width: bounds.width + padding * 2,
+      height: bounds.height + padding * 2
+    };
+  }
+
+  // Box around nodes, connections and areas (with their title bars) in world
+  // coordinates, or null for no items
+  getItemsBounds(items) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const include = (x1, y1, x2, y2) => {
+      minX = Math.min(minX, x1);
+      minY = Math.min(minY, y1);
+      maxX = Math.max(maxX, x2);
+      maxY = Math.max(maxY, y2);
+    };
+
+    items.forEach(item => {
+      if (item instanceof Area) {
+        include(item.x1, item.y1 - 30, item.x2, item.y2);
+      } else if (item instanceof Node) {
+        include(item.x - item.width / 2, item.y - item.height / 2, item.x + item.width / 2, item.y + item.height / 2);
+      } else {
+        item.getPathPoints().forEach(point => include(point.x, point.y, point.x, point.y));
+      }
     });
 
-    const padding = 50;
-    const width = maxX - minX + padding * 2;
-    const height = maxY - minY + padding * 2;
+    if (minX === Infinity) return null;
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  exportToPNG() {
+    this.updateRoutes();
+    const tempCanvas = document.createElement('canvas');
+    const tempCtx = tempCanvas.getContext('2d');
+    const bounds = this.getExportBounds();
 
-    tempCanvas.width = width;
-    tempCanvas.height = height;
+    tempCanvas.width = bounds.width;
+    tempCanvas.height = bounds.height;
 
     tempCtx.fillStyle = '#ffffff';
-    tempCtx.fillRect(0, 0, width, height);
+    tempCtx.fillRect(0, 0, bounds.width, bounds.height);
 
-    tempCtx.translate(-minX + padding, -minY + padding);
+    tempCtx.translate(-bounds.x, -bounds.y);
 
     this.areas.forEach(area => area.draw(tempCtx, false));
     this.connections.forEach(conn => conn.draw(tempCtx, false));
@@ -989,6 +3532,33 @@ class FlowchartCanvas {
     return tempCanvas.toDataURL('image/png');
   }
 
+  // Vector image of the diagram as an SVG document string. Node links become
+  // clickable <a> elements; connection points and selection are left out.
+  exportToSVG() {
+    this.updateRoutes();
+    const bounds = this.getExportBounds();
+    const ctx = new SVGContext();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+    this.areas.forEach(area => area.draw(ctx, false));
+    this.connections.forEach(conn => conn.draw(ctx, false));
+    this.nodes.forEach(node => {
+      ctx.beginLink(node.link);
+      node.drawBody(ctx);
+      ctx.endLink();
+    });
+
+    const viewBox = [bounds.x, bounds.y, bounds.width, bounds.height].map(value => ctx.number(value)).join(' ');
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${ctx.number(bounds.width)}" height="${ctx.number(bounds.height)}" viewBox="${viewBox}">`,
+      ctx.toMarkup(),
+      '</svg>'
+    ].join('\n');
+  }
+
   exportToPDF() {
     const { jsPDF } = window.jspdf;
     const pdf = new jsPDF('l', 'pt', 'a4');
@@ -1002,6 +3572,28 @@ class FlowchartCanvas {
     return pdf;
   }
 
+  // PDF with sharp lines and selectable text, drawn from exportToSVG(). Needs
+  // the svg2pdf.js plugin for jsPDF and falls back to exportToPDF() without it.
+  async exportToVectorPDF() {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('l', 'pt', 'a4');
+
+    // svg2pdf.js adds pdf.svg(); without it the PDF embeds a PNG instead
+    if (typeof pdf.svg !== 'function') {
+      return this.exportToPDF();
+    }
+
+    const svg = new DOMParser().parseFromString(this.exportToSVG(), 'image/svg+xml').documentElement;
+    const width = parseFloat(svg.getAttribute('width'));
+    const height = parseFloat(svg.getAttribute('height'));
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const scale = Math.min(pageWidth / width, pageHeight / height);
+
+    await pdf.svg(svg, { x: 0, y: 0, width: width * scale, height: height * scale });
+    return pdf;
+  }
+
   async downloadZip() {
     if (typeof JSZip === 'undefined') {
       console.error('JSZip is not loaded');
@@ -1017,7 +3609,9 @@ class FlowchartCanvas {
     const pngBlob = await fetch(pngData).then(r => r.blob());
     zip.file('flowchart.png', pngBlob);
 
-    const pdf = this.exportToPDF();
+    zip.file('flowchart.svg', this.exportToSVG());
+
+    const pdf = await this.exportToVectorPDF();
     const pdfBlob = pdf.output('blob');
     zip.file('flowchart.pdf', pdfBlob);
 
@@ -1031,18 +3625,34 @@ class FlowchartCanvas {
   }
 
   destroy() {
+    if (this.collaboration) this.disconnectCollaboration();
+    this.off();
+    clearTimeout(this.autosaveTimer);
+    clearTimeout(this.draftTimer);
+    window.removeEventListener('pagehide', this.boundPageHideHandler);
+    ['copy', 'cut', 'paste'].forEach(type => {
+      document.removeEventListener(type, this.boundClipboardHandler);
+    });
+    clearTimeout(this.longPress && this.longPress.timer);
+    this.stopViewportAnimation();
+    this.hideMinimap();
+    if (this.frameRequest) cancelAnimationFrame(this.frameRequest);
+    this.accessibility.destroy();
     if (this.nodeSettingsDialog) {
       this.nodeSettingsDialog.destroy();
     }
+    if (this.connectionSettingsDialog) {
+      this.connectionSettingsDialog.destroy();
+    }
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
   }
 }
 
-export { FlowchartCanvas as Canvas, Node, Connection, NodeSettingsDialog };
-export default { Canvas: FlowchartCanvas, Node, Connection, NodeSettingsDialog };
+export { FlowchartCanvas as Canvas, Node, Connection, NodeSettingsDialog, ConnectionSettingsDialog, LocalStorageAdapter, IndexedDBAdapter, RestStorageAdapter, InMemoryProvider };
+export default { Canvas: FlowchartCanvas, Node, Connection, NodeSettingsDialog, ConnectionSettingsDialog, LocalStorageAdapter, IndexedDBAdapter, RestStorageAdapter, InMemoryProvider };
 
 if (typeof window !== 'undefined') {
-  window.FlowchartLib = { Canvas: FlowchartCanvas, Node, Connection, NodeSettingsDialog };
+  window.FlowchartLib = { Canvas: FlowchartCanvas, Node, Connection, NodeSettingsDialog, ConnectionSettingsDialog, LocalStorageAdapter, IndexedDBAdapter, RestStorageAdapter, InMemoryProvider };
 }
\ No newline at end of file